@@ -0,0 +1,247 @@
+// Express app with every route. server.js starts it; the tests load it directly.
+const express = require('express');
+const cookieParser = require('cookie-parser');
+
+const authRoutes = require('./src/auth');
+const scenarioRoutes = require('./src/scenarios');
+const { listRooms } = require('./src/rooms');
+const { issueTicket } = require('./src/realtime');
+const { getPackageStatus, navDataEvents } = require('./src/navdata-manager');
+const { requireNavSession } = require('./src/auth-middleware');
+const { loadNavQuery } = require('./src/nav-query');
+const { listAirports } = require('./src/airport-catalogue');
+const { getExtract } = require('./src/nav-extract');
+const { ICAO_RE } = require('./src/scenario-validation');
+const { getNavDB } = require('./src/nav-db-pool');
+const queryCache = require('./src/query-cache');
+
+const app = express();
+
+app.use(cookieParser());
+app.use(express.json());
+
+// Auth Routes
+app.use('/api/auth', authRoutes);
+
+// Saved scenarios of the caller's Navigraph account
+app.use('/api/scenarios', scenarioRoutes);
+
+// SHARED ROOMS: Open rooms to join; the rooms themselves run over WebSockets (src/realtime.js)
+app.get('/api/rooms', requireNavSession, (req, res) => {
+    res.json({ rooms: listRooms() });
+});
+
+// Single-use ticket to open the room socket, with its URL when it is on another host (REALTIME_URL)
+app.post('/api/rooms/ticket', requireNavSession, (req, res) => {
+    res.json(issueTicket(req.navSession.id));
+});
+
+// Cached responses are keyed by cycle, so older entries are only dropped to free memory
+navDataEvents.on('installed', () => queryCache.clear());
+
+// Bodies smaller than this are sent uncompressed
+const COMPRESS_MIN_BYTES = 1024;
+
+/**
+ * Sends a cached JSON body with its ETag, gzip/brotli-compressed when the client
+ * accepts it (compressed copies are kept on the cache entry). Clients revalidate
+ * on every load and get a 304 while the cycle is unchanged (Express compares If-None-Match).
+ */
+function sendCached(req, res, entry) {
+    res.set('Cache-Control', 'private, no-cache');
+    res.set('Vary', 'Accept-Encoding');
+    res.type('json');
+
+    const encoding = Buffer.byteLength(entry.body) >= COMPRESS_MIN_BYTES ? req.acceptsEncodings('br', 'gzip') : false;
+    if (!encoding) {
+        res.set('ETag', entry.etag);
+        return res.send(entry.body);
+    }
+
+    const compressed = queryCache.compressed(entry, encoding);
+    res.set('Content-Encoding', encoding);
+    // The ETag must differ per representation
+    res.set('ETag', entry.etag.replace(/"$/, `-${encoding}"`));
+    res.send(compressed);
+}
+
+// MAIN DATA ENDPOINT
+const handleDataRequest = async (req, res) => {
+    const { dbFileName } = req.navSession;
+
+    try {
+        const { hasSchema, toResponse, BBOX_LAYERS, getProcedureLegs, buildBundle, parseBbox, isValidBbox, searchIdents } = await loadNavQuery();
+        const { db, version } = await getNavDB(dbFileName);
+        const { type, ident } = req.params;
+
+        // Repeat requests for the same cycle are served from memory
+        const key = (hasSchema(type) || type === 'bundle') ? queryCache.cacheKey(type, `${dbFileName}:${version}`, req.query) : null;
+        const cached = key && queryCache.get(key);
+        if (cached) return sendCached(req, res, cached);
+
+        // Support richer nav queries inspired by client-side `navDatabase.js`.
+        // Expected query params for spatial queries: minLon,maxLon,minLat,maxLat
+        // (minLon > maxLon or longitudes beyond ±180 cross the antimeridian)
+        const minLon = parseFloat(req.query.minLon);
+        const maxLon = parseFloat(req.query.maxLon);
+        const minLat = parseFloat(req.query.minLat);
+        const maxLat = parseFloat(req.query.maxLat);
+
+        const hasBounds = [minLon, maxLon, minLat, maxLat].every(v => Number.isFinite(v));
+
+        let rows;
+
+        switch (type) {
+            case 'navpoints':
+            case 'airports':
+            case 'vors':
+            case 'terminalWaypoints':
+            case 'runways':
+            case 'ils':
+            case 'holdings':
+            case 'airways':
+            case 'airspaces':
+                if (!hasBounds) return res.status(400).json({ error: 'Missing bounding box' });
+                if (!isValidBbox({ minLat, maxLat })) return res.status(400).json({ error: 'Invalid bounding box' });
+                rows = await BBOX_LAYERS[type](db, { minLon, maxLon, minLat, maxLat });
+                break;
+
+            case 'bundle': {
+                // expects `bbox=minLon,minLat,maxLon,maxLat`, optional `airports` (ICAO list for
+                // procedures, defaults to every airport in the box) and `format=columnar`
+                const bbox = parseBbox(req.query.bbox) || (hasBounds ? { minLon, maxLon, minLat, maxLat } : null);
+                if (!bbox) return res.status(400).json({ error: 'Missing bounding box' });
+                if (!isValidBbox(bbox)) return res.status(400).json({ error: 'Invalid bounding box' });
+                const icaos = req.query.airports
+                    ? req.query.airports.split(',').map(s => s.trim().toUpperCase()).filter(Boolean)
+                    : null;
+                const format = req.query.format === 'columnar' ? 'columnar' : 'rows';
+                return sendCached(req, res, queryCache.set(key, await buildBundle(db, bbox, icaos, format)));
+            }
+
+            case 'search': {
+                // expects `q` (at least 2 characters) and an optional `limit` (max 50)
+                const q = String(req.query.q || '').trim();
+                if (q.length < 2) {
+                    return res.status(400).json({ error: 'Query must be at least 2 characters' });
+                }
+                const limit = Math.min(50, Math.max(1, parseInt(req.query.limit, 10) || 20));
+                rows = await searchIdents(db, q, limit);
+                break;
+            }
+
+            case 'approachPaths':
+            case 'stars':
+            case 'sids': {
+                // expects `airports` query param as comma-separated ICAO list
+                if (!req.query.airports) {
+                    return res.status(400).json({ error: 'Missing airports parameter' });
+                }
+                const icaos = req.query.airports.split(',').map(s => s.trim().toUpperCase()).filter(Boolean);
+                if (icaos.length === 0) {
+                    return res.status(400).json({ error: 'Empty airports list' });
+                }
+                rows = await getProcedureLegs(db, type, icaos);
+                break;
+            }
+
+            case 'airport':
+            case 'navaid':
+                // keep compatibility with original single-item endpoints
+                if (!ident) {
+                    const table = (type === 'airport') ? 'airports' : 'navaids';
+                    rows = await db.all(`SELECT * FROM ${table}`);
+                } else {
+                    const table = (type === 'airport') ? 'airports' : 'navaids';
+                    const row = await db.get(`SELECT * FROM ${table} WHERE ident = ?`, ident);
+                    if (!row) return res.status(404).json({ error: 'Not found' });
+                    return res.json(row);
+                }
+                break;
+
+            default:
+                return res.status(400).json({ error: 'Invalid type' });
+        }
+
+        // Normalize DFD rows into the documented schema (see public/js/navdata/schema.js)
+        if (hasSchema(type)) return sendCached(req, res, queryCache.set(key, toResponse(type, rows)));
+        return res.json(rows);
+
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Database error' });
+    }
+};
+// --- REGISTER THE ROUTES SEPARATELY ---
+// Route 1: With an ID (e.g., /api/data/airport/EGLL)
+app.get('/api/data/:type/:ident', requireNavSession, handleDataRequest);
+
+// Route 2: Without an ID
+app.get('/api/data/:type', requireNavSession, handleDataRequest);
+
+// NAVDATA STATUS
+// Which AIRAC cycle the caller's session is served, plus every package held locally
+app.get('/api/navdata/status', requireNavSession, (req, res) => {
+    const served = (req.navSession.dbFileName === 'current.sqlite') ? 'current' : 'outdated';
+    res.json({
+        served,
+        subscriptionActive: served === 'current',
+        ...getPackageStatus(served),
+        packages: {
+            current: getPackageStatus('current'),
+            outdated: getPackageStatus('outdated')
+        }
+    });
+});
+
+// OFFLINE EXTRACT
+// SQLite file with the nav data around one airport, queried in the browser when offline.
+// Built once per cycle and kept on disk (src/nav-extract.js). Query params: range (radius in NM)
+app.get('/api/navdata/extract/:icao', requireNavSession, async (req, res) => {
+    const icao = String(req.params.icao).toUpperCase();
+    if (!ICAO_RE.test(icao)) return res.status(400).json({ error: 'Invalid airport' });
+
+    try {
+        const extract = await getExtract(req.navSession.dbFileName, icao, req.query.range);
+        if (!extract) return res.status(404).json({ error: 'Unknown airport' });
+
+        res.set('Cache-Control', 'private, no-cache');
+        res.set('X-AIRAC-Cycle', extract.version);
+        res.type('application/vnd.sqlite3');
+        res.sendFile(extract.filePath, err => {
+            if (!err) return;
+            console.error(err);
+            if (!res.headersSent) res.status(500).json({ error: 'Database error' });
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// AIRPORT CATALOGUE
+// Query params: q (ICAO, IATA or name), country (ICAO prefix), range (radar range in NM), limit
+app.get('/api/airports', requireNavSession, async (req, res) => {
+    const { dbFileName } = req.navSession;
+
+    try {
+        const { toResponse } = await loadNavQuery();
+        const { db, version } = await getNavDB(dbFileName);
+        const key = queryCache.cacheKey('airportCatalogue', `${dbFileName}:${version}`, req.query);
+        const cached = queryCache.get(key);
+        if (cached) return sendCached(req, res, cached);
+
+        const airports = await listAirports(db, {
+            q: req.query.q,
+            country: req.query.country,
+            rangeNm: req.query.range,
+            limit: req.query.limit
+        });
+        sendCached(req, res, queryCache.set(key, toResponse('airportCatalogue', airports)));
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+module.exports = app;
@@ -0,0 +1,188 @@
+-- Small DFD v1 fixture around Merida (MMMD) for local development and tests.
+-- Only the tables and columns EchoScope reads are present. Coordinates are
+-- approximate and identifiers are partly invented: NOT FOR NAVIGATION.
+-- The mock server builds one SQLite file per cycle from this script and
+-- replaces {{CYCLE}} / {{REVISION}}.
+
+CREATE TABLE tbl_header (
+    version TEXT, arincversion TEXT, record_set TEXT, current_airac TEXT, revision TEXT,
+    effective_fromto TEXT, previous_airac TEXT, previous_fromto TEXT, parsed_at TEXT
+);
+INSERT INTO tbl_header VALUES ('1.0', '20', 'fixture', '{{CYCLE}}', '{{REVISION}}', NULL, NULL, NULL, NULL);
+
+CREATE TABLE tbl_airports (
+    area_code TEXT, icao_code TEXT, airport_identifier TEXT, airport_identifier_3letter TEXT,
+    airport_name TEXT, airport_ref_latitude REAL, airport_ref_longitude REAL, ifr_capability TEXT,
+    elevation INTEGER, transition_altitude INTEGER, transition_level INTEGER, iata_ata_designator TEXT
+);
+INSERT INTO tbl_airports VALUES
+    ('SAM', 'MM', 'MMMD', 'MID', 'MERIDA INTL', 20.93702222, -89.65769444, 'Y', 38, 18500, 18500, 'MID'),
+    ('SAM', 'MM', 'MMUN', 'CUN', 'CANCUN INTL', 21.03653333, -86.87709444, 'Y', 22, 18500, 18500, 'CUN'),
+    ('SAM', 'MM', 'MMXX', NULL, 'UMAN AIRSTRIP', 20.88000000, -89.75000000, 'N', 40, NULL, NULL, NULL);
+
+CREATE TABLE tbl_runways (
+    area_code TEXT, icao_code TEXT, airport_identifier TEXT, runway_identifier TEXT,
+    runway_latitude REAL, runway_longitude REAL, runway_gradient REAL,
+    runway_magnetic_bearing REAL, runway_true_bearing REAL, landing_threshold_elevation INTEGER,
+    displaced_threshold_distance INTEGER, threshold_crossing_height INTEGER,
+    runway_length INTEGER, runway_width INTEGER, llz_identifier TEXT, llz_mls_gls_category TEXT
+);
+INSERT INTO tbl_runways VALUES
+    ('SAM', 'MM', 'MMMD', 'RW10', 20.94078889, -89.67818056, 0, 100.0, 98.0, 37, 0, 50, 10499, 148, 'IMID', '1'),
+    ('SAM', 'MM', 'MMMD', 'RW28', 20.93325556, -89.63721111, 0, 280.0, 278.0, 38, 0, 50, 10499, 148, NULL, NULL),
+    ('SAM', 'MM', 'MMMD', 'RW18', 20.95500000, -89.66300000, 0, 182.0, 180.0, 36, 0, 50, 7546, 148, NULL, NULL),
+    ('SAM', 'MM', 'MMMD', 'RW36', 20.93430000, -89.66300000, 0, 2.0, 0.0, 38, 0, 50, 7546, 148, NULL, NULL);
+
+CREATE TABLE tbl_localizers_glideslopes (
+    area_code TEXT, icao_code TEXT, airport_identifier TEXT, runway_identifier TEXT, llz_identifier TEXT,
+    llz_latitude REAL, llz_longitude REAL, llz_frequency REAL, llz_bearing REAL, llz_width REAL,
+    ils_mls_gls_category TEXT, gs_latitude REAL, gs_longitude REAL, gs_angle REAL, gs_elevation INTEGER,
+    station_declination REAL
+);
+INSERT INTO tbl_localizers_glideslopes VALUES
+    ('SAM', 'MM', 'MMMD', 'RW10', 'IMID', 20.93210000, -89.63100000, 109.7, 100.0, 4.0, '1', 20.94150000, -89.67250000, 3.0, 37, -2.0);
+
+CREATE TABLE tbl_vhfnavaids (
+    area_code TEXT, airport_identifier TEXT, icao_code TEXT, vor_identifier TEXT, vor_name TEXT,
+    vor_frequency REAL, navaid_class TEXT, vor_latitude REAL, vor_longitude REAL,
+    dme_ident TEXT, dme_latitude REAL, dme_longitude REAL, dme_elevation INTEGER,
+    range INTEGER, station_declination REAL, magnetic_variation REAL
+);
+INSERT INTO tbl_vhfnavaids VALUES
+    ('SAM', NULL, 'MM', 'MID', 'MERIDA', 117.7, 'VDHW', 20.93340000, -89.66080000, 'MID', 20.93340000, -89.66080000, 40, 130, -2.0, -2.0),
+    ('SAM', NULL, 'MM', 'CUN', 'CANCUN', 114.9, 'VDHW', 21.03000000, -86.85500000, 'CUN', 21.03000000, -86.85500000, 20, 130, -2.0, -2.0);
+
+CREATE TABLE tbl_enroute_ndbnavaids (
+    area_code TEXT, airport_identifier TEXT, icao_code TEXT, ndb_identifier TEXT, ndb_name TEXT,
+    ndb_frequency REAL, navaid_class TEXT, ndb_latitude REAL, ndb_longitude REAL, range INTEGER
+);
+INSERT INTO tbl_enroute_ndbnavaids VALUES
+    ('SAM', NULL, 'MM', 'MD', 'MERIDA', 340, 'H', 21.00000000, -89.60000000, 50);
+
+CREATE TABLE tbl_terminal_ndbnavaids (
+    area_code TEXT, airport_identifier TEXT, icao_code TEXT, ndb_identifier TEXT, ndb_name TEXT,
+    ndb_frequency REAL, navaid_class TEXT, ndb_latitude REAL, ndb_longitude REAL, range INTEGER
+);
+
+CREATE TABLE tbl_enroute_waypoints (
+    area_code TEXT, icao_code TEXT, waypoint_identifier TEXT, waypoint_name TEXT, waypoint_type TEXT,
+    waypoint_usage TEXT, waypoint_latitude REAL, waypoint_longitude REAL
+);
+INSERT INTO tbl_enroute_waypoints VALUES
+    ('SAM', 'MM', 'KOMAR', 'KOMAR', 'C', 'B', 21.25000000, -89.90000000),
+    ('SAM', 'MM', 'PIXAN', 'PIXAN', 'C', 'B', 20.60000000, -89.30000000),
+    ('SAM', 'MM', 'TENOS', 'TENOS', 'C', 'B', 21.30000000, -89.20000000),
+    ('SAM', 'MM', 'ULMAS', 'ULMAS', 'C', 'B', 20.55000000, -90.10000000),
+    ('SAM', 'MM', 'VPMID', 'VFR POINT', 'V', 'B', 20.90000000, -89.50000000),
+    -- Two fixes either side of the antimeridian (near Fiji), joined by airway B999
+    ('SPA', 'NF', 'DATEW', 'DATEW', 'C', 'B', -17.50000000, 179.90000000),
+    ('SPA', 'NF', 'DATEE', 'DATEE', 'C', 'B', -17.50000000, -179.90000000);
+
+CREATE TABLE tbl_terminal_waypoints (
+    area_code TEXT, region_code TEXT, icao_code TEXT, waypoint_identifier TEXT, waypoint_name TEXT,
+    waypoint_type TEXT, waypoint_latitude REAL, waypoint_longitude REAL
+);
+INSERT INTO tbl_terminal_waypoints VALUES
+    ('SAM', 'MMMD', 'MM', 'MD501', 'MD501', 'C', 20.96500000, -89.86000000),
+    ('SAM', 'MMMD', 'MM', 'MD502', 'MD502', 'C', 20.95500000, -89.79000000),
+    ('SAM', 'MMMD', 'MM', 'MD510', 'MD510', 'C', 20.92000000, -89.55000000);
+
+CREATE TABLE tbl_iaps (
+    area_code TEXT, airport_identifier TEXT, procedure_identifier TEXT, route_type TEXT,
+    transition_identifier TEXT, seqno INTEGER, waypoint_icao_code TEXT, waypoint_identifier TEXT,
+    waypoint_latitude REAL, waypoint_longitude REAL, waypoint_description_code TEXT,
+    turn_direction TEXT, path_termination TEXT, magnetic_course REAL,
+    route_distance_holding_distance_time REAL, altitude_description TEXT,
+    altitude1 INTEGER, altitude2 INTEGER, speed_limit INTEGER, vertical_angle REAL
+);
+INSERT INTO tbl_iaps VALUES
+    ('SAM', 'MMMD', 'I10', 'A', 'KOMAR', 10, 'MM', 'KOMAR', 21.25000000, -89.90000000, 'E  A', NULL, 'IF', NULL, NULL, '+', 5000, NULL, NULL, NULL),
+    ('SAM', 'MMMD', 'I10', 'A', 'KOMAR', 20, 'MM', 'MD501', 20.96500000, -89.86000000, 'E   ', NULL, 'TF', 160.0, 17.0, '+', 3000, NULL, NULL, NULL),
+    ('SAM', 'MMMD', 'I10', 'I', NULL, 10, 'MM', 'MD501', 20.96500000, -89.86000000, 'E  I', NULL, 'IF', NULL, NULL, '@', 3000, NULL, NULL, NULL),
+    ('SAM', 'MMMD', 'I10', 'I', NULL, 20, 'MM', 'MD502', 20.95500000, -89.79000000, 'E  F', NULL, 'TF', 100.0, 6.6, 'G', 2000, NULL, NULL, -3.0),
+    ('SAM', 'MMMD', 'I10', 'I', NULL, 30, 'MM', 'RW10', 20.94078889, -89.67818056, 'GY M', NULL, 'TF', 100.0, 6.7, NULL, 87, NULL, NULL, -3.0),
+    ('SAM', 'MMMD', 'I10', 'I', NULL, 40, 'MM', 'MD510', 20.92000000, -89.55000000, 'E   ', NULL, 'TF', 100.0, 7.3, '+', 3000, NULL, NULL, NULL);
+
+CREATE TABLE tbl_stars (
+    area_code TEXT, airport_identifier TEXT, procedure_identifier TEXT, route_type TEXT,
+    transition_identifier TEXT, seqno INTEGER, waypoint_icao_code TEXT, waypoint_identifier TEXT,
+    waypoint_latitude REAL, waypoint_longitude REAL, waypoint_description_code TEXT,
+    turn_direction TEXT, path_termination TEXT, magnetic_course REAL,
+    route_distance_holding_distance_time REAL, altitude_description TEXT,
+    altitude1 INTEGER, altitude2 INTEGER, speed_limit INTEGER, vertical_angle REAL
+);
+INSERT INTO tbl_stars VALUES
+    ('SAM', 'MMMD', 'TENO1A', '1', 'TENOS', 10, 'MM', 'TENOS', 21.30000000, -89.20000000, 'E   ', NULL, 'IF', NULL, NULL, NULL, NULL, NULL, NULL, NULL),
+    ('SAM', 'MMMD', 'TENO1A', '1', 'TENOS', 20, 'MM', 'MID', 20.93340000, -89.66080000, 'V   ', NULL, 'TF', 230.0, 33.0, '+', 8000, NULL, 250, NULL),
+    ('SAM', 'MMMD', 'TENO1A', '2', NULL, 10, 'MM', 'MID', 20.93340000, -89.66080000, 'V   ', NULL, 'IF', NULL, NULL, '+', 8000, NULL, NULL, NULL),
+    ('SAM', 'MMMD', 'TENO1A', '2', NULL, 20, 'MM', 'KOMAR', 21.25000000, -89.90000000, 'E  H', NULL, 'TF', 325.0, 23.0, '+', 5000, NULL, 210, NULL);
+
+CREATE TABLE tbl_sids (
+    area_code TEXT, airport_identifier TEXT, procedure_identifier TEXT, route_type TEXT,
+    transition_identifier TEXT, seqno INTEGER, waypoint_icao_code TEXT, waypoint_identifier TEXT,
+    waypoint_latitude REAL, waypoint_longitude REAL, waypoint_description_code TEXT,
+    turn_direction TEXT, path_termination TEXT, magnetic_course REAL,
+    route_distance_holding_distance_time REAL, altitude_description TEXT,
+    altitude1 INTEGER, altitude2 INTEGER, speed_limit INTEGER, vertical_angle REAL
+);
+INSERT INTO tbl_sids VALUES
+    ('SAM', 'MMMD', 'PIXA1D', '4', 'RW10', 10, 'MM', NULL, NULL, NULL, NULL, NULL, 'VA', 100.0, NULL, '+', 1000, NULL, NULL, NULL),
+    ('SAM', 'MMMD', 'PIXA1D', '4', 'RW10', 20, 'MM', 'MD510', 20.92000000, -89.55000000, 'E   ', 'R', 'DF', NULL, NULL, '+', 3000, NULL, NULL, NULL),
+    ('SAM', 'MMMD', 'PIXA1D', '5', NULL, 10, 'MM', 'MD510', 20.92000000, -89.55000000, 'E   ', NULL, 'IF', NULL, NULL, NULL, NULL, NULL, NULL, NULL),
+    ('SAM', 'MMMD', 'PIXA1D', '5', NULL, 20, 'MM', 'PIXAN', 20.60000000, -89.30000000, 'EE  ', NULL, 'TF', 135.0, 28.0, '+', 9000, NULL, NULL, NULL);
+
+CREATE TABLE tbl_holdings (
+    area_code TEXT, region_code TEXT, icao_code TEXT, waypoint_identifier TEXT, holding_name TEXT,
+    waypoint_latitude REAL, waypoint_longitude REAL, duplicate_identifier INTEGER,
+    inbound_holding_course REAL, turn_direction TEXT, leg_length REAL, leg_time REAL,
+    minimum_altitude INTEGER, maximum_altitude INTEGER, holding_speed INTEGER
+);
+INSERT INTO tbl_holdings VALUES
+    ('SAM', 'MMMD', 'MM', 'KOMAR', 'KOMAR', 21.25000000, -89.90000000, 1, 145.0, 'R', NULL, 1.0, 5000, 14000, 230),
+    ('SAM', 'ENRT', 'MM', 'TENOS', 'TENOS', 21.30000000, -89.20000000, 1, 230.0, 'L', NULL, 1.5, 8000, 24000, 240);
+
+CREATE TABLE tbl_enroute_airways (
+    area_code TEXT, route_identifier TEXT, seqno INTEGER, icao_code TEXT, waypoint_identifier TEXT,
+    waypoint_latitude REAL, waypoint_longitude REAL, waypoint_description_code TEXT,
+    route_type TEXT, flightlevel TEXT, direction_restriction TEXT,
+    minimum_altitude1 INTEGER, minimum_altitude2 INTEGER, maximum_altitude INTEGER,
+    outbound_course REAL, inbound_course REAL, inbound_distance REAL
+);
+INSERT INTO tbl_enroute_airways VALUES
+    ('SAM', 'UJ18', 10, 'MM', 'ULMAS', 20.55000000, -90.10000000, 'E   ', 'O', 'B', NULL, 6000, NULL, NULL, 50.0, NULL, NULL),
+    ('SAM', 'UJ18', 20, 'MM', 'MID', 20.93340000, -89.66080000, 'V   ', 'O', 'B', NULL, 6000, NULL, NULL, 45.0, 230.0, 34.0),
+    ('SAM', 'UJ18', 30, 'MM', 'TENOS', 21.30000000, -89.20000000, 'EE  ', 'O', 'B', NULL, NULL, NULL, NULL, NULL, 225.0, 35.0),
+    ('SAM', 'UG765', 10, 'MM', 'MID', 20.93340000, -89.66080000, 'V   ', 'O', 'B', NULL, 7000, NULL, NULL, 80.0, NULL, NULL),
+    ('SAM', 'UG765', 20, 'MM', 'CUN', 21.03000000, -86.85500000, 'VE  ', 'O', 'B', NULL, NULL, NULL, NULL, NULL, 260.0, 158.0),
+    ('SPA', 'B999', 10, 'NF', 'DATEW', -17.50000000, 179.90000000, 'E   ', 'O', 'B', NULL, 5000, NULL, NULL, 90.0, NULL, NULL),
+    ('SPA', 'B999', 20, 'NF', 'DATEE', -17.50000000, -179.90000000, 'EE  ', 'O', 'B', NULL, NULL, NULL, NULL, NULL, 270.0, 11.4);
+
+CREATE TABLE tbl_controlled_airspace (
+    area_code TEXT, icao_code TEXT, airspace_center TEXT, controlled_airspace_name TEXT,
+    airspace_type TEXT, airspace_classification TEXT, multiple_code TEXT, time_code TEXT,
+    seqno INTEGER, flightlevel TEXT, boundary_via TEXT, latitude REAL, longitude REAL,
+    arc_origin_latitude REAL, arc_origin_longitude REAL, arc_distance REAL, arc_bearing REAL,
+    unit_indicator_lower_limit TEXT, lower_limit TEXT, unit_indicator_upper_limit TEXT, upper_limit TEXT
+);
+INSERT INTO tbl_controlled_airspace VALUES
+    ('SAM', 'MM', 'MMMD', 'MERIDA CTR', 'Z', 'D', 'A', NULL, 10, NULL, 'CE', NULL, NULL, 20.93702222, -89.65769444, 8.0, NULL, 'M', 'GND', 'M', '04000'),
+    ('SAM', 'MM', 'MMMD', 'MERIDA TMA', 'M', 'C', 'B', NULL, 10, NULL, 'G ', 21.40000000, -90.10000000, NULL, NULL, NULL, NULL, 'M', '04000', 'M', 'FL195'),
+    ('SAM', 'MM', 'MMMD', 'MERIDA TMA', 'M', 'C', 'B', NULL, 20, NULL, 'G ', 21.40000000, -89.20000000, NULL, NULL, NULL, NULL, 'M', '04000', 'M', 'FL195'),
+    ('SAM', 'MM', 'MMMD', 'MERIDA TMA', 'M', 'C', 'B', NULL, 30, NULL, 'G ', 20.45000000, -89.20000000, NULL, NULL, NULL, NULL, 'M', '04000', 'M', 'FL195'),
+    ('SAM', 'MM', 'MMMD', 'MERIDA TMA', 'M', 'C', 'B', NULL, 40, NULL, 'GE', 20.45000000, -90.10000000, NULL, NULL, NULL, NULL, 'M', '04000', 'M', 'FL195'),
+    ('SPA', 'NF', 'NFFF', 'DATELINE CTA', 'A', 'A', 'A', NULL, 10, NULL, 'G ', -17.20000000, 179.80000000, NULL, NULL, NULL, NULL, 'M', 'FL245', 'M', 'UNLTD'),
+    ('SPA', 'NF', 'NFFF', 'DATELINE CTA', 'A', 'A', 'A', NULL, 20, NULL, 'G ', -17.20000000, -179.80000000, NULL, NULL, NULL, NULL, 'M', 'FL245', 'M', 'UNLTD'),
+    ('SPA', 'NF', 'NFFF', 'DATELINE CTA', 'A', 'A', 'A', NULL, 30, NULL, 'G ', -17.80000000, -179.80000000, NULL, NULL, NULL, NULL, 'M', 'FL245', 'M', 'UNLTD'),
+    ('SPA', 'NF', 'NFFF', 'DATELINE CTA', 'A', 'A', 'A', NULL, 40, NULL, 'GE', -17.80000000, 179.80000000, NULL, NULL, NULL, NULL, 'M', 'FL245', 'M', 'UNLTD');
+
+CREATE TABLE tbl_restrictive_airspace (
+    area_code TEXT, icao_code TEXT, restrictive_airspace_designation TEXT, restrictive_airspace_name TEXT,
+    restrictive_type TEXT, multiple_code TEXT, seqno INTEGER, boundary_via TEXT, flightlevel TEXT,
+    latitude REAL, longitude REAL, arc_origin_latitude REAL, arc_origin_longitude REAL,
+    arc_distance REAL, arc_bearing REAL, unit_indicator_lower_limit TEXT, lower_limit TEXT,
+    unit_indicator_upper_limit TEXT, upper_limit TEXT
+);
+INSERT INTO tbl_restrictive_airspace VALUES
+    ('SAM', 'MM', 'MMR101', 'UMAN RANGE', 'R', 'A', 10, 'G ', NULL, 20.70000000, -89.95000000, NULL, NULL, NULL, NULL, 'M', 'GND', 'M', '08000'),
+    ('SAM', 'MM', 'MMR101', 'UMAN RANGE', 'R', 'A', 20, 'G ', NULL, 20.70000000, -89.80000000, NULL, NULL, NULL, NULL, 'M', 'GND', 'M', '08000'),
+    ('SAM', 'MM', 'MMR101', 'UMAN RANGE', 'R', 'A', 30, 'GE', NULL, 20.60000000, -89.87000000, NULL, NULL, NULL, NULL, 'M', 'GND', 'M', '08000');
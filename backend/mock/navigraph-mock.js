@@ -0,0 +1,215 @@
+// mock/navigraph-mock.js
+//
+// Stand-in for the Navigraph identity and navdata APIs, so login -> /api/data
+// works locally without a Navigraph account or client credentials.
+//
+//   node backend/mock/navigraph-mock.js
+//
+// then start the backend with
+//
+//   NAVIGRAPH_IDENTITY_URL=http://localhost:4000
+//   NAVIGRAPH_API_URL=http://localhost:4000
+//   NAVIGRAPH_JWKS_DOMAIN=http://localhost:4000
+//   NAVIGRAPH_CLIENT_ID=mock NAVIGRAPH_CLIENT_SECRET=mock
+//   APP_URL=http://localhost:3000
+//
+// The login page lets you pick an account with or without the fmsdata
+// subscription (served current.sqlite vs outdated.sqlite). Both packages are
+// built from fixture-dfd.sql into backend/mock/data/.
+//
+// Optional settings:
+//   MOCK_PORT              default 4000
+//   MOCK_CURRENT_CYCLE     default 2510 (outdated is the cycle before it)
+//   MOCK_REVISION          bump it to make the backend download a new revision
+//   MOCK_TOKEN_TTL         access token lifetime in seconds (default 3600)
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const express = require('express');
+const sqlite3 = require('sqlite3');
+const { open } = require('sqlite');
+const { createSigner } = require('fast-jwt');
+
+const PORT = Number(process.env.MOCK_PORT) || 4000;
+const BASE_URL = `http://localhost:${PORT}`;
+const CURRENT_CYCLE = process.env.MOCK_CURRENT_CYCLE || '2510';
+const REVISION = process.env.MOCK_REVISION || '1';
+const TOKEN_TTL = Number(process.env.MOCK_TOKEN_TTL) || 3600;
+
+const FIXTURE_SQL = path.join(__dirname, 'fixture-dfd.sql');
+const DATA_DIR = path.join(__dirname, 'data');
+
+// Test accounts offered on the login page
+const ACCOUNTS = {
+    subscriber: { sub: 'mock-subscriber', name: 'Subscriber (fmsdata)', subscriptions: ['fmsdata'] },
+    free: { sub: 'mock-free', name: 'No subscription', subscriptions: [] }
+};
+
+// Signing key, regenerated on every start (the backend refetches the JWKS for an unknown kid)
+const KID = crypto.randomBytes(8).toString('hex');
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const signJwt = createSigner({
+    algorithm: 'RS256',
+    key: privateKey.export({ type: 'pkcs1', format: 'pem' }),
+    kid: KID,
+    iss: BASE_URL,
+    expiresIn: TOKEN_TTL * 1000
+});
+
+// code -> { account, redirectUri, codeChallenge }; refresh token -> account
+const authCodes = new Map();
+const refreshTokens = new Map();
+
+/**
+ * Cycle that precedes an AIRAC cycle id ('2501' -> '2413').
+ */
+function previousCycle(cycle) {
+    const year = Number(cycle.slice(0, 2));
+    const number = Number(cycle.slice(2));
+    if (number > 1) return `${cycle.slice(0, 2)}${String(number - 1).padStart(2, '0')}`;
+    // Years have 13 cycles, except the occasional 14-cycle year; the fixture does not care
+    return `${String((year + 99) % 100).padStart(2, '0')}13`;
+}
+
+/**
+ * Builds <kind>.sqlite from the fixture script and returns its package entry.
+ */
+async function buildPackage(kind, cycle) {
+    const filePath = path.join(DATA_DIR, `${kind}.sqlite`);
+    if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+
+    const sql = fs.readFileSync(FIXTURE_SQL, 'utf8')
+        .replace(/\{\{CYCLE\}\}/g, cycle)
+        .replace(/\{\{REVISION\}\}/g, REVISION);
+    const db = await open({ filename: filePath, driver: sqlite3.Database });
+    await db.exec(sql);
+    await db.close();
+
+    const hash = crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+    return {
+        package_id: `mock-${kind}-${cycle}`,
+        package_status: kind,
+        format: 'dfd_sqlite',
+        cycle,
+        revision: REVISION,
+        files: [{ key: `${kind}.sqlite`, hash, signed_url: `${BASE_URL}/files/${kind}.sqlite` }]
+    };
+}
+
+function issueTokens(account) {
+    const refreshToken = crypto.randomBytes(24).toString('base64url');
+    refreshTokens.set(refreshToken, account);
+    return {
+        access_token: signJwt({
+            sub: account.sub,
+            name: account.name,
+            subscriptions: account.subscriptions,
+            scope: ['openid', 'offline_access', 'fmsdata']
+        }),
+        refresh_token: refreshToken,
+        token_type: 'Bearer',
+        expires_in: TOKEN_TTL
+    };
+}
+
+function verifyPkce(codeChallenge, codeVerifier) {
+    if (!codeChallenge) return true;
+    if (!codeVerifier) return false;
+    return crypto.createHash('sha256').update(codeVerifier).digest('base64url') === codeChallenge;
+}
+
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+}
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+// AUTHORIZE: account picker instead of a Navigraph login
+app.get('/connect/authorize', (req, res) => {
+    const { redirect_uri, state, code_challenge } = req.query;
+    if (!redirect_uri) return res.status(400).send('Missing redirect_uri.');
+
+    const choices = Object.entries(ACCOUNTS).map(([id, account]) =>
+        `<button name="account" value="${id}">${escapeHtml(account.name)}</button>`
+    ).join(' ');
+    const hidden = { redirect_uri, state: state || '', code_challenge: code_challenge || '' };
+    const fields = Object.entries(hidden).map(([name, value]) =>
+        `<input type="hidden" name="${name}" value="${escapeHtml(value)}">`
+    ).join('');
+
+    res.send(`<!doctype html><title>Navigraph mock login</title>
+<h1>Navigraph mock login</h1>
+<form method="post" action="/connect/authorize">${fields}${choices}</form>`);
+});
+
+app.post('/connect/authorize', (req, res) => {
+    const account = ACCOUNTS[req.body.account];
+    if (!account) return res.status(400).send('Unknown account.');
+
+    const code = crypto.randomBytes(16).toString('base64url');
+    authCodes.set(code, { account, redirectUri: req.body.redirect_uri, codeChallenge: req.body.code_challenge || null });
+
+    const target = new URL(req.body.redirect_uri);
+    target.searchParams.set('code', code);
+    if (req.body.state) target.searchParams.set('state', req.body.state);
+    res.redirect(target.toString());
+});
+
+// TOKEN: authorization_code, refresh_token and client_credentials grants
+app.post('/connect/token', (req, res) => {
+    const { grant_type } = req.body;
+
+    if (grant_type === 'authorization_code') {
+        const entry = authCodes.get(req.body.code);
+        authCodes.delete(req.body.code);
+        if (!entry || entry.redirectUri !== req.body.redirect_uri || !verifyPkce(entry.codeChallenge, req.body.code_verifier)) {
+            return res.status(400).json({ error: 'invalid_grant' });
+        }
+        return res.json(issueTokens(entry.account));
+    }
+
+    if (grant_type === 'refresh_token') {
+        const account = refreshTokens.get(req.body.refresh_token);
+        if (!account) return res.status(400).json({ error: 'invalid_grant' });
+        // Refresh tokens are single use, like Navigraph's
+        refreshTokens.delete(req.body.refresh_token);
+        return res.json(issueTokens(account));
+    }
+
+    if (grant_type === 'client_credentials') {
+        return res.json({
+            access_token: signJwt({ sub: req.body.client_id || 'mock-client', scope: ['fmsdata'] }),
+            token_type: 'Bearer',
+            expires_in: TOKEN_TTL
+        });
+    }
+
+    res.status(400).json({ error: 'unsupported_grant_type' });
+});
+
+app.get('/.well-known/jwks', (req, res) => {
+    res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KID, alg: 'RS256', use: 'sig' }] });
+});
+
+(async () => {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    const packages = [
+        await buildPackage('current', CURRENT_CYCLE),
+        await buildPackage('outdated', previousCycle(CURRENT_CYCLE))
+    ];
+
+    app.get('/v1/navdata/packages', (req, res) => {
+        if (!/^Bearer .+/.test(req.get('authorization') || '')) return res.status(401).json({ error: 'Missing token' });
+        res.json(packages);
+    });
+    app.use('/files', express.static(DATA_DIR));
+
+    app.listen(PORT, () => {
+        console.log(`[Mock] Navigraph mock on ${BASE_URL} (cycles ${packages.map(p => p.cycle).join(' / ')}, revision ${REVISION})`);
+    });
+})().catch(err => {
+    console.error('[Mock] Failed to start:', err);
+    process.exit(1);
+});
@@ -0,0 +1,95 @@
+// src/airport-catalogue.js
+
+const NM_TO_KM = 1.852;
+const KM_PER_DEG_LAT = 111.32;
+
+// Radar ranges (NM) accepted when computing scope bounds
+const DEFAULT_RANGE_NM = 30;
+const MIN_RANGE_NM = 5;
+const MAX_RANGE_NM = 250;
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+/**
+ * Square scope bounds around a reference point, computed the same way as
+ * calculateGeographicBounds() in public/js/utils.js. Longitudes stay continuous
+ * (they may pass ±180 near the antimeridian); latitudes stop at the poles.
+ */
+function boundsAround(lat, lon, rangeNm) {
+    const rangeKm = rangeNm * NM_TO_KM;
+    const latDelta = rangeKm / KM_PER_DEG_LAT;
+    const minLat = Math.max(-90, lat - latDelta);
+    const maxLat = Math.min(90, lat + latDelta);
+    const lonDelta = rangeKm / (KM_PER_DEG_LAT * Math.cos(lat * Math.PI / 180));
+    const halfWidth = (minLat <= -90 || maxLat >= 90 || !(lonDelta < 180)) ? 180 : lonDelta;
+    return {
+        minLat,
+        maxLat,
+        minLon: lon - halfWidth,
+        maxLon: lon + halfWidth
+    };
+}
+
+/**
+ * Clamps a requested radar range, falling back to the default for bad input.
+ */
+function parseRangeNm(value) {
+    const n = parseFloat(value);
+    if (!Number.isFinite(n)) return DEFAULT_RANGE_NM;
+    return Math.min(MAX_RANGE_NM, Math.max(MIN_RANGE_NM, n));
+}
+
+/**
+ * Escapes LIKE wildcards in a user term, for clauses with `ESCAPE '\'`.
+ */
+function escapeLike(term) {
+    return term.replace(/[\\%_]/g, '\\$&');
+}
+
+/**
+ * Lists IFR airports from the DFD database.
+ * @param {object} db - Open DFD database.
+ * @param {object} options
+ * @param {string} [options.q] - Matches ICAO, IATA or part of the airport name.
+ * @param {string} [options.country] - ICAO nationality prefix (e.g. 'K', 'EG', 'MM').
+ * @param {number} [options.rangeNm] - Radar range used for each airport's scope bounds.
+ * @param {number} [options.limit] - Maximum number of airports.
+ * @returns {Promise<Array<{row: object, rangeNm: number, bounds: object}>>}
+ */
+async function listAirports(db, { q, country, rangeNm, limit } = {}) {
+    const range = parseRangeNm(rangeNm);
+    const max = Math.min(MAX_LIMIT, Math.max(1, parseInt(limit, 10) || DEFAULT_LIMIT));
+    const query = String(q || '').trim().toUpperCase();
+    const prefix = String(country || '').trim().toUpperCase();
+    const queryLike = escapeLike(query);
+
+    const where = [`ifr_capability = 'Y'`];
+    const params = [];
+    if (prefix) {
+        where.push(`airport_identifier LIKE ? ESCAPE '\\'`);
+        params.push(`${escapeLike(prefix)}%`);
+    }
+    if (query) {
+        where.push(`(airport_identifier LIKE ? ESCAPE '\\' OR iata_ata_designator = ? OR UPPER(airport_name) LIKE ? ESCAPE '\\')`);
+        params.push(`${queryLike}%`, query, `%${queryLike}%`);
+    }
+
+    // Exact ICAO/IATA matches first, then ICAO prefixes, then name matches
+    const rows = await db.all(
+        `SELECT * FROM tbl_airports WHERE ${where.join(' AND ')}
+         ORDER BY CASE WHEN airport_identifier = ? OR iata_ata_designator = ? THEN 0
+                       WHEN airport_identifier LIKE ? ESCAPE '\\' THEN 1 ELSE 2 END,
+                  airport_identifier
+         LIMIT ${max}`,
+        [...params, query, query, `${queryLike}%`]
+    );
+
+    return rows.map(row => ({
+        row,
+        rangeNm: range,
+        bounds: boundsAround(row.airport_ref_latitude, row.airport_ref_longitude, range)
+    }));
+}
+
+module.exports = { boundsAround, parseRangeNm, listAirports };
@@ -0,0 +1,150 @@
+// src/auth-middleware.js
+const { getSession, updateSessionTokens, touchSession } = require('./session-store');
+const { refreshNavigraphToken, validateFmsDataSubscription } = require('./token-helper');
+
+// Access tokens are refreshed this long before they expire
+const REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+// Inactive results may come from a transient JWKS failure, so they are re-checked sooner
+const INACTIVE_SUBSCRIPTION_TTL_MS = 60 * 1000;
+
+// Sessions whose subscription is kept; the least recently verified are dropped first
+const MAX_SUBSCRIPTION_ENTRIES = 1000;
+
+// sessionId -> { accessToken, expiresAt, subscription (Promise) }; valid until the token expires.
+// Map iteration order is the order of verification
+const subscriptionCache = new Map();
+
+// sessionId -> Promise of the refresh in flight, so parallel requests refresh once
+const refreshesInFlight = new Map();
+
+/**
+ * Refreshes a session's tokens, sharing one Navigraph request between concurrent callers.
+ * A caller that read the session before an earlier refresh finished holds a refresh token
+ * that was rotated since; it gets the stored tokens while they are valid, and otherwise
+ * the refresh runs with the stored refresh token rather than the stale one.
+ * @returns {Promise<{access_token: string, expires_at: number}|null>} The new tokens, or null on failure.
+ */
+function refreshSession(sessionId, refreshToken) {
+    if (!refreshesInFlight.has(sessionId)) {
+        const refresh = (async () => {
+            const stored = await getSession(sessionId);
+            if (!stored) return null;
+            if (stored.refresh_token !== refreshToken && Date.now() < stored.expires_at) {
+                return { access_token: stored.access_token, expires_at: stored.expires_at };
+            }
+
+            const newTokens = await refreshNavigraphToken(stored.refresh_token);
+            if (!newTokens.success) return null;
+
+            // Update DB with new tokens
+            await updateSessionTokens(sessionId, newTokens.access_token, newTokens.refresh_token, newTokens.expires_in);
+            return { access_token: newTokens.access_token, expires_at: Date.now() + newTokens.expires_in * 1000 };
+        })().finally(() => refreshesInFlight.delete(sessionId));
+        refreshesInFlight.set(sessionId, refresh);
+    }
+    return refreshesInFlight.get(sessionId);
+}
+
+/**
+ * Drops subscriptions whose token has expired, then the oldest beyond MAX_SUBSCRIPTION_ENTRIES.
+ */
+function pruneSubscriptions() {
+    const now = Date.now();
+    for (const [sessionId, entry] of subscriptionCache) {
+        if (now >= entry.expiresAt) subscriptionCache.delete(sessionId);
+    }
+    while (subscriptionCache.size > MAX_SUBSCRIPTION_ENTRIES) {
+        subscriptionCache.delete(subscriptionCache.keys().next().value);
+    }
+}
+
+/**
+ * Subscription of an access token, verified once and then cached until the token expires.
+ */
+function cachedSubscription(sessionId, accessToken, expiresAt) {
+    const cached = subscriptionCache.get(sessionId);
+    if (cached && cached.accessToken === accessToken && Date.now() < cached.expiresAt) {
+        return cached.subscription;
+    }
+
+    const entry = { accessToken, expiresAt, subscription: validateFmsDataSubscription(accessToken) };
+    subscriptionCache.delete(sessionId);
+    subscriptionCache.set(sessionId, entry);
+    pruneSubscriptions();
+    entry.subscription.then(sub => {
+        if (!sub.active) entry.expiresAt = Math.min(expiresAt, Date.now() + INACTIVE_SUBSCRIPTION_TTL_MS);
+    }, () => subscriptionCache.delete(sessionId));
+    return entry.subscription;
+}
+
+/**
+ * Resolves a session (the caller's `session_id` cookie): refreshes its tokens when
+ * they are about to expire and checks the FMS Data subscription.
+ * @returns {Promise<{navSession?: object, error?: string}>} `navSession` holds id, userId,
+ *   accessToken, expiresAt, subscription and the DFD file to serve (`dbFileName`).
+ */
+async function loadNavSession(sessionId) {
+    if (!sessionId) return { error: 'Not authenticated' };
+
+    // 1. Look up user in local DB
+    const session = await getSession(sessionId);
+    if (!session) {
+        forgetNavSession(sessionId);
+        return { error: 'Invalid session' };
+    }
+    await touchSession(sessionId);
+
+    let { access_token, expires_at } = session;
+
+    // 2. Refresh ahead of expiry; an expired token must be refreshed to continue
+    if (Date.now() > expires_at - REFRESH_MARGIN_MS) {
+        const refreshed = await refreshSession(sessionId, session.refresh_token);
+        if (refreshed) {
+            access_token = refreshed.access_token;
+            expires_at = refreshed.expires_at;
+        } else if (Date.now() > expires_at) {
+            forgetNavSession(sessionId);
+            return { error: 'Session expired. Please log in again.' };
+        }
+    }
+
+    // 3. Check Subscription
+    const subscription = await cachedSubscription(sessionId, access_token, expires_at);
+
+    return {
+        navSession: {
+            id: sessionId,
+            userId: session.user_id || null,
+            accessToken: access_token,
+            expiresAt: expires_at,
+            subscription,
+            // 4. Select Database
+            dbFileName: subscription.active ? 'current.sqlite' : 'outdated.sqlite'
+        }
+    };
+}
+
+/**
+ * Express middleware for routes that need a Navigraph session.
+ * Attaches `req.navSession` or responds with 401.
+ */
+async function requireNavSession(req, res, next) {
+    try {
+        const { navSession, error } = await loadNavSession(req.cookies.session_id);
+        if (!navSession) return res.status(401).json({ error });
+        req.navSession = navSession;
+        next();
+    } catch (err) {
+        next(err);
+    }
+}
+
+/**
+ * Drops cached state of a session (logout, revoke).
+ */
+function forgetNavSession(sessionId) {
+    subscriptionCache.delete(sessionId);
+}
+
+module.exports = { loadNavSession, refreshSession, requireNavSession, forgetNavSession };
@@ -2,8 +2,10 @@
 const express = require('express');
 const crypto = require('crypto');
 const axios = require('axios');
-const { createSession, getSession, updateSessionTokens } = require('./session-store');
-const { refreshNavigraphToken, validateFmsDataSubscription } = require('./token-helper');
+const { createSession, getSession, listUserSessions, setSessionUser, deleteSession } = require('./session-store');
+const { tokenSubject } = require('./token-helper');
+const { loadNavSession, forgetNavSession } = require('./auth-middleware');
+const { TOKEN_URL, AUTHORIZE_URL } = require('./navigraph-config');
 
 const router = express.Router();
 
@@ -27,7 +29,7 @@ router.get('/login', (req, res) => {
     res.cookie('auth_verifier', code_verifier, tmpCookieOpts);
     res.cookie('auth_state', state, tmpCookieOpts);
 
-    const authUrl = new URL('https://identity.navigraph.com/connect/authorize');
+    const authUrl = new URL(AUTHORIZE_URL);
     authUrl.searchParams.set('client_id', process.env.NAVIGRAPH_CLIENT_ID);
     authUrl.searchParams.set('response_type', 'code');
     authUrl.searchParams.set("state", state);
@@ -58,13 +60,16 @@ router.get('/callback', async (req, res) => {
         params.append('client_secret', process.env.NAVIGRAPH_CLIENT_SECRET);
         params.append('code_verifier', codeVerifier);
 
-        const response = await axios.post('https://identity.navigraph.com/connect/token', params, {
+        const response = await axios.post(TOKEN_URL, params, {
             headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
         });
         const { access_token, refresh_token, expires_in } = response.data;
 
         // 2. Save Tokens in Backend Database -> Get Session ID
-        const sessionId = await createSession(access_token, refresh_token, expires_in);
+        const sessionId = await createSession(access_token, refresh_token, expires_in, {
+            userId: tokenSubject(access_token),
+            userAgent: req.get('user-agent')
+        });
 
         // 3. Send ONLY Session ID to user
         // Max Age: 30 days (User stays logged in as long as we have their refresh token)
@@ -87,24 +92,87 @@ module.exports = router;
 // Status endpoint: verifies session cookie, refreshes tokens if needed,
 // and verifies FMS Data subscription. Returns JSON { authenticated: bool, subscription }
 router.get('/status', async (req, res) => {
-    const sessionId = req.cookies.session_id;
-    if (!sessionId) return res.status(401).json({ authenticated: false });
+    const { navSession } = await loadNavSession(req.cookies.session_id);
+    if (!navSession) return res.status(401).json({ authenticated: false });
 
-    const session = await getSession(sessionId);
-    if (!session) return res.status(401).json({ authenticated: false });
+    return res.json({ authenticated: true, subscription: navSession.subscription });
+});
+
+// Sessions are listed and revoked by a hash of their id, so the list never
+// exposes another device's session cookie
+function publicSessionId(sessionId) {
+    return crypto.createHash('sha256').update(sessionId).digest('hex').slice(0, 16);
+}
 
-    let { access_token, refresh_token, expires_at } = session;
+// Short device label from a User-Agent header, e.g. 'Firefox on Windows'
+function describeDevice(userAgent) {
+    if (!userAgent) return 'Unknown device';
+    const browser = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']]
+        .find(([token]) => userAgent.includes(token));
+    const os = [['Windows', 'Windows'], ['Android', 'Android'], ['iPhone', 'iOS'], ['iPad', 'iOS'], ['Mac OS', 'macOS'], ['Linux', 'Linux']]
+        .find(([token]) => userAgent.includes(token));
+    return `${browser ? browser[1] : 'Browser'} on ${os ? os[1] : 'unknown OS'}`;
+}
 
-    if (Date.now() > expires_at) {
-        // Try to refresh using stored refresh token
-        const newTokens = await refreshNavigraphToken(refresh_token);
-        if (!newTokens.success) return res.status(401).json({ authenticated: false });
+/**
+ * Loads the caller's session and its Navigraph account id. Sessions created before
+ * account ids were stored get theirs from the access token.
+ */
+async function loadCallerSession(req) {
+    const sessionId = req.cookies.session_id;
+    if (!sessionId) return null;
+    const session = await getSession(sessionId);
+    if (!session) return null;
 
-        await updateSessionTokens(sessionId, newTokens.access_token, newTokens.refresh_token, newTokens.expires_in);
-        access_token = newTokens.access_token;
+    if (!session.user_id) {
+        session.user_id = tokenSubject(session.access_token);
+        if (session.user_id) await setSessionUser(sessionId, session.user_id);
     }
+    return session;
+}
 
-    const sub = await validateFmsDataSubscription(access_token);
+// LOGOUT: Deletes the current session and its cookie
+router.post('/logout', async (req, res) => {
+    const sessionId = req.cookies.session_id;
+    if (sessionId) {
+        await deleteSession(sessionId);
+        forgetNavSession(sessionId);
+    }
+    res.clearCookie('session_id', { httpOnly: true, secure: cookieSecure });
+    res.json({ success: true });
+});
+
+// SESSIONS: Active sessions of the caller's Navigraph account
+router.get('/sessions', async (req, res) => {
+    const session = await loadCallerSession(req);
+    if (!session) return res.status(401).json({ error: 'Not authenticated' });
+
+    // Without an account id only the current session can be shown
+    const rows = session.user_id ? await listUserSessions(session.user_id) : [session];
+    res.json({
+        sessions: rows.map(row => ({
+            id: publicSessionId(row.session_id),
+            device: describeDevice(row.user_agent),
+            createdAt: row.created_at || null,
+            lastUsedAt: row.last_used_at || null,
+            current: row.session_id === session.session_id
+        }))
+    });
+});
 
-    return res.json({ authenticated: true, subscription: sub });
-});
\ No newline at end of file
+// REVOKE: Signs out one of the caller's sessions (by its public id)
+router.delete('/sessions/:id', async (req, res) => {
+    const session = await loadCallerSession(req);
+    if (!session) return res.status(401).json({ error: 'Not authenticated' });
+
+    const rows = session.user_id ? await listUserSessions(session.user_id) : [session];
+    const target = rows.find(row => publicSessionId(row.session_id) === req.params.id);
+    if (!target) return res.status(404).json({ error: 'Session not found' });
+
+    await deleteSession(target.session_id);
+    forgetNavSession(target.session_id);
+    if (target.session_id === session.session_id) {
+        res.clearCookie('session_id', { httpOnly: true, secure: cookieSecure });
+    }
+    res.json({ success: true, current: target.session_id === session.session_id });
+});
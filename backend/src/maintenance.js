@@ -0,0 +1,20 @@
+// src/maintenance.js
+const { cleanupExpiredSessions } = require('./session-store');
+
+/**
+ * Nightly job: removes expired sessions.
+ * @returns {Promise<number|null>} Number of sessions removed, or null if the cleanup failed.
+ */
+async function runSessionCleanup() {
+    console.log('[Maintenance] Cleaning up expired sessions...');
+    try {
+        const count = await cleanupExpiredSessions();
+        console.log(`[Maintenance] Cleanup complete. Removed ${count} expired sessions.`);
+        return count;
+    } catch (err) {
+        console.error('[Maintenance] Cleanup failed:', err.message);
+        return null;
+    }
+}
+
+module.exports = { runSessionCleanup };
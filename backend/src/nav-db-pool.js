@@ -0,0 +1,68 @@
+// src/nav-db-pool.js
+const sqlite3 = require('sqlite3');
+const { open } = require('sqlite');
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR, navDataEvents, getPackageStatus } = require('./navdata-manager');
+const { loadNavQuery } = require('./nav-query');
+
+// A replaced handle may still be serving queries; close it after this delay
+const RETIRED_HANDLE_CLOSE_DELAY_MS = 30 * 1000;
+
+// filename -> Promise<{ db, version }>
+const handles = new Map();
+
+/**
+ * Identifies the data inside a cycle file ('2501r1'), falling back to the
+ * file's modification time when metadata.json does not describe it.
+ */
+function fileVersion(filename) {
+    const status = getPackageStatus(path.basename(filename, '.sqlite'));
+    if (status && status.cycle) return `${status.cycle}r${status.revision}`;
+    const filePath = path.join(DATA_DIR, filename);
+    return fs.existsSync(filePath) ? `m${fs.statSync(filePath).mtimeMs}` : 'missing';
+}
+
+async function openHandle(filename) {
+    const db = await open({
+        filename: path.join(DATA_DIR, filename),
+        driver: sqlite3.Database,
+        mode: sqlite3.OPEN_READONLY
+    });
+    await (await loadNavQuery()).loadSpatialIndex(db);
+    return { db, version: fileVersion(filename) };
+}
+
+/**
+ * Returns the shared read-only handle for a cycle file ('current.sqlite' or
+ * 'outdated.sqlite'), opening it on first use. Callers must not close it.
+ * @returns {Promise<{db: object, version: string}>} The handle and the cycle it serves.
+ */
+function getNavDB(filename) {
+    if (!handles.has(filename)) {
+        const pending = openHandle(filename);
+        // Do not keep a failed open around; the next request retries
+        pending.catch(() => handles.delete(filename));
+        handles.set(filename, pending);
+    }
+    return handles.get(filename);
+}
+
+/**
+ * Drops the handle of a file that was replaced on disk. The old connection keeps
+ * reading the replaced file until it is closed, so in-flight queries still finish.
+ */
+function retireHandle(filename) {
+    const pending = handles.get(filename);
+    if (!pending) return;
+    handles.delete(filename);
+    setTimeout(() => {
+        pending
+            .then(({ db }) => db.close())
+            .catch(err => console.warn(`[NavData] Failed to close retired handle for ${filename}:`, err.message));
+    }, RETIRED_HANDLE_CLOSE_DELAY_MS).unref();
+}
+
+navDataEvents.on('installed', kind => retireHandle(`${kind}.sqlite`));
+
+module.exports = { getNavDB };
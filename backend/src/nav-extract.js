@@ -0,0 +1,213 @@
+// src/nav-extract.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const sqlite3 = require('sqlite3');
+const { open } = require('sqlite');
+const { DATA_DIR, getPackageStatus, navDataEvents } = require('./navdata-manager');
+const { boundsAround, parseRangeNm } = require('./airport-catalogue');
+const { loadNavQuery } = require('./nav-query');
+
+// Extracts are kept per cycle in <EXTRACT_DIR>/<cycle>r<revision>/<ICAO>-<range>.sqlite
+const EXTRACT_DIR = path.join(DATA_DIR, 'extracts');
+
+// Extracts being written, by file path, so that concurrent requests share one build
+const pending = new Map();
+
+// How each DFD table is cut down to the area of an extract:
+//   point: rows whose coordinates are inside the area
+//   group: every row of a route or airspace that has a point inside the area
+//   airport: procedure legs of the airports inside the area
+//   whole: copied as is
+const EXTRACT_TABLES = {
+    tbl_header: { whole: true },
+    tbl_airports: { point: ['airport_ref_longitude', 'airport_ref_latitude'] },
+    tbl_runways: { point: ['runway_longitude', 'runway_latitude'] },
+    tbl_localizers_glideslopes: { point: ['llz_longitude', 'llz_latitude'] },
+    tbl_vhfnavaids: { point: ['vor_longitude', 'vor_latitude'] },
+    tbl_enroute_ndbnavaids: { point: ['ndb_longitude', 'ndb_latitude'] },
+    tbl_terminal_ndbnavaids: { point: ['ndb_longitude', 'ndb_latitude'] },
+    tbl_enroute_waypoints: { point: ['waypoint_longitude', 'waypoint_latitude'] },
+    tbl_terminal_waypoints: { point: ['waypoint_longitude', 'waypoint_latitude'] },
+    tbl_holdings: { point: ['waypoint_longitude', 'waypoint_latitude'] },
+    tbl_enroute_airways: { group: 'route_identifier', points: [['waypoint_longitude', 'waypoint_latitude']] },
+    tbl_controlled_airspace: {
+        group: 'airspace_center',
+        points: [['longitude', 'latitude'], ['arc_origin_longitude', 'arc_origin_latitude']]
+    },
+    tbl_restrictive_airspace: {
+        group: 'restrictive_airspace_designation',
+        points: [['longitude', 'latitude'], ['arc_origin_longitude', 'arc_origin_latitude']]
+    },
+    tbl_iaps: { airport: true },
+    tbl_stars: { airport: true },
+    tbl_sids: { airport: true }
+};
+
+/**
+ * SQL condition (and its parameters) matching coordinate columns inside any part of the area.
+ */
+function inArea(parts, columns) {
+    const clauses = [];
+    const params = [];
+    for (const [lon, lat] of columns) {
+        for (const part of parts) {
+            clauses.push(`(${lon} BETWEEN ? AND ? AND ${lat} BETWEEN ? AND ?)`);
+            params.push(part.minLon, part.maxLon, part.minLat, part.maxLat);
+        }
+    }
+    return { sql: clauses.join(' OR '), params };
+}
+
+/**
+ * Filter selecting the rows of one table that belong in the extract.
+ */
+function extractFilter(table, rule, parts) {
+    if (rule.whole) return { sql: '1', params: [] };
+    if (rule.point) return inArea(parts, [rule.point]);
+    if (rule.airport) {
+        const airports = inArea(parts, [EXTRACT_TABLES.tbl_airports.point]);
+        return {
+            sql: `airport_identifier IN (SELECT airport_identifier FROM dfd.tbl_airports WHERE ${airports.sql})`,
+            params: airports.params
+        };
+    }
+    const area = inArea(parts, rule.points);
+    return {
+        sql: `${rule.group} IN (SELECT DISTINCT ${rule.group} FROM dfd.${table} WHERE ${area.sql})`,
+        params: area.params
+    };
+}
+
+/**
+ * Identifies the package a cycle file holds ('2510r1'), or null when metadata.json
+ * does not describe it.
+ */
+function packageVersion(kind) {
+    const status = getPackageStatus(kind);
+    return status && status.cycle ? `${status.cycle}r${status.revision}` : null;
+}
+
+/**
+ * Writes a trimmed copy of a cycle file around one airport: the tables the scope
+ * queries, cut down to a square of `range` NM around the airport reference point,
+ * plus a tbl_extract row describing the extract. R*Tree side-indexes are left out,
+ * since the browser's sql.js build has no R*Tree module.
+ * @param {string} kind - 'current' or 'outdated'.
+ * @param {string} icao - Airport ICAO code.
+ * @param {number} range - Radius of the area in NM.
+ * @param {string} filePath - Where to write the extract.
+ * @returns {Promise<object|null>} The tbl_extract row, or null for an unknown airport.
+ */
+async function writeExtract(kind, icao, range, filePath) {
+    const { splitBbox } = await loadNavQuery();
+    const status = getPackageStatus(kind) || {};
+
+    const db = await open({ filename: filePath, driver: sqlite3.Database });
+    try {
+        await db.run('ATTACH DATABASE ? AS dfd', path.join(DATA_DIR, `${kind}.sqlite`));
+        const airport = await db.get(
+            `SELECT airport_ref_latitude AS lat, airport_ref_longitude AS lon FROM dfd.tbl_airports WHERE airport_identifier = ?`,
+            icao
+        );
+        if (!airport) return null;
+
+        const bounds = boundsAround(airport.lat, airport.lon, range);
+        const parts = splitBbox(bounds);
+        const schemas = new Map((await db.all(`SELECT name, sql FROM dfd.sqlite_master WHERE type = 'table'`)).map(t => [t.name, t.sql]));
+
+        await db.exec('BEGIN');
+        for (const [table, rule] of Object.entries(EXTRACT_TABLES)) {
+            if (!schemas.has(table)) continue;
+            const filter = extractFilter(table, rule, parts);
+            await db.exec(schemas.get(table));
+            await db.run(`INSERT INTO main.${table} SELECT * FROM dfd.${table} WHERE ${filter.sql}`, filter.params);
+        }
+
+        const info = {
+            airport_identifier: icao,
+            airac_cycle: status.cycle || null,
+            revision: status.revision || null,
+            range_nm: range,
+            min_lat: bounds.minLat,
+            max_lat: bounds.maxLat,
+            min_lon: bounds.minLon,
+            max_lon: bounds.maxLon,
+            created_at: new Date().toISOString()
+        };
+        const columns = Object.keys(info);
+        await db.exec(`CREATE TABLE tbl_extract (${columns.join(', ')})`);
+        await db.run(`INSERT INTO tbl_extract VALUES (${columns.map(() => '?').join(', ')})`, Object.values(info));
+        await db.exec('COMMIT');
+        await db.run('DETACH DATABASE dfd');
+        return info;
+    } finally {
+        await db.close();
+    }
+}
+
+/**
+ * Writes an extract next to its final path and renames it into place. An extract is
+ * only kept if the cycle file was not replaced while it was written.
+ * @returns {Promise<{filePath: string, version: string}|null>} Null for an unknown airport.
+ */
+async function buildExtract(kind, version, icao, range, filePath) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${crypto.randomUUID()}.tmp`;
+    try {
+        const info = await writeExtract(kind, icao, range, tempPath);
+        if (!info) return null;
+        // Written while a new package was installed: build again from the new file
+        if (packageVersion(kind) !== version) return getExtract(`${kind}.sqlite`, icao, range);
+        fs.renameSync(tempPath, filePath);
+        console.log(`[NavData] Built extract ${icao} ${range} NM for ${version}`);
+        return { filePath, version };
+    } finally {
+        fs.rmSync(tempPath, { force: true });
+    }
+}
+
+/**
+ * Returns the extract around an airport from the cycle served to the session,
+ * building it on first request and serving it from disk until the cycle changes.
+ * @param {string} dbFileName - 'current.sqlite' or 'outdated.sqlite'.
+ * @param {string} icao - Airport ICAO code.
+ * @param {number|string} rangeNm - Radius of the area, clamped like the airport
+ *   catalogue's and rounded up to whole NM.
+ * @returns {Promise<{filePath: string, version: string}|null>} Null for an unknown airport.
+ */
+async function getExtract(dbFileName, icao, rangeNm) {
+    const kind = path.basename(dbFileName, '.sqlite');
+    const version = packageVersion(kind);
+    if (!version) throw new Error(`No package metadata for ${dbFileName}`);
+
+    const range = Math.ceil(parseRangeNm(rangeNm));
+    const filePath = path.join(EXTRACT_DIR, version, `${icao}-${range}.sqlite`);
+    if (fs.existsSync(filePath)) return { filePath, version };
+
+    if (!pending.has(filePath)) {
+        const build = buildExtract(kind, version, icao, range, filePath);
+        pending.set(filePath, build);
+        build.then(() => pending.delete(filePath), () => pending.delete(filePath));
+    }
+    return pending.get(filePath);
+}
+
+/**
+ * Deletes the extracts of cycles that are no longer installed. Files being sent are
+ * unlinked only, so their downloads still complete.
+ */
+function pruneExtracts() {
+    if (!fs.existsSync(EXTRACT_DIR)) return;
+    const installed = new Set(['current', 'outdated'].map(packageVersion));
+    for (const version of fs.readdirSync(EXTRACT_DIR)) {
+        if (installed.has(version)) continue;
+        fs.rmSync(path.join(EXTRACT_DIR, version), { recursive: true, force: true });
+        console.log(`[NavData] Removed extracts of ${version}`);
+    }
+}
+
+// A new package invalidates the extracts of the one it replaced
+navDataEvents.on('installed', pruneExtracts);
+
+module.exports = { EXTRACT_DIR, EXTRACT_TABLES, getExtract, pruneExtracts };
@@ -0,0 +1,20 @@
+// src/nav-query.js
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+// The nav data queries are the browser's ES modules (public/js/navdata), shared so
+// that an offline extract answers exactly like the API does
+const NAV_QUERY_MODULE = path.join(__dirname, '../../public/js/navdata/index.js');
+
+let queries = null;
+
+/**
+ * Loads the shared nav data queries once.
+ * @returns {Promise<object>} Exports of public/js/navdata/index.js.
+ */
+async function loadNavQuery() {
+    if (!queries) queries = await import(pathToFileURL(NAV_QUERY_MODULE).href);
+    return queries;
+}
+
+module.exports = { loadNavQuery };
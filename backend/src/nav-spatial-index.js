@@ -0,0 +1,45 @@
+// src/nav-spatial-index.js
+const sqlite3 = require('sqlite3');
+const { open } = require('sqlite');
+
+const { loadNavQuery } = require('./nav-query');
+
+/**
+ * Adds the R*Tree side-indexes to a freshly downloaded DFD file (before it is swapped in).
+ * Everything is written in one transaction, so a failure leaves the file as downloaded
+ * and the bbox queries simply fall back to plain column filters.
+ * @param {string} filePath - Path of the SQLite file.
+ * @returns {Promise<string[]>} Tables that were indexed.
+ */
+async function buildSpatialIndex(filePath) {
+    const { SPATIAL_INDEXES, indexName } = await loadNavQuery();
+    const db = await open({ filename: filePath, driver: sqlite3.Database });
+    try {
+        const existing = new Set((await db.all(`SELECT name FROM sqlite_master WHERE type = 'table'`)).map(t => t.name));
+        const tables = Object.keys(SPATIAL_INDEXES).filter(table => existing.has(table));
+
+        await db.exec('BEGIN');
+        try {
+            for (const table of tables) {
+                const { lon, lat } = SPATIAL_INDEXES[table];
+                const index = indexName(table);
+                await db.exec(`DROP TABLE IF EXISTS ${index}`);
+                await db.exec(`CREATE VIRTUAL TABLE ${index} USING rtree(id, min_lon, max_lon, min_lat, max_lat)`);
+                await db.exec(
+                    `INSERT INTO ${index} (id, min_lon, max_lon, min_lat, max_lat)
+                     SELECT rowid, ${lon}, ${lon}, ${lat}, ${lat} FROM ${table}
+                     WHERE ${lon} IS NOT NULL AND ${lat} IS NOT NULL`
+                );
+            }
+            await db.exec('COMMIT');
+        } catch (err) {
+            await db.exec('ROLLBACK');
+            throw err;
+        }
+        return tables;
+    } finally {
+        await db.close();
+    }
+}
+
+module.exports = { buildSpatialIndex };
@@ -1,11 +1,20 @@
 // src/navdata-manager.js
 const axios = require('axios');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
 const fs = require('fs');
 const path = require('path');
+const { validateNavDatabase } = require('./navdata-validation');
+const { buildSpatialIndex } = require('./nav-spatial-index');
+const { TOKEN_URL, PACKAGES_URL } = require('./navigraph-config');
 
-const DATA_DIR = path.join(__dirname, '../data');
+// Cycle files and metadata.json; DATA_DIR lets tests and local setups point elsewhere
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '../data');
 const METADATA_FILE = path.join(DATA_DIR, 'metadata.json');
 
+// Emits 'installed' (kind) once a new cycle file is live and metadata.json describes it
+const navDataEvents = new EventEmitter();
+
 // Ensure data directory exists (safe for nested paths)
 if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
 
@@ -24,25 +33,76 @@ function loadMetadata() {
 }
 
 /**
- * Save metadata to disk
+ * Save metadata to disk (written to a temp file and renamed so readers never see a partial file)
  */
 function saveMetadata(data) {
-    fs.writeFileSync(METADATA_FILE, JSON.stringify(data, null, 2));
+    const tempFile = `${METADATA_FILE}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(data, null, 2));
+    fs.renameSync(tempFile, METADATA_FILE);
+}
+
+// AIRAC cycles are 28 days long; 2401 became effective on 25 Jan 2024
+const AIRAC_REFERENCE_DATE = Date.UTC(2024, 0, 25);
+const AIRAC_CYCLE_MS = 28 * 24 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Effective period of an AIRAC cycle ('YYNN'), as ISO dates (last day inclusive)
+ */
+function airacEffectiveDates(cycle) {
+    const match = /^(\d{2})(\d{2})$/.exec(String(cycle || ''));
+    if (!match) return { effectiveFrom: null, effectiveTo: null };
+
+    // First cycle of the year is the first AIRAC date on or after 1 January
+    const yearStart = Date.UTC(2000 + Number(match[1]), 0, 1);
+    const firstOfYear = AIRAC_REFERENCE_DATE + Math.ceil((yearStart - AIRAC_REFERENCE_DATE) / AIRAC_CYCLE_MS) * AIRAC_CYCLE_MS;
+    const from = firstOfYear + (Number(match[2]) - 1) * AIRAC_CYCLE_MS;
+    const to = from + AIRAC_CYCLE_MS - DAY_MS;
+    const iso = ms => new Date(ms).toISOString().slice(0, 10);
+    return { effectiveFrom: iso(from), effectiveTo: iso(to) };
+}
+
+/**
+ * Describes one local package ('current' or 'outdated') for /api/navdata/status
+ */
+function getPackageStatus(kind) {
+    const entry = loadMetadata()[kind];
+    if (!entry) return null;
+
+    // Metadata written before update times were tracked falls back to the file date
+    let updatedAt = entry.updatedAt || null;
+    const filePath = path.join(DATA_DIR, `${kind}.sqlite`);
+    if (!updatedAt && fs.existsSync(filePath)) updatedAt = fs.statSync(filePath).mtime.toISOString();
+
+    return {
+        cycle: entry.cycle,
+        revision: entry.revision,
+        ...airacEffectiveDates(entry.cycle),
+        updatedAt
+    };
 }
 
 /**
- * Helper to download a file stream
+ * Helper to download a file stream into a temporary file.
+ * Resolves with the number of bytes written and their SHA-256 hash; rejects if
+ * the byte count does not match the announced Content-Length.
  */
-async function downloadFile(url, filename) {
-    const filePath = path.join(DATA_DIR, filename);
+async function downloadFile(url, filePath) {
     const writer = fs.createWriteStream(filePath);
+    const hash = crypto.createHash('sha256');
+    let bytes = 0;
 
     const response = await axios({
         url,
         method: 'GET',
         responseType: 'stream'
     });
+    const expectedBytes = parseInt(response.headers && response.headers['content-length'], 10);
 
+    response.data.on('data', chunk => {
+        bytes += chunk.length;
+        hash.update(chunk);
+    });
     response.data.pipe(writer);
 
     return new Promise((resolve, reject) => {
@@ -52,7 +112,13 @@ async function downloadFile(url, filename) {
             reject(err);
         });
 
-        writer.on('finish', resolve);
+        writer.on('finish', () => {
+            if (Number.isFinite(expectedBytes) && bytes !== expectedBytes) {
+                reject(new Error(`Size mismatch: expected ${expectedBytes} bytes, got ${bytes}`));
+                return;
+            }
+            resolve({ bytes, sha256: hash.digest('hex') });
+        });
         writer.on('error', err => {
             // Ensure response stream is destroyed on writer error
             if (response.data && typeof response.data.destroy === 'function') response.data.destroy();
@@ -61,6 +127,92 @@ async function downloadFile(url, filename) {
     });
 }
 
+function removeIfExists(filePath) {
+    if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+}
+
+/**
+ * Downloads, verifies and installs one package as `<kind>.sqlite`.
+ *
+ * The file is downloaded next to the live one (`<kind>.sqlite.download`) and only
+ * swapped in with an atomic rename once it passed the size/hash and SQLite checks,
+ * so requests never open a half-written database. The replaced file is kept as
+ * `<kind>.previous.sqlite`.
+ * @param {string} kind - 'current' or 'outdated'.
+ * @param {object} pkg - Package entry from the Navigraph packages API.
+ * @returns {Promise<{sha256: string, bytes: number}>} Rejects if the package was not installed.
+ */
+async function installPackage(kind, pkg) {
+    const livePath = path.join(DATA_DIR, `${kind}.sqlite`);
+    const tempPath = `${livePath}.download`;
+    const previousPath = path.join(DATA_DIR, `${kind}.previous.sqlite`);
+    const file = pkg.files[0];
+
+    removeIfExists(tempPath);
+    try {
+        const download = await downloadFile(file.signed_url, tempPath);
+
+        // Only compare when the API announces a SHA-256 digest
+        const expectedHash = typeof file.hash === 'string' && /^[0-9a-f]{64}$/i.test(file.hash) ? file.hash.toLowerCase() : null;
+        if (expectedHash && expectedHash !== download.sha256) {
+            throw new Error(`Hash mismatch: expected ${expectedHash}, got ${download.sha256}`);
+        }
+
+        const check = await validateNavDatabase(tempPath);
+        if (!check.ok) throw new Error(`Validation failed: ${check.error}`);
+
+        // Side-index for bbox queries; without it the endpoints are slower but still correct
+        try {
+            const indexed = await buildSpatialIndex(tempPath);
+            console.log(`[NavData] Built spatial index for ${indexed.length} tables.`);
+        } catch (err) {
+            console.warn(`[NavData] Spatial index build failed, serving ${kind} without it:`, err.message);
+        }
+
+        // Keep the cycle being replaced, then swap the new file in atomically
+        if (fs.existsSync(livePath)) fs.copyFileSync(livePath, previousPath);
+        fs.renameSync(tempPath, livePath);
+        return download;
+    } finally {
+        removeIfExists(tempPath);
+    }
+}
+
+/**
+ * Handles one package kind: installs it if the API offers a different cycle/revision.
+ * A package that fails verification is discarded and the local cycle keeps being served.
+ * @returns {Promise<boolean>} True if the metadata changed.
+ */
+async function processPackage(kind, pkg, localMetadata) {
+    const label = kind === 'current' ? 'Current' : 'Outdated';
+    const apiCycle = pkg.cycle;
+    const apiRev = pkg.revision;
+
+    // Check if we need to update
+    const local = localMetadata[kind];
+    const needsUpdate = !local || local.cycle !== apiCycle || local.revision !== apiRev;
+
+    if (!needsUpdate) {
+        console.log(`[NavData] ${label} Cycle is up to date (${local.cycle} r${local.revision}).`);
+        return false;
+    }
+
+    console.log(`[NavData] New ${label} Cycle found: ${apiCycle} rev ${apiRev}. Downloading...`);
+    try {
+        const download = await installPackage(kind, pkg);
+
+        // Update Metadata Object, remembering the cycle kept as <kind>.previous.sqlite
+        localMetadata.previous = { ...(localMetadata.previous || {}), [kind]: local ? { cycle: local.cycle, revision: local.revision, updatedAt: local.updatedAt || null } : null };
+        localMetadata[kind] = { cycle: apiCycle, revision: apiRev, updatedAt: new Date().toISOString(), sha256: download.sha256, bytes: download.bytes };
+        console.log(`[NavData] ${label} Cycle updated successfully.`);
+        return true;
+    } catch (err) {
+        const kept = local ? `${local.cycle} r${local.revision}` : 'none';
+        console.error(`[NavData] ${label} Cycle ${apiCycle} rev ${apiRev} rejected (keeping ${kept}):`, err.message);
+        return false;
+    }
+}
+
 /**
  * Main Update Function
  */
@@ -69,11 +221,11 @@ async function updateNavData() {
     
     // 1. Load Local State
     const localMetadata = loadMetadata();
-    let metadataUpdated = false;
+    const installed = [];
 
     try {
         // 2. Get Access Token (Client Credentials)
-        const tokenRes = await axios.post('https://identity.navigraph.com/connect/token', 
+        const tokenRes = await axios.post(TOKEN_URL, 
             new URLSearchParams({
                 grant_type: 'client_credentials',
                 client_id: process.env.NAVIGRAPH_CLIENT_ID,
@@ -85,7 +237,7 @@ async function updateNavData() {
         const accessToken = tokenRes.data.access_token;
 
         // 3. Get Available Packages from Navigraph
-        const pkgRes = await axios.get('https://api.navigraph.com/v1/navdata/packages', {
+        const pkgRes = await axios.get(PACKAGES_URL, {
             headers: { 'Authorization': `Bearer ${accessToken}` }
         });
 
@@ -99,52 +251,20 @@ async function updateNavData() {
         };
 
         // 4. Process "Current" Cycle
-        if (apiPackages.current) {
-            const apiCycle = apiPackages.current.cycle;
-            const apiRev = apiPackages.current.revision;
-            
-            // Check if we need to update
-            const local = localMetadata.current;
-            const needsUpdate = !local || local.cycle !== apiCycle || local.revision !== apiRev;
-
-            if (needsUpdate) {
-                console.log(`[NavData] New Current Cycle found: ${apiCycle} rev ${apiRev}. Downloading...`);
-                await downloadFile(apiPackages.current.files[0].signed_url, 'current.sqlite');
-                
-                // Update Metadata Object
-                localMetadata.current = { cycle: apiCycle, revision: apiRev };
-                metadataUpdated = true;
-                console.log('[NavData] Current Cycle updated successfully.');
-            } else {
-                console.log(`[NavData] Current Cycle is up to date (${local.cycle} r${local.revision}).`);
-            }
+        if (apiPackages.current && await processPackage('current', apiPackages.current, localMetadata)) {
+            installed.push('current');
         }
 
         // 5. Process "Outdated" Cycle
-        if (apiPackages.outdated) {
-            const apiCycle = apiPackages.outdated.cycle;
-            const apiRev = apiPackages.outdated.revision;
-
-            const local = localMetadata.outdated;
-            const needsUpdate = !local || local.cycle !== apiCycle || local.revision !== apiRev;
-
-            if (needsUpdate) {
-                console.log(`[NavData] New Outdated Cycle found: ${apiCycle} rev ${apiRev}. Downloading...`);
-                await downloadFile(apiPackages.outdated.files[0].signed_url, 'outdated.sqlite');
-
-                // Update Metadata Object
-                localMetadata.outdated = { cycle: apiCycle, revision: apiRev };
-                metadataUpdated = true;
-                console.log('[NavData] Outdated Cycle updated successfully.');
-            } else {
-                console.log(`[NavData] Outdated Cycle is up to date (${local.cycle} r${local.revision}).`);
-            }
+        if (apiPackages.outdated && await processPackage('outdated', apiPackages.outdated, localMetadata)) {
+            installed.push('outdated');
         }
 
         // 6. Save changes to disk
-        if (metadataUpdated) {
+        if (installed.length > 0) {
             saveMetadata(localMetadata);
             console.log('[NavData] Metadata saved.');
+            installed.forEach(kind => navDataEvents.emit('installed', kind));
         }
 
     } catch (error) {
@@ -152,4 +272,4 @@ async function updateNavData() {
     }
 }
 
-module.exports = { updateNavData };
\ No newline at end of file
+module.exports = { DATA_DIR, updateNavData, getPackageStatus, navDataEvents };
\ No newline at end of file
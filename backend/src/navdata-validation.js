@@ -0,0 +1,60 @@
+// src/navdata-validation.js
+const sqlite3 = require('sqlite3');
+const { open } = require('sqlite');
+
+// Tables (and the columns the endpoints rely on) a DFD file must provide before it is served
+const REQUIRED_SCHEMA = {
+    tbl_header: ['current_airac'],
+    tbl_airports: ['airport_identifier', 'airport_ref_latitude', 'airport_ref_longitude', 'ifr_capability'],
+    tbl_enroute_waypoints: ['waypoint_identifier', 'waypoint_latitude', 'waypoint_longitude'],
+    tbl_terminal_waypoints: ['waypoint_identifier', 'waypoint_latitude', 'waypoint_longitude'],
+    tbl_vhfnavaids: ['vor_identifier', 'vor_latitude', 'vor_longitude'],
+    tbl_runways: ['airport_identifier', 'runway_identifier', 'runway_latitude', 'runway_longitude'],
+    tbl_localizers_glideslopes: ['llz_identifier', 'llz_latitude', 'llz_longitude'],
+    tbl_iaps: ['airport_identifier', 'procedure_identifier', 'seqno'],
+    tbl_stars: ['airport_identifier', 'procedure_identifier', 'seqno'],
+    tbl_sids: ['airport_identifier', 'procedure_identifier', 'seqno'],
+    tbl_holdings: ['waypoint_identifier', 'waypoint_latitude', 'waypoint_longitude'],
+    tbl_enroute_airways: ['route_identifier', 'seqno', 'waypoint_latitude', 'waypoint_longitude'],
+    tbl_controlled_airspace: ['airspace_center', 'seqno'],
+    tbl_restrictive_airspace: ['restrictive_airspace_designation', 'seqno']
+};
+
+/**
+ * Checks that a downloaded DFD file is a sound SQLite database with the expected schema.
+ * Runs `PRAGMA integrity_check`, probes every required table/column and makes sure
+ * there is at least one airport.
+ * @param {string} filePath - Path of the SQLite file to check.
+ * @returns {Promise<{ok: boolean, error?: string}>}
+ */
+async function validateNavDatabase(filePath) {
+    let db;
+    try {
+        db = await open({ filename: filePath, driver: sqlite3.Database, mode: sqlite3.OPEN_READONLY });
+
+        const integrity = await db.all('PRAGMA integrity_check');
+        const problems = integrity.map(r => r.integrity_check).filter(msg => msg !== 'ok');
+        if (problems.length > 0) {
+            return { ok: false, error: `integrity_check failed: ${problems.slice(0, 3).join('; ')}` };
+        }
+
+        for (const [table, columns] of Object.entries(REQUIRED_SCHEMA)) {
+            const info = await db.all(`PRAGMA table_info(${table})`);
+            if (info.length === 0) return { ok: false, error: `missing table ${table}` };
+            const names = new Set(info.map(c => c.name));
+            const missing = columns.filter(c => !names.has(c));
+            if (missing.length > 0) return { ok: false, error: `${table} is missing ${missing.join(', ')}` };
+        }
+
+        const { count } = await db.get('SELECT COUNT(*) AS count FROM tbl_airports');
+        if (!count) return { ok: false, error: 'tbl_airports is empty' };
+
+        return { ok: true };
+    } catch (err) {
+        return { ok: false, error: err.message };
+    } finally {
+        if (db) await db.close().catch(() => {});
+    }
+}
+
+module.exports = { validateNavDatabase, REQUIRED_SCHEMA };
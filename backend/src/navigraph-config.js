@@ -0,0 +1,14 @@
+// src/navigraph-config.js
+
+// Navigraph endpoints. Override them to run against the bundled mock server
+// (backend/mock/navigraph-mock.js) or another test double.
+const IDENTITY_URL = (process.env.NAVIGRAPH_IDENTITY_URL || 'https://identity.navigraph.com').replace(/\/+$/, '');
+const API_URL = (process.env.NAVIGRAPH_API_URL || 'https://api.navigraph.com').replace(/\/+$/, '');
+// Domain whose /.well-known/jwks holds the keys that sign access tokens
+const JWKS_DOMAIN = (process.env.NAVIGRAPH_JWKS_DOMAIN || 'https://identity.api.navigraph.com').replace(/\/+$/, '');
+
+const TOKEN_URL = `${IDENTITY_URL}/connect/token`;
+const AUTHORIZE_URL = `${IDENTITY_URL}/connect/authorize`;
+const PACKAGES_URL = `${API_URL}/v1/navdata/packages`;
+
+module.exports = { IDENTITY_URL, API_URL, JWKS_DOMAIN, TOKEN_URL, AUTHORIZE_URL, PACKAGES_URL };
@@ -0,0 +1,97 @@
+// src/query-cache.js
+const crypto = require('crypto');
+const zlib = require('zlib');
+
+// Serialized responses kept in memory; a TMA load is roughly a dozen entries
+const MAX_ENTRIES = 300;
+
+// Bodies and their compressed copies together; a bundle body alone can take several MB
+const MAX_BYTES = 64 * 1024 * 1024;
+
+// Query params the cached routes read; any other param (a cache buster, a typo) is left
+// out of the key, so it cannot create entries that push out the real ones
+const KEY_PARAMS = ['minLon', 'maxLon', 'minLat', 'maxLat', 'bbox', 'airports', 'format', 'q', 'limit', 'range', 'country'];
+
+// key -> { key, body, etag, encoded, bytes }; Map iteration order doubles as the LRU order
+const entries = new Map();
+let totalBytes = 0;
+
+/**
+ * Builds a cache key from the data type, the cycle version and the query params
+ * the routes read (in a fixed order, so parameter order does not matter).
+ */
+function cacheKey(type, version, query) {
+    const params = KEY_PARAMS
+        .filter(k => query && query[k] !== undefined)
+        .map(k => `${k}=${query[k]}`)
+        .join('&');
+    return `${version}|${type}|${params}`;
+}
+
+function remove(key) {
+    const entry = entries.get(key);
+    if (!entry) return;
+    entries.delete(key);
+    totalBytes -= entry.bytes;
+}
+
+/**
+ * Drops the least recently used entries until both limits are met.
+ */
+function evict() {
+    while (entries.size > MAX_ENTRIES || (totalBytes > MAX_BYTES && entries.size > 0)) {
+        remove(entries.keys().next().value);
+    }
+}
+
+function get(key) {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    // Move to the most recently used end
+    entries.delete(key);
+    entries.set(key, entry);
+    return entry;
+}
+
+/**
+ * Stores a JSON response body and returns the entry with its ETag.
+ */
+function set(key, body) {
+    const json = JSON.stringify(body);
+    const etag = `"${crypto.createHash('sha1').update(json).digest('base64url')}"`;
+    const entry = { key, body: json, etag, encoded: {}, bytes: Buffer.byteLength(json) };
+    remove(key);
+    entries.set(key, entry);
+    totalBytes += entry.bytes;
+    evict();
+    return entry;
+}
+
+/**
+ * Returns the body of an entry compressed with 'br' or 'gzip', compressing it on first use.
+ */
+function compressed(entry, encoding) {
+    if (!entry.encoded[encoding]) {
+        entry.encoded[encoding] = encoding === 'br'
+            // Quality 5 keeps large bundles fast to compress at a ratio close to the maximum
+            ? zlib.brotliCompressSync(entry.body, { params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 5 } })
+            : zlib.gzipSync(entry.body);
+        entry.bytes += entry.encoded[encoding].length;
+        // An entry evicted meanwhile is no longer counted
+        if (entries.get(entry.key) === entry) {
+            totalBytes += entry.encoded[encoding].length;
+            evict();
+        }
+    }
+    return entry.encoded[encoding];
+}
+
+/**
+ * Drops every entry (called when a cycle file is replaced).
+ */
+function clear() {
+    entries.clear();
+    totalBytes = 0;
+}
+
+module.exports = { cacheKey, get, set, compressed, clear };
@@ -0,0 +1,142 @@
+// src/realtime.js
+const crypto = require('crypto');
+const { WebSocketServer } = require('ws');
+const cookieParser = require('cookie-parser');
+const { loadNavSession } = require('./auth-middleware');
+const rooms = require('./rooms');
+
+const REALTIME_PATH = '/api/rooms/ws';
+const MAX_MESSAGE_BYTES = 256 * 1024;
+
+// Connections that miss a ping for this long are dropped (and leave their room)
+const HEARTBEAT_MS = 30 * 1000;
+
+// A ticket must be used this soon after it was issued
+const TICKET_TTL_MS = 30 * 1000;
+
+// ticket -> { sessionId, expiresAt }
+const tickets = new Map();
+
+/**
+ * Where browsers open the room socket. Vercel rewrites do not forward WebSocket
+ * upgrades, so a frontend served through them needs REALTIME_URL: a wss:// origin
+ * that reaches this server directly (e.g. a TLS proxy in front of port 3000).
+ * @returns {string|null} The socket URL, or null to use the page's API origin.
+ */
+function socketUrl() {
+    const base = (process.env.REALTIME_URL || '').trim();
+    return base ? `${new URL(base).origin}${REALTIME_PATH}` : null;
+}
+
+/**
+ * Issues a single-use ticket that opens the room socket for a session. The session
+ * cookie belongs to the frontend's host and is not sent to REALTIME_URL, so the
+ * socket authenticates with `?ticket=` instead.
+ * @returns {{ticket: string, url: string|null}}
+ */
+function issueTicket(sessionId) {
+    const now = Date.now();
+    for (const [ticket, entry] of tickets) {
+        if (entry.expiresAt <= now) tickets.delete(ticket);
+    }
+    const ticket = crypto.randomBytes(24).toString('base64url');
+    tickets.set(ticket, { sessionId, expiresAt: now + TICKET_TTL_MS });
+    return { ticket, url: socketUrl() };
+}
+
+function redeemTicket(ticket) {
+    const entry = tickets.get(ticket);
+    tickets.delete(ticket);
+    return entry && entry.expiresAt > Date.now() ? entry.sessionId : null;
+}
+
+/**
+ * Browsers send the session cookie with cross-site WebSocket requests, so only
+ * pages from APP_URL or REALTIME_ORIGINS (comma-separated) may connect, whichever
+ * host serves the socket (the Origin is the page's, not REALTIME_URL). Without
+ * either setting (local development) every origin is accepted.
+ */
+function originAllowed(origin) {
+    const allowed = [process.env.APP_URL, ...(process.env.REALTIME_ORIGINS || '').split(',')]
+        .map(url => (url || '').trim())
+        .filter(Boolean)
+        .map(url => new URL(url).origin);
+    return !origin || allowed.length === 0 || allowed.includes(origin);
+}
+
+function rejectUpgrade(socket, status, reason) {
+    socket.write(`HTTP/1.1 ${status} ${reason}\r\nConnection: close\r\n\r\n`);
+    socket.destroy();
+}
+
+/**
+ * Serves shared rooms over WebSockets at /api/rooms/ws on an HTTP server.
+ * The upgrade request needs a ticket from `issueTicket` or a valid session cookie.
+ * @param {import('http').Server} server
+ * @returns {WebSocketServer}
+ */
+function attachRealtime(server) {
+    const wss = new WebSocketServer({ noServer: true, maxPayload: MAX_MESSAGE_BYTES });
+    const parseCookies = cookieParser();
+
+    server.on('upgrade', (req, socket, head) => {
+        const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+        if (pathname !== REALTIME_PATH) return rejectUpgrade(socket, 404, 'Not Found');
+        if (!originAllowed(req.headers.origin)) return rejectUpgrade(socket, 403, 'Forbidden');
+
+        parseCookies(req, null, async () => {
+            try {
+                const ticket = searchParams.get('ticket');
+                const sessionId = ticket ? redeemTicket(ticket) : req.cookies.session_id;
+                const { navSession } = await loadNavSession(sessionId);
+                if (!navSession) return rejectUpgrade(socket, 401, 'Unauthorized');
+                wss.handleUpgrade(req, socket, head, ws => wss.emit('connection', ws, navSession));
+            } catch (err) {
+                console.error(err);
+                rejectUpgrade(socket, 500, 'Internal Server Error');
+            }
+        });
+    });
+
+    wss.on('connection', (ws, navSession) => {
+        const member = rooms.createMember(navSession.userId, message => {
+            if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(message));
+        });
+
+        ws.isAlive = true;
+        ws.on('pong', () => { ws.isAlive = true; });
+        ws.on('message', data => {
+            let message;
+            try {
+                message = JSON.parse(data);
+            } catch (err) {
+                return member.send({ type: 'error', error: 'Invalid JSON' });
+            }
+            // A payload the simulation chokes on fails this message only, not the server
+            try {
+                rooms.handleMessage(member, message);
+            } catch (err) {
+                console.error(`[Rooms] ${message && message.type} message failed:`, err);
+                member.send({ type: 'error', error: 'Message could not be handled' });
+            }
+        });
+        ws.on('close', () => rooms.leaveRoom(member));
+    });
+
+    const heartbeat = setInterval(() => {
+        for (const ws of wss.clients) {
+            if (!ws.isAlive) {
+                ws.terminate();
+                continue;
+            }
+            ws.isAlive = false;
+            ws.ping();
+        }
+    }, HEARTBEAT_MS);
+    heartbeat.unref();
+    wss.on('close', () => clearInterval(heartbeat));
+
+    return wss;
+}
+
+module.exports = { attachRealtime, issueTicket };
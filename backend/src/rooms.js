@@ -0,0 +1,367 @@
+// src/rooms.js
+const crypto = require('crypto');
+const {
+    MAX_AIRCRAFT, ICAO_RE, isNumberIn, isWaypoint, normalizeRoute, normalizeIls, normalizeHolding, validateAircraftState
+} = require('./scenario-validation');
+const { simCore } = require('./sim-core');
+
+// Shared rooms: several controllers see the same traffic, each owning a sector.
+// The controller opening a room seeds it with their traffic; from then on the room's
+// simulation runs here and is authoritative. Instructions are applied to it and relayed
+// to the other members, and snapshots of it are streamed to everyone. Rooms live in
+// memory and end with their last member.
+
+const MAX_ROOMS = 100;
+const MAX_MEMBERS_PER_ROOM = 8;
+const ROOM_ID_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // No 0/O or 1/I
+const ROOM_ID_LENGTH = 6;
+const SECTOR_RE = /^[A-Z0-9_]{2,12}$/;
+
+const INSTRUCTION_KINDS = ['heading', 'speed', 'altitude', 'direct', 'hold', 'clearHold', 'sid', 'arrival'];
+
+// The simulation is advanced on this timer; snapshots go out less often
+const TICK_INTERVAL_MS = 100;
+const SNAPSHOT_INTERVAL_MS = 1000;
+
+// roomId -> { id, airport, center, rangeNm, runways, wind, members: Map, owners: Map, simulation, timer }
+const rooms = new Map();
+
+let nextMemberId = 1;
+
+/**
+ * Creates a connection's member state.
+ * @param {string|null} userId - Navigraph account of the session.
+ * @param {Function} send - Sends one message object to the client.
+ */
+function createMember(userId, send) {
+    return { id: nextMemberId++, userId, send, roomId: null, sector: null };
+}
+
+function generateRoomId() {
+    let id;
+    do {
+        id = Array.from({ length: ROOM_ID_LENGTH }, () => ROOM_ID_ALPHABET[crypto.randomInt(ROOM_ID_ALPHABET.length)]).join('');
+    } while (rooms.has(id));
+    return id;
+}
+
+function describeRoom(room) {
+    return {
+        id: room.id,
+        airport: room.airport,
+        center: room.center,
+        rangeNm: room.rangeNm,
+        runways: room.runways,
+        wind: room.wind,
+        sectors: [...room.members.values()].map(m => m.sector)
+    };
+}
+
+function memberList(room) {
+    return [...room.members.values()].map(m => ({ sector: m.sector }));
+}
+
+function broadcast(room, message, except = null) {
+    for (const member of room.members.values()) {
+        if (member !== except) member.send(message);
+    }
+}
+
+function setOwner(room, callsign, sector) {
+    if (sector) room.owners.set(callsign, sector);
+    else room.owners.delete(callsign);
+    broadcast(room, { type: 'ownership', callsign, owner: sector || null });
+}
+
+/**
+ * The room's aircraft states at the current tick, each with its owning sector.
+ */
+function snapshotOf(room) {
+    const snapshot = room.simulation.snapshot();
+
+    // Aircraft that left the simulation (landed) no longer have an owner
+    const present = new Set(snapshot.aircraft.map(a => a.callsign));
+    for (const callsign of room.owners.keys()) {
+        if (!present.has(callsign)) room.owners.delete(callsign);
+    }
+    snapshot.aircraft.forEach(a => { a.owner = room.owners.get(a.callsign) || null; });
+    return snapshot;
+}
+
+/**
+ * Ends a room: its simulation stops and the remaining members are told why.
+ */
+function closeRoom(room, reason = null) {
+    clearInterval(room.timer);
+    rooms.delete(room.id);
+    for (const member of room.members.values()) {
+        member.roomId = null;
+        member.send({ type: 'closed', error: reason });
+    }
+    room.members.clear();
+    console.log(`[Rooms] ${room.id} closed`);
+}
+
+/**
+ * Runs a room's simulation in real time and streams its snapshots to the members.
+ * A tick that throws closes that room only; the other rooms and the API keep running.
+ */
+function runSimulation(room) {
+    let last = Date.now();
+    let sinceSnapshot = 0;
+    room.timer = setInterval(() => {
+        try {
+            const now = Date.now();
+            room.simulation.advance((now - last) / 1000);
+            sinceSnapshot += now - last;
+            last = now;
+            if (sinceSnapshot >= SNAPSHOT_INTERVAL_MS) {
+                sinceSnapshot = 0;
+                broadcast(room, { type: 'snapshot', ...snapshotOf(room) });
+            }
+        } catch (err) {
+            console.error(`[Rooms] ${room.id} simulation failed:`, err);
+            closeRoom(room, 'The room simulation failed and the room was closed');
+        }
+    }, TICK_INTERVAL_MS);
+    room.timer.unref();
+}
+
+/**
+ * Rooms open for joining, for the room list.
+ */
+function listRooms() {
+    return [...rooms.values()].map(describeRoom);
+}
+
+/**
+ * Validates a sector name (e.g. 'APP', 'TWR').
+ * @returns {string|null} The normalized name, or null.
+ */
+function normalizeSector(value) {
+    const sector = typeof value === 'string' ? value.trim().toUpperCase() : '';
+    return SECTOR_RE.test(sector) ? sector : null;
+}
+
+/**
+ * Checks the payload of an instruction and keeps only its known fields.
+ * SIDs and arrivals carry their waypoints (and ILS), resolved by the issuing scope.
+ * @returns {{instruction?: object, error?: string}}
+ */
+function normalizeInstruction(instruction) {
+    if (!instruction || !INSTRUCTION_KINDS.includes(instruction.kind)) return { error: 'Unknown instruction' };
+    const { kind } = instruction;
+    const ident = value => (typeof value === 'string' && value && value.length <= 10 ? value : null);
+    switch (kind) {
+        case 'heading':
+            return isNumberIn(instruction.value, 0, 360) ? { instruction: { kind, value: instruction.value } } : { error: 'Heading must be 0-360' };
+        case 'speed':
+            return isNumberIn(instruction.value, 0, 700) ? { instruction: { kind, value: instruction.value } } : { error: 'Speed is out of range' };
+        case 'altitude':
+            return isNumberIn(instruction.value, -1500, 60000) ? { instruction: { kind, value: instruction.value } } : { error: 'Altitude is out of range' };
+        case 'direct': {
+            const wp = instruction.waypoint;
+            return isWaypoint(wp)
+                ? { instruction: { kind, waypoint: { name: wp.name, lat: wp.lat, lon: wp.lon } } }
+                : { error: 'Direct-to needs a waypoint with name, lat and lon' };
+        }
+        case 'hold': {
+            const holding = normalizeHolding(instruction.holding);
+            return holding ? { instruction: { kind, holding } } : { error: 'Hold needs a published holding' };
+        }
+        case 'clearHold':
+            return { instruction: { kind } };
+        case 'sid': {
+            const id = ident(instruction.id);
+            if (!id) return { error: 'SID needs an id' };
+            const points = normalizeRoute(instruction.points);
+            if (!points) return { error: 'SID route is invalid' };
+            return { instruction: { kind, id, transition: ident(instruction.transition), points } };
+        }
+        case 'arrival': {
+            const star = ident(instruction.star);
+            const approach = ident(instruction.approach);
+            if (!star && !approach) return { error: 'Arrival needs a STAR or an approach' };
+            const points = normalizeRoute(instruction.points);
+            const ils = normalizeIls(instruction.ils);
+            if (!points || ils === undefined) return { error: 'Arrival route is invalid' };
+            return {
+                instruction: {
+                    kind,
+                    star,
+                    starTransition: ident(instruction.starTransition),
+                    approach,
+                    approachTransition: ident(instruction.approachTransition),
+                    points,
+                    ils
+                }
+            };
+        }
+    }
+    return { error: 'Unknown instruction' };
+}
+
+/**
+ * Validates the traffic a room is opened with.
+ * @returns {{states?: object[], error?: string}}
+ */
+function validateTraffic(aircraft) {
+    if (aircraft === undefined) return { states: [] };
+    if (!Array.isArray(aircraft) || aircraft.length > MAX_AIRCRAFT) {
+        return { error: `aircraft must be a list of at most ${MAX_AIRCRAFT} aircraft` };
+    }
+    const states = [];
+    for (let i = 0; i < aircraft.length; i++) {
+        const result = validateAircraftState(aircraft[i], i);
+        if (result.error) return result;
+        if (states.some(other => other.callsign === result.state.callsign)) {
+            return { error: `aircraft[${i}].callsign ${result.state.callsign} is used twice` };
+        }
+        states.push(result.state);
+    }
+    return { states };
+}
+
+function hostRoom(member, message) {
+    const sector = normalizeSector(message.sector);
+    if (!sector) return member.send({ type: 'error', error: 'Sector must be 2-12 letters, digits or _' });
+    const airport = typeof message.airport === 'string' ? message.airport.toUpperCase() : '';
+    if (!ICAO_RE.test(airport)) return member.send({ type: 'error', error: 'airport must be an ICAO code' });
+    const center = message.center || {};
+    if (!isNumberIn(center.lat, -90, 90) || !isNumberIn(center.lon, -180, 180)) {
+        return member.send({ type: 'error', error: 'center needs lat and lon' });
+    }
+    const wind = message.wind || {};
+    if (!isNumberIn(wind.direction, 0, 360) || !isNumberIn(wind.speed, 0, 200)) {
+        return member.send({ type: 'error', error: 'wind needs a direction (0-360) and a speed (0-200 kt)' });
+    }
+    const traffic = validateTraffic(message.aircraft);
+    if (traffic.error) return member.send({ type: 'error', error: traffic.error });
+    if (rooms.size >= MAX_ROOMS) return member.send({ type: 'error', error: 'No more rooms can be opened right now' });
+
+    const { Simulation, AircraftModel } = simCore();
+    const room = {
+        id: generateRoomId(),
+        airport,
+        center: { lat: center.lat, lon: center.lon },
+        rangeNm: isNumberIn(message.rangeNm, 5, 250) ? message.rangeNm : 30,
+        runways: Array.isArray(message.runways) ? message.runways.filter(r => typeof r === 'string').slice(0, 10) : [],
+        wind: { direction: wind.direction, speed: wind.speed },
+        members: new Map([[member.id, member]]),
+        owners: new Map(),
+        simulation: null,
+        timer: null
+    };
+    room.simulation = new Simulation({ wind: room.wind });
+    traffic.states.forEach(state => room.simulation.add(AircraftModel.fromState(state)));
+    runSimulation(room);
+
+    rooms.set(room.id, room);
+    member.roomId = room.id;
+    member.sector = sector;
+    console.log(`[Rooms] ${room.id} opened at ${airport} by ${sector} with ${traffic.states.length} aircraft`);
+    member.send({ type: 'joined', room: describeRoom(room), sector, host: true, members: memberList(room), snapshot: snapshotOf(room) });
+}
+
+function joinRoom(member, message) {
+    const room = rooms.get(String(message.room || '').toUpperCase());
+    if (!room) return member.send({ type: 'error', error: 'Room not found' });
+    const sector = normalizeSector(message.sector);
+    if (!sector) return member.send({ type: 'error', error: 'Sector must be 2-12 letters, digits or _' });
+    if ([...room.members.values()].some(m => m.sector === sector)) {
+        return member.send({ type: 'error', error: `Sector ${sector} is already staffed` });
+    }
+    if (room.members.size >= MAX_MEMBERS_PER_ROOM) return member.send({ type: 'error', error: 'Room is full' });
+
+    room.members.set(member.id, member);
+    member.roomId = room.id;
+    member.sector = sector;
+    member.send({
+        type: 'joined',
+        room: describeRoom(room),
+        sector,
+        host: false,
+        members: memberList(room),
+        snapshot: snapshotOf(room)
+    });
+    broadcast(room, { type: 'members', members: memberList(room) }, member);
+}
+
+function instruct(member, room, message) {
+    const callsign = String(message.callsign || '');
+    const { instruction, error } = normalizeInstruction(message.instruction);
+    if (error) return member.send({ type: 'error', error });
+
+    const plane = room.simulation.find(callsign);
+    if (!plane) return member.send({ type: 'error', error: `${callsign} is not in the room`, callsign });
+    const owner = room.owners.get(callsign);
+    if (owner && owner !== member.sector) {
+        return member.send({ type: 'error', error: `${callsign} is controlled by ${owner}`, callsign });
+    }
+    // The first controller to instruct an unowned aircraft assumes it
+    if (!owner) setOwner(room, callsign, member.sector);
+    simCore().applyInstruction(plane, instruction);
+    broadcast(room, { type: 'instruction', callsign, instruction, sector: member.sector }, member);
+}
+
+function handOff(member, room, message) {
+    const callsign = String(message.callsign || '');
+    if (room.owners.get(callsign) !== member.sector) {
+        return member.send({ type: 'error', error: `${callsign} is not controlled by ${member.sector}`, callsign });
+    }
+    const to = message.to ? normalizeSector(message.to) : null;
+    if (to && ![...room.members.values()].some(m => m.sector === to)) {
+        return member.send({ type: 'error', error: `Sector ${message.to} is not staffed` });
+    }
+    setOwner(room, callsign, to);
+}
+
+/**
+ * Removes a member from its room. Its aircraft become unowned; the simulation
+ * continues for the remaining members.
+ */
+function leaveRoom(member) {
+    const room = rooms.get(member.roomId);
+    member.roomId = null;
+    if (!room) return;
+
+    room.members.delete(member.id);
+    if (room.members.size === 0) {
+        closeRoom(room);
+        return;
+    }
+
+    for (const [callsign, sector] of [...room.owners]) {
+        if (sector === member.sector) setOwner(room, callsign, null);
+    }
+    broadcast(room, { type: 'members', members: memberList(room) });
+}
+
+/**
+ * Handles one message of a connected client.
+ * Before joining: { type: 'host', sector, airport, center, rangeNm, runways, wind, aircraft }
+ * to open a room with the given aircraft states, or { type: 'join', room, sector }.
+ * In a room: 'instruction', 'handoff' and 'leave'. Failures are answered with
+ * { type: 'error', error }.
+ */
+function handleMessage(member, message) {
+    if (!message || typeof message.type !== 'string') return member.send({ type: 'error', error: 'Message type missing' });
+
+    const room = rooms.get(member.roomId);
+    if (!room) {
+        if (message.type === 'host') return hostRoom(member, message);
+        if (message.type === 'join') return joinRoom(member, message);
+        return member.send({ type: 'error', error: 'Not in a room' });
+    }
+
+    switch (message.type) {
+        case 'instruction': return instruct(member, room, message);
+        case 'handoff': return handOff(member, room, message);
+        case 'leave': return leaveRoom(member);
+        case 'host':
+        case 'join': return member.send({ type: 'error', error: 'Already in a room' });
+        default: return member.send({ type: 'error', error: `Unknown message type ${message.type}` });
+    }
+}
+
+module.exports = { createMember, handleMessage, leaveRoom, listRooms };
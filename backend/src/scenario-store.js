@@ -0,0 +1,113 @@
+// src/scenario-store.js
+const sqlite3 = require('sqlite3');
+const { open } = require('sqlite');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const fs = require('fs');
+
+const dbPath = path.join(process.env.DATA_DIR || path.join(__dirname, '../data'), 'scenarios.db');
+
+let db;
+
+// Saved traffic situations, owned by a Navigraph account
+async function initScenarioStore() {
+    const dir = path.dirname(dbPath);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+
+    db = await open({
+        filename: dbPath,
+        driver: sqlite3.Database
+    });
+
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS scenarios (
+            scenario_id TEXT PRIMARY KEY,
+            user_id TEXT NOT NULL,
+            name TEXT NOT NULL,
+            airport TEXT NOT NULL,
+            data TEXT NOT NULL,
+            created_at INTEGER,
+            updated_at INTEGER
+        )
+    `);
+    await db.exec('CREATE INDEX IF NOT EXISTS scenarios_user_airport ON scenarios (user_id, airport)');
+    console.log('Scenario store initialized.');
+}
+
+function toScenario(row) {
+    return {
+        id: row.scenario_id,
+        name: row.name,
+        airport: row.airport,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+        ...JSON.parse(row.data)
+    };
+}
+
+/**
+ * Summaries of a user's scenarios, newest first, optionally for one airport.
+ */
+async function listScenarios(userId, airport) {
+    const rows = airport
+        ? await db.all('SELECT * FROM scenarios WHERE user_id = ? AND airport = ? ORDER BY updated_at DESC', userId, airport)
+        : await db.all('SELECT * FROM scenarios WHERE user_id = ? ORDER BY updated_at DESC', userId);
+    return rows.map(row => {
+        const { aircraft } = JSON.parse(row.data);
+        return {
+            id: row.scenario_id,
+            name: row.name,
+            airport: row.airport,
+            aircraftCount: (aircraft || []).length,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at
+        };
+    });
+}
+
+async function countScenarios(userId) {
+    const row = await db.get('SELECT COUNT(*) AS n FROM scenarios WHERE user_id = ?', userId);
+    return row.n;
+}
+
+/**
+ * Returns one of the user's scenarios, or null (also for another user's scenario).
+ */
+async function getScenario(userId, scenarioId) {
+    const row = await db.get('SELECT * FROM scenarios WHERE scenario_id = ? AND user_id = ?', scenarioId, userId);
+    return row ? toScenario(row) : null;
+}
+
+/**
+ * Stores a validated scenario ({ name, airport, ...data }) and returns it with its id.
+ */
+async function createScenario(userId, { name, airport, ...data }) {
+    const scenarioId = uuidv4();
+    const now = Date.now();
+    await db.run(
+        'INSERT INTO scenarios (scenario_id, user_id, name, airport, data, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?)',
+        scenarioId, userId, name, airport, JSON.stringify(data), now, now
+    );
+    return getScenario(userId, scenarioId);
+}
+
+/**
+ * Replaces a scenario. Returns null if the user has no scenario with that id.
+ */
+async function updateScenario(userId, scenarioId, { name, airport, ...data }) {
+    const result = await db.run(
+        'UPDATE scenarios SET name = ?, airport = ?, data = ?, updated_at = ? WHERE scenario_id = ? AND user_id = ?',
+        name, airport, JSON.stringify(data), Date.now(), scenarioId, userId
+    );
+    return result.changes > 0 ? getScenario(userId, scenarioId) : null;
+}
+
+/**
+ * @returns {Promise<boolean>} True if a scenario was deleted.
+ */
+async function deleteScenario(userId, scenarioId) {
+    const result = await db.run('DELETE FROM scenarios WHERE scenario_id = ? AND user_id = ?', scenarioId, userId);
+    return result.changes > 0;
+}
+
+module.exports = { initScenarioStore, listScenarios, countScenarios, getScenario, createScenario, updateScenario, deleteScenario };
@@ -0,0 +1,286 @@
+// src/scenario-validation.js
+
+// Limits that keep one scenario (or room snapshot) small
+const MAX_AIRCRAFT = 50;
+const MAX_NAME_LENGTH = 80;
+const MAX_ROUTE_POINTS = 100;
+
+const PHASES = ['takeoff', 'initial_climb', 'climb', 'cruise', 'descent', 'final_descent', 'final_approach', 'landing'];
+const ICAO_RE = /^[A-Z0-9]{3,4}$/;
+
+function isNumberIn(value, min, max) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+}
+
+function optionalIdent(value) {
+    return value === null || value === undefined || (typeof value === 'string' && value.length <= 10);
+}
+
+// { id, transition } of an assigned procedure, or null
+function procedureOrNull(value) {
+    if (!value) return null;
+    if (typeof value.id !== 'string' || !value.id || value.id.length > 10 || !optionalIdent(value.transition)) return undefined;
+    return { id: value.id, transition: value.transition || null };
+}
+
+/**
+ * Validates one aircraft of a scenario.
+ * @returns {{aircraft?: object, error?: string}}
+ */
+function validateAircraft(a, index) {
+    const label = `aircraft[${index}]`;
+    if (!a || typeof a !== 'object') return { error: `${label} must be an object` };
+    if (typeof a.callsign !== 'string' || !/^[A-Z0-9]{2,8}$/.test(a.callsign)) return { error: `${label}.callsign is invalid` };
+    if (!isNumberIn(a.lat, -90, 90) || !isNumberIn(a.lon, -180, 180)) return { error: `${label} position is invalid` };
+    if (!isNumberIn(a.heading, 0, 360)) return { error: `${label}.heading must be 0-360` };
+    if (!isNumberIn(a.altitude, -1500, 60000)) return { error: `${label}.altitude is out of range` };
+    if (!isNumberIn(a.speed, 0, 700)) return { error: `${label}.speed is out of range` };
+    if (!['L', 'M', 'H', 'J'].includes(a.wtc)) return { error: `${label}.wtc must be L, M, H or J` };
+    if (!PHASES.includes(a.phase)) return { error: `${label}.phase is invalid` };
+    if (![a.departure, a.destination].every(icao => typeof icao === 'string' && ICAO_RE.test(icao))) {
+        return { error: `${label} departure/destination must be ICAO codes` };
+    }
+
+    const targets = { targetHeading: [0, 360], targetAltitude: [-1500, 60000], targetSpeed: [0, 700] };
+    for (const [key, [min, max]] of Object.entries(targets)) {
+        if (a[key] !== undefined && a[key] !== null && !isNumberIn(a[key], min, max)) return { error: `${label}.${key} is out of range` };
+    }
+    if (!optionalIdent(a.departureRunway)) return { error: `${label}.departureRunway is invalid` };
+
+    const procedures = { sid: procedureOrNull(a.sid), star: procedureOrNull(a.star), approach: procedureOrNull(a.approach) };
+    const badProcedure = Object.keys(procedures).find(key => procedures[key] === undefined);
+    if (badProcedure) return { error: `${label}.${badProcedure} is invalid` };
+
+    return {
+        aircraft: {
+            callsign: a.callsign,
+            lat: a.lat,
+            lon: a.lon,
+            heading: a.heading,
+            altitude: a.altitude,
+            speed: a.speed,
+            departure: a.departure,
+            destination: a.destination,
+            wtc: a.wtc,
+            phase: a.phase,
+            targetHeading: a.targetHeading ?? null,
+            targetAltitude: a.targetAltitude ?? null,
+            targetSpeed: a.targetSpeed ?? null,
+            departureRunway: a.departureRunway || null,
+            ...procedures
+        }
+    };
+}
+
+function isWaypoint(wp) {
+    return Boolean(wp) && typeof wp.name === 'string' && wp.name.length <= 40
+        && isNumberIn(wp.lat, -90, 90) && isNumberIn(wp.lon, -180, 180);
+}
+
+/**
+ * Keeps the known fields of a route (procedure waypoints).
+ * @returns {Array<{name, lat, lon}>|null} The route, or null if it is invalid.
+ */
+function normalizeRoute(points) {
+    if (points === null || points === undefined) return [];
+    if (!Array.isArray(points) || points.length > MAX_ROUTE_POINTS || !points.every(isWaypoint)) return null;
+    return points.map(wp => ({ name: wp.name, lat: wp.lat, lon: wp.lon }));
+}
+
+/**
+ * Keeps the fields of an ILS the flight model uses.
+ * @returns {object|null|undefined} The ILS, null for none, or undefined if it is invalid.
+ */
+function normalizeIls(ils) {
+    if (ils === null || ils === undefined) return null;
+    const optional = value => value === null || value === undefined || isNumberIn(value, -1e5, 1e5);
+    if (!isNumberIn(ils.lat, -90, 90) || !isNumberIn(ils.lon, -180, 180) || !isNumberIn(ils.bearing, 0, 360)
+        || !optional(ils.declination) || !optional(ils.gsAngle) || !optional(ils.gsElevation)) return undefined;
+    return {
+        airport: typeof ils.airport === 'string' ? ils.airport.slice(0, 4) : null,
+        runway: typeof ils.runway === 'string' ? ils.runway.slice(0, 5) : null,
+        lat: ils.lat,
+        lon: ils.lon,
+        bearing: ils.bearing,
+        declination: ils.declination ?? null,
+        gsAngle: ils.gsAngle ?? null,
+        gsElevation: ils.gsElevation ?? null
+    };
+}
+
+/**
+ * Keeps the fields of a published holding the flight model uses.
+ * @returns {object|null} The holding, or null if it is invalid.
+ */
+function normalizeHolding(fix) {
+    if (!fix || typeof fix.fix !== 'string' || fix.fix.length > 10) return null;
+    if (!isNumberIn(fix.lat, -90, 90) || !isNumberIn(fix.lon, -180, 180) || !isNumberIn(fix.trueInboundCourse, 0, 360)) return null;
+    const optional = (value, max) => value === null || value === undefined || isNumberIn(value, 0, max);
+    if (!optional(fix.legTime, 10) || !optional(fix.legLength, 50) || !optional(fix.speed, 700)) return null;
+    return {
+        fix: fix.fix,
+        lat: fix.lat,
+        lon: fix.lon,
+        trueInboundCourse: fix.trueInboundCourse,
+        turnDirection: fix.turnDirection === 'L' ? 'L' : 'R',
+        legTime: fix.legTime ?? null,
+        legLength: fix.legLength ?? null,
+        speed: fix.speed ?? null
+    };
+}
+
+// Numeric and boolean fields of an aircraft state (public/js/AircraftModel.js)
+const STATE_NUMBERS = [
+    'targetAlt', 'verticalSpeed', 'targetHdg', 'track', 'targetSpd', 'trueAirspeed', 'groundSpeed',
+    'fieldElevation', 'currentWaypointIndex'
+];
+const STATE_FLAGS = ['isDeparture', 'sidArmed', 'autopilotActive', 'interceptingLOC', 'interceptingGS', 'followingILS', 'landed'];
+const HOLD_STATES = ['toFix', 'entryOutbound', 'outboundTurn', 'outbound', 'inbound'];
+
+/**
+ * Validates the full simulation state of one aircraft (AircraftModel#toState), as
+ * sent to seed a room's simulation, and keeps only the known fields.
+ * @returns {{state?: object, error?: string}}
+ */
+function validateAircraftState(s, index) {
+    const label = `aircraft[${index}]`;
+    if (!s || typeof s !== 'object') return { error: `${label} must be an object` };
+    const basic = validateAircraft({
+        ...s,
+        heading: isNumberIn(s.heading, -360, 720) ? ((s.heading % 360) + 360) % 360 : s.heading,
+        speed: s.indicatedAirspeed,
+        targetHeading: null,
+        targetAltitude: null,
+        targetSpeed: null,
+        departureRunway: null,
+        sid: s.assignedSid,
+        star: s.assignedStar,
+        approach: s.assignedProcedure
+    }, index);
+    if (basic.error) return basic;
+
+    const badNumber = STATE_NUMBERS.find(key => !isNumberIn(s[key], -1e6, 1e6));
+    if (badNumber) return { error: `${label}.${badNumber} must be a number` };
+    const badFlag = STATE_FLAGS.find(key => typeof s[key] !== 'boolean');
+    if (badFlag) return { error: `${label}.${badFlag} must be true or false` };
+
+    const procedureWaypoints = normalizeRoute(s.procedureWaypoints);
+    if (!procedureWaypoints) return { error: `${label}.procedureWaypoints is invalid` };
+    if (s.targetWaypoint && !isWaypoint(s.targetWaypoint)) return { error: `${label}.targetWaypoint is invalid` };
+    const ilsData = normalizeIls(s.ilsData);
+    if (ilsData === undefined) return { error: `${label}.ilsData is invalid` };
+    if (![null, undefined, 1, -1].includes(s.forcedTurnDirection)) return { error: `${label}.forcedTurnDirection is invalid` };
+
+    let departureRunway = null;
+    if (s.departureRunway) {
+        const rwy = s.departureRunway;
+        if (!optionalIdent(rwy.id) || !isNumberIn(rwy.lat, -90, 90) || !isNumberIn(rwy.lon, -180, 180) || !isNumberIn(rwy.trueBearing, 0, 360)) {
+            return { error: `${label}.departureRunway is invalid` };
+        }
+        departureRunway = { id: rwy.id || null, lat: rwy.lat, lon: rwy.lon, trueBearing: rwy.trueBearing, thresholdElevation: isNumberIn(rwy.thresholdElevation, -1500, 20000) ? rwy.thresholdElevation : 0 };
+    }
+
+    let holding = null;
+    if (s.holding) {
+        const fix = normalizeHolding(s.holding.fix);
+        const h = s.holding;
+        if (!fix || !HOLD_STATES.includes(h.state) || !isNumberIn(h.timer, 0, 1e5) || !isNumberIn(h.legDistanceKm, 0, 1e4)) {
+            return { error: `${label}.holding is invalid` };
+        }
+        holding = {
+            fix,
+            state: h.state,
+            entry: ['direct', 'parallel', 'teardrop'].includes(h.entry) ? h.entry : null,
+            timer: h.timer,
+            legDistanceKm: h.legDistanceKm,
+            returnTurn: [1, -1].includes(h.returnTurn) ? h.returnTurn : null,
+            entryHeading: isNumberIn(h.entryHeading, 0, 360) ? h.entryHeading : null
+        };
+    }
+
+    const pid = s.locPID || {};
+    const locPID = ['kp', 'ki', 'kd', 'integral', 'lastError', 'integralLimit'].every(key => isNumberIn(pid[key], -1e4, 1e4))
+        ? { kp: pid.kp, ki: pid.ki, kd: pid.kd, integral: pid.integral, lastError: pid.lastError, integralLimit: pid.integralLimit }
+        : undefined;
+
+    const { sid, star, approach } = basic.aircraft;
+    const state = {
+        callsign: s.callsign,
+        lat: s.lat,
+        lon: s.lon,
+        departure: s.departure,
+        destination: s.destination,
+        wtc: s.wtc,
+        phase: s.phase,
+        altitude: s.altitude,
+        heading: basic.aircraft.heading,
+        indicatedAirspeed: s.indicatedAirspeed,
+        targetWaypoint: s.targetWaypoint ? { name: s.targetWaypoint.name, lat: s.targetWaypoint.lat, lon: s.targetWaypoint.lon } : null,
+        assignedProcedure: approach ? { type: 'approach', ...approach } : null,
+        assignedStar: star,
+        assignedSid: sid,
+        departureRunway,
+        holding,
+        forcedTurnDirection: s.forcedTurnDirection ?? null,
+        procedureWaypoints,
+        ilsData
+    };
+    STATE_NUMBERS.forEach(key => { state[key] = s[key]; });
+    STATE_FLAGS.forEach(key => { state[key] = s[key]; });
+    if (locPID) state.locPID = locPID;
+    return { state };
+}
+
+/**
+ * Validates a scenario body and keeps only the known fields.
+ * @returns {{scenario?: object, error?: string}}
+ */
+function validateScenario(body) {
+    if (!body || typeof body !== 'object') return { error: 'Scenario body must be a JSON object' };
+
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name || name.length > MAX_NAME_LENGTH) return { error: `name must be 1-${MAX_NAME_LENGTH} characters` };
+
+    const airport = typeof body.airport === 'string' ? body.airport.toUpperCase() : '';
+    if (!ICAO_RE.test(airport)) return { error: 'airport must be an ICAO code' };
+
+    const runways = body.runways || [];
+    if (!Array.isArray(runways) || runways.length > 10 || !runways.every(r => typeof r === 'string' && /^RW[0-9]{2}[LCR]?$/.test(r))) {
+        return { error: 'runways must be a list of runway ids like RW27L' };
+    }
+
+    const wind = body.wind || {};
+    if (!isNumberIn(wind.direction, 0, 360) || !isNumberIn(wind.speed, 0, 200)) {
+        return { error: 'wind needs a direction (0-360) and a speed (0-200 kt)' };
+    }
+
+    if (body.rangeNm !== undefined && body.rangeNm !== null && !isNumberIn(body.rangeNm, 5, 250)) {
+        return { error: 'rangeNm must be 5-250' };
+    }
+
+    if (!Array.isArray(body.aircraft) || body.aircraft.length > MAX_AIRCRAFT) {
+        return { error: `aircraft must be a list of at most ${MAX_AIRCRAFT} aircraft` };
+    }
+    const aircraft = [];
+    for (let i = 0; i < body.aircraft.length; i++) {
+        const result = validateAircraft(body.aircraft[i], i);
+        if (result.error) return result;
+        aircraft.push(result.aircraft);
+    }
+
+    return {
+        scenario: {
+            name,
+            airport,
+            rangeNm: body.rangeNm ?? null,
+            runways,
+            wind: { direction: wind.direction, speed: wind.speed },
+            aircraft
+        }
+    };
+}
+
+module.exports = {
+    MAX_AIRCRAFT, ICAO_RE, isNumberIn, isWaypoint, normalizeRoute, normalizeIls, normalizeHolding,
+    validateAircraft, validateAircraftState, validateScenario
+};
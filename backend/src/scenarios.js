@@ -0,0 +1,82 @@
+// src/scenarios.js
+const express = require('express');
+const { requireNavSession } = require('./auth-middleware');
+const store = require('./scenario-store');
+const { validateScenario } = require('./scenario-validation');
+
+const router = express.Router();
+
+// Limit that keeps one account from filling the database
+const MAX_SCENARIOS_PER_USER = 100;
+
+// Every scenario route needs a session with a known Navigraph account
+router.use(requireNavSession, (req, res, next) => {
+    if (!req.navSession.userId) return res.status(403).json({ error: 'Account unknown for this session. Please log in again.' });
+    next();
+});
+
+// LIST: Summaries of the caller's scenarios (?airport=ICAO to filter)
+router.get('/', async (req, res) => {
+    try {
+        const airport = req.query.airport ? String(req.query.airport).toUpperCase() : null;
+        res.json({ scenarios: await store.listScenarios(req.navSession.userId, airport) });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// CREATE
+router.post('/', async (req, res) => {
+    try {
+        const { scenario, error } = validateScenario(req.body);
+        if (error) return res.status(400).json({ error });
+        if (await store.countScenarios(req.navSession.userId) >= MAX_SCENARIOS_PER_USER) {
+            return res.status(409).json({ error: `Scenario limit of ${MAX_SCENARIOS_PER_USER} reached` });
+        }
+        res.status(201).json({ scenario: await store.createScenario(req.navSession.userId, scenario) });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// LOAD
+router.get('/:id', async (req, res) => {
+    try {
+        const scenario = await store.getScenario(req.navSession.userId, req.params.id);
+        if (!scenario) return res.status(404).json({ error: 'Scenario not found' });
+        res.json({ scenario });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// UPDATE: Replaces the whole scenario
+router.put('/:id', async (req, res) => {
+    try {
+        const { scenario, error } = validateScenario(req.body);
+        if (error) return res.status(400).json({ error });
+        const updated = await store.updateScenario(req.navSession.userId, req.params.id, scenario);
+        if (!updated) return res.status(404).json({ error: 'Scenario not found' });
+        res.json({ scenario: updated });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+// DELETE
+router.delete('/:id', async (req, res) => {
+    try {
+        const deleted = await store.deleteScenario(req.navSession.userId, req.params.id);
+        if (!deleted) return res.status(404).json({ error: 'Scenario not found' });
+        res.json({ success: true });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Database error' });
+    }
+});
+
+module.exports = router;
@@ -4,13 +4,18 @@ const { open } = require('sqlite');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 const fs = require('fs');
+const { loadKeys, encryptToken, decryptToken } = require('./token-crypto');
 
-const dbPath = path.join(__dirname, '../data/sessions.db');
+const dbPath = path.join(process.env.DATA_DIR || path.join(__dirname, '../data'), 'sessions.db');
 
 let db;
+let keyring;
 
 // Initialize Session Database
 async function initSessionStore() {
+    // Tokens are encrypted at rest; refuse to start without a key
+    keyring = loadKeys();
+
     // Ensure the data directory exists before opening the DB
     const dir = path.dirname(dbPath);
     if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
@@ -29,33 +34,138 @@ async function initSessionStore() {
             expires_at INTEGER
         )
     `);
+    await migrateSessionsTable();
+    await migrateTokenEncryption();
     console.log('Session store initialized.');
 }
 
+// Columns added after the first release: who owns the session and how it is used
+const SESSION_COLUMNS = {
+    user_id: 'TEXT',        // Navigraph account ('sub' claim of the access token)
+    user_agent: 'TEXT',     // Browser that logged in, shown in the sessions list
+    created_at: 'INTEGER',
+    last_used_at: 'INTEGER',
+    token_key_id: 'TEXT'    // Key that encrypted the tokens; NULL for legacy plain-text rows
+};
+
+/**
+ * Adds missing columns to databases created before they existed.
+ */
+async function migrateSessionsTable() {
+    const existing = new Set((await db.all('PRAGMA table_info(sessions)')).map(c => c.name));
+    for (const [name, type] of Object.entries(SESSION_COLUMNS)) {
+        if (!existing.has(name)) await db.exec(`ALTER TABLE sessions ADD COLUMN ${name} ${type}`);
+    }
+    await db.exec('CREATE INDEX IF NOT EXISTS sessions_user_id ON sessions (user_id)');
+}
+
+/**
+ * Encrypts plain-text rows left from before token encryption, and re-encrypts
+ * rows written with a retired key after a key rotation.
+ */
+async function migrateTokenEncryption() {
+    const rows = await db.all(
+        'SELECT session_id, access_token, refresh_token, token_key_id FROM sessions WHERE token_key_id IS NULL OR token_key_id != ?',
+        keyring.activeId
+    );
+    let migrated = 0;
+    for (const row of rows) {
+        try {
+            const access_token = row.token_key_id ? decryptToken(keyring, row.token_key_id, row.session_id, row.access_token) : row.access_token;
+            const refresh_token = row.token_key_id ? decryptToken(keyring, row.token_key_id, row.session_id, row.refresh_token) : row.refresh_token;
+            await writeTokens(row.session_id, access_token, refresh_token);
+            migrated++;
+        } catch (err) {
+            // The key is gone, so the tokens are unusable: sign the session out
+            console.error(`[Sessions] Cannot decrypt session with key '${row.token_key_id}', deleting it:`, err.message);
+            await db.run('DELETE FROM sessions WHERE session_id = ?', row.session_id);
+        }
+    }
+    if (migrated > 0) {
+        // Overwritten values can linger in free pages until the file is rebuilt
+        await db.run('VACUUM');
+        console.log(`[Sessions] Encrypted tokens of ${migrated} session(s) with key '${keyring.activeId}'.`);
+    }
+}
+
+// Stores both tokens encrypted with the active key
+async function writeTokens(session_id, access_token, refresh_token, expires_at) {
+    const params = [
+        encryptToken(keyring, session_id, access_token),
+        encryptToken(keyring, session_id, refresh_token),
+        keyring.activeId
+    ];
+    if (expires_at === undefined) {
+        await db.run('UPDATE sessions SET access_token = ?, refresh_token = ?, token_key_id = ? WHERE session_id = ?', [...params, session_id]);
+    } else {
+        await db.run('UPDATE sessions SET access_token = ?, refresh_token = ?, token_key_id = ?, expires_at = ? WHERE session_id = ?', [...params, expires_at, session_id]);
+    }
+}
+
 // Create a new session or update existing
-async function createSession(access_token, refresh_token, expires_in) {
+// `info` optionally carries { userId, userAgent } for the sessions list
+async function createSession(access_token, refresh_token, expires_in, info = {}) {
     const session_id = uuidv4();
-    const expires_at = Date.now() + (expires_in * 1000);
+    const now = Date.now();
+    const expires_at = now + (expires_in * 1000);
 
     await db.run(
-        `INSERT INTO sessions (session_id, access_token, refresh_token, expires_at) VALUES (?, ?, ?, ?)`,
-        [session_id, access_token, refresh_token, expires_at]
+        `INSERT INTO sessions (session_id, access_token, refresh_token, token_key_id, expires_at, user_id, user_agent, created_at, last_used_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+            session_id,
+            encryptToken(keyring, session_id, access_token),
+            encryptToken(keyring, session_id, refresh_token),
+            keyring.activeId,
+            expires_at, info.userId || null, info.userAgent || null, now, now
+        ]
     );
 
     return session_id;
 }
 
-// Retrieve tokens by session ID
+// Retrieve tokens by session ID (decrypted; null if missing or undecryptable)
 async function getSession(session_id) {
-    return await db.get('SELECT * FROM sessions WHERE session_id = ?', session_id);
+    const row = await db.get('SELECT * FROM sessions WHERE session_id = ?', session_id);
+    if (!row) return row;
+    try {
+        return {
+            ...row,
+            access_token: decryptToken(keyring, row.token_key_id, row.session_id, row.access_token),
+            refresh_token: decryptToken(keyring, row.token_key_id, row.session_id, row.refresh_token)
+        };
+    } catch (err) {
+        console.error('[Sessions] Failed to decrypt session tokens:', err.message);
+        return null;
+    }
 }
 
 // Update tokens for an existing session (used during refresh)
 async function updateSessionTokens(session_id, access_token, refresh_token, expires_in) {
     const expires_at = Date.now() + (expires_in * 1000);
+    await writeTokens(session_id, access_token, refresh_token, expires_at);
+}
+
+// Sessions of a Navigraph account, most recently used first
+async function listUserSessions(user_id) {
+    return await db.all(
+        'SELECT session_id, user_agent, created_at, last_used_at FROM sessions WHERE user_id = ? ORDER BY last_used_at DESC',
+        user_id
+    );
+}
+
+// Attach the owning account to a session created before user ids were stored
+async function setSessionUser(session_id, user_id) {
+    await db.run('UPDATE sessions SET user_id = ? WHERE session_id = ?', [user_id, session_id]);
+}
+
+// Record that a session was used. Writes at most once a minute per session.
+const TOUCH_INTERVAL_MS = 60 * 1000;
+async function touchSession(session_id) {
+    const now = Date.now();
     await db.run(
-        `UPDATE sessions SET access_token = ?, refresh_token = ?, expires_at = ? WHERE session_id = ?`,
-        [access_token, refresh_token, expires_at, session_id]
+        'UPDATE sessions SET last_used_at = ? WHERE session_id = ? AND (last_used_at IS NULL OR last_used_at < ?)',
+        [now, session_id, now - TOUCH_INTERVAL_MS]
     );
 }
 
@@ -81,4 +191,4 @@ async function cleanupExpiredSessions() {
     return result.changes; // Returns count of deleted rows
 }
 
-module.exports = { initSessionStore, createSession, getSession, updateSessionTokens, deleteSession, cleanupExpiredSessions };
\ No newline at end of file
+module.exports = { initSessionStore, createSession, getSession, updateSessionTokens, listUserSessions, setSessionUser, touchSession, deleteSession, cleanupExpiredSessions };
\ No newline at end of file
@@ -0,0 +1,34 @@
+// src/sim-core.js
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+// The flight model and simulation are the browser's ES modules (public/js), shared
+// as-is so that a room's server-side simulation flies exactly like the scopes
+const SIMULATION_MODULE = path.join(__dirname, '../../public/js/simulation.js');
+
+let core = null;
+
+/**
+ * Loads the simulation core once; call before serving rooms.
+ * Flight event logging is silenced, since every room would log every tick.
+ * @returns {Promise<object>} Exports of public/js/simulation.js.
+ */
+async function loadSimCore() {
+    if (!core) {
+        const loaded = await import(pathToFileURL(SIMULATION_MODULE).href);
+        loaded.setFlightLog(() => {});
+        core = loaded;
+    }
+    return core;
+}
+
+/**
+ * The loaded simulation core ({ Simulation, AircraftModel, applyInstruction, TICK_SECONDS }).
+ * @throws {Error} When `loadSimCore` has not completed.
+ */
+function simCore() {
+    if (!core) throw new Error('Simulation core not loaded');
+    return core;
+}
+
+module.exports = { loadSimCore, simCore };
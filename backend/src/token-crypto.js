@@ -0,0 +1,82 @@
+// src/token-crypto.js
+const crypto = require('crypto');
+
+/**
+ * Encryption of Navigraph tokens stored in sessions.db (AES-256-GCM).
+ *
+ * Keys come from the environment as base64-encoded 32-byte values:
+ *   SESSION_TOKEN_KEY      active key, used for all new writes
+ *   SESSION_TOKEN_KEY_ID   id stored next to each row (default '1')
+ *   SESSION_TOKEN_OLD_KEYS retired keys still needed for reading, 'id:base64,id:base64'
+ *
+ * To rotate: move the current key to SESSION_TOKEN_OLD_KEYS, set a new key and id
+ * and restart; initSessionStore re-encrypts every row with the new key. Plain-text rows
+ * from before encryption are encrypted the same way. See .env.example.
+ */
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+function parseKey(id, base64) {
+    const key = Buffer.from(String(base64 || '').trim(), 'base64');
+    if (key.length !== 32) throw new Error(`Session token key '${id}' must be 32 bytes (base64-encoded)`);
+    return key;
+}
+
+/**
+ * Reads the keys from the environment.
+ * @returns {{activeId: string, keys: Map<string, Buffer>}}
+ */
+function loadKeys(env = process.env) {
+    if (!env.SESSION_TOKEN_KEY) {
+        throw new Error('SESSION_TOKEN_KEY is not set; generate one with `openssl rand -base64 32`');
+    }
+    const activeId = env.SESSION_TOKEN_KEY_ID || '1';
+    const keys = new Map([[activeId, parseKey(activeId, env.SESSION_TOKEN_KEY)]]);
+
+    String(env.SESSION_TOKEN_OLD_KEYS || '')
+        .split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .forEach(entry => {
+            const sep = entry.indexOf(':');
+            if (sep <= 0) throw new Error('SESSION_TOKEN_OLD_KEYS entries must look like id:base64key');
+            const id = entry.slice(0, sep);
+            if (!keys.has(id)) keys.set(id, parseKey(id, entry.slice(sep + 1)));
+        });
+
+    return { activeId, keys };
+}
+
+/**
+ * Encrypts a token. The session id is bound as associated data, so a ciphertext
+ * copied into another row does not decrypt.
+ * @returns {string|null} base64(iv | tag | ciphertext), or null for a missing token.
+ */
+function encryptToken(keyring, sessionId, plaintext) {
+    if (plaintext === null || plaintext === undefined) return null;
+    const iv = crypto.randomBytes(IV_BYTES);
+    const cipher = crypto.createCipheriv(ALGORITHM, keyring.keys.get(keyring.activeId), iv);
+    cipher.setAAD(Buffer.from(sessionId));
+    const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+    return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64');
+}
+
+/**
+ * Decrypts a token written by encryptToken with key `keyId`.
+ * Throws if the key is unknown or the data was tampered with.
+ */
+function decryptToken(keyring, keyId, sessionId, encoded) {
+    if (encoded === null || encoded === undefined) return null;
+    const key = keyring.keys.get(String(keyId));
+    if (!key) throw new Error(`Unknown session token key '${keyId}'`);
+
+    const data = Buffer.from(encoded, 'base64');
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, data.subarray(0, IV_BYTES));
+    decipher.setAAD(Buffer.from(sessionId));
+    decipher.setAuthTag(data.subarray(IV_BYTES, IV_BYTES + TAG_BYTES));
+    return Buffer.concat([decipher.update(data.subarray(IV_BYTES + TAG_BYTES)), decipher.final()]).toString('utf8');
+}
+
+module.exports = { loadKeys, encryptToken, decryptToken };
@@ -1,8 +1,9 @@
 // src/token-helper.js
 const axios = require('axios');
-const { createVerifier } = require('fast-jwt');
+const { createVerifier, createDecoder } = require('fast-jwt');
 const GetJwks = require('get-jwks');
 const buildJwksGetter = GetJwks.default || GetJwks;
+const { TOKEN_URL, JWKS_DOMAIN } = require('./navigraph-config');
 
 // 1. Setup JWKS Getter
 // This fetches Navigraph's public keys and caches them for 1 hour
@@ -22,11 +23,26 @@ const verifyJwt = createVerifier({
     return jwks.getPublicKey({
       kid: decoded.header.kid,
       alg: decoded.header.alg,
-      domain: "https://identity.api.navigraph.com",
+      domain: JWKS_DOMAIN,
     });
   },
 });
 
+// Reads claims without verifying the signature (only for tokens we received
+// directly from Navigraph's token endpoint)
+const decodeJwt = createDecoder();
+
+/**
+ * Returns the Navigraph account id ('sub' claim) of an access token, or null.
+ */
+function tokenSubject(accessToken) {
+  try {
+    return decodeJwt(accessToken).sub || null;
+  } catch (error) {
+    return null;
+  }
+}
+
 
 //Refreshes the Access Token using the Refresh Token.
 async function refreshNavigraphToken(refreshToken) {
@@ -37,7 +53,7 @@ async function refreshNavigraphToken(refreshToken) {
     params.append('client_secret', process.env.NAVIGRAPH_CLIENT_SECRET);
     params.append('refresh_token', refreshToken);
 
-    const response = await axios.post('https://identity.navigraph.com/connect/token', params, {
+    const response = await axios.post(TOKEN_URL, params, {
       headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
     });
     
@@ -86,4 +102,4 @@ async function validateFmsDataSubscription(accessToken) {
   }
 }
 
-module.exports = { refreshNavigraphToken, validateFmsDataSubscription };
\ No newline at end of file
+module.exports = { refreshNavigraphToken, validateFmsDataSubscription, tokenSubject };
\ No newline at end of file
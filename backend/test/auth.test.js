@@ -0,0 +1,112 @@
+// test/auth.test.js
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { CYCLES, tokenHelperCalls, startServer, createTestSession, getJson } = require('./helpers');
+
+const BOUNDS = 'minLon=-91&maxLon=-88&minLat=20&maxLat=22';
+
+let server;
+
+before(async () => {
+    server = await startServer();
+});
+
+after(() => server.close());
+
+const get = (pathAndQuery, cookie) => getJson(server.baseUrl, pathAndQuery, cookie);
+const navpointNames = res => res.body.items.map(p => p.name);
+
+test('requests without a valid session get 401', async () => {
+    for (const path of [`/api/data/navpoints?${BOUNDS}`, '/api/navdata/status', '/api/airports', '/api/auth/status', '/api/auth/sessions']) {
+        const anonymous = await get(path);
+        assert.equal(anonymous.status, 401, path);
+
+        const unknown = await get(path, 'session_id=00000000-0000-0000-0000-000000000000');
+        assert.equal(unknown.status, 401, path);
+    }
+});
+
+test('an expired session that cannot be refreshed gets 401', async () => {
+    const { cookie } = await createTestSession({ expiresIn: -60, refreshable: false });
+    const res = await get(`/api/data/navpoints?${BOUNDS}`, cookie);
+    assert.equal(res.status, 401);
+    assert.equal(res.body.error, 'Session expired. Please log in again.');
+});
+
+test('an expired session is refreshed once for parallel requests', async () => {
+    const { cookie } = await createTestSession({ expiresIn: -60 });
+    const before = tokenHelperCalls.refresh;
+
+    const responses = await Promise.all([
+        get(`/api/data/vors?${BOUNDS}`, cookie),
+        get(`/api/data/airports?${BOUNDS}`, cookie),
+        get('/api/navdata/status', cookie)
+    ]);
+    assert.deepEqual(responses.map(r => r.status), [200, 200, 200]);
+    assert.equal(tokenHelperCalls.refresh - before, 1);
+
+    // The refreshed token was stored, so the next request needs no refresh
+    await get('/api/navdata/status', cookie);
+    assert.equal(tokenHelperCalls.refresh - before, 1);
+});
+
+test('a request holding a rotated refresh token reuses the stored tokens', async () => {
+    const { getSession, updateSessionTokens } = require('../src/session-store');
+    const { refreshSession } = require('../src/auth-middleware');
+    const { sessionId, cookie } = await createTestSession({ expiresIn: -60 });
+    const stale = await getSession(sessionId);
+
+    assert.equal((await get('/api/navdata/status', cookie)).status, 200);
+    const before = tokenHelperCalls.refresh;
+    const stored = await getSession(sessionId);
+
+    const refreshed = await refreshSession(sessionId, stale.refresh_token);
+    assert.deepEqual(refreshed, { access_token: stored.access_token, expires_at: stored.expires_at });
+    assert.equal(tokenHelperCalls.refresh - before, 0);
+
+    // Stored tokens that expired in the meantime are refreshed with the stored refresh token
+    await updateSessionTokens(sessionId, stored.access_token, stored.refresh_token, -60);
+    const renewed = await refreshSession(sessionId, stale.refresh_token);
+    assert.equal(tokenHelperCalls.refresh - before, 1);
+    assert.ok(renewed.expires_at > Date.now());
+});
+
+test('subscribers are served the current cycle', async () => {
+    const { cookie } = await createTestSession({ subscribed: true });
+
+    const status = await get('/api/navdata/status', cookie);
+    assert.equal(status.body.served, 'current');
+    assert.equal(status.body.subscriptionActive, true);
+    assert.equal(status.body.cycle, CYCLES.current);
+
+    const navpoints = await get(`/api/data/navpoints?${BOUNDS}`, cookie);
+    assert.ok(navpointNames(navpoints).includes('TENOS'));
+});
+
+test('accounts without fmsdata fall back to outdated.sqlite', async () => {
+    const { cookie } = await createTestSession({ user: 'guest', subscribed: false });
+
+    const status = await get('/api/navdata/status', cookie);
+    assert.equal(status.body.served, 'outdated');
+    assert.equal(status.body.subscriptionActive, false);
+    assert.equal(status.body.cycle, CYCLES.outdated);
+    assert.equal(status.body.packages.current.cycle, CYCLES.current);
+
+    // TENOS only exists in the current fixture cycle
+    const navpoints = await get(`/api/data/navpoints?${BOUNDS}`, cookie);
+    assert.equal(navpoints.status, 200);
+    assert.ok(!navpointNames(navpoints).includes('TENOS'));
+    assert.ok(navpointNames(navpoints).includes('KOMAR'));
+
+    const auth = await get('/api/auth/status', cookie);
+    assert.deepEqual(auth.body, { authenticated: true, subscription: { active: false } });
+});
+
+test('logout ends the session', async () => {
+    const { cookie } = await createTestSession();
+    const res = await fetch(`${server.baseUrl}/api/auth/logout`, { method: 'POST', headers: { cookie } });
+    assert.equal(res.status, 200);
+
+    const after = await get('/api/navdata/status', cookie);
+    assert.equal(after.status, 401);
+});
@@ -0,0 +1,199 @@
+// test/data-api.test.js
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createTestSession, getJson } = require('./helpers');
+
+// Box around Merida (MMMD) that holds the whole fixture except Cancun
+const BOUNDS = 'minLon=-91&maxLon=-88&minLat=20&maxLat=22';
+
+let server;
+let cookie;
+
+before(async () => {
+    server = await startServer();
+    ({ cookie } = await createTestSession());
+});
+
+after(() => server.close());
+
+const get = (pathAndQuery) => getJson(server.baseUrl, pathAndQuery, cookie);
+const ids = (items, key) => items.map(item => item[key]).sort();
+
+test('every bbox type answers with the schema envelope', async () => {
+    const expected = {
+        navpoints: ['KOMAR', 'PIXAN', 'TENOS', 'ULMAS'],
+        airports: ['MMMD'],
+        vors: ['MID'],
+        terminalWaypoints: ['MD501', 'MD502', 'MD510'],
+        runways: ['RW10', 'RW18', 'RW28', 'RW36'],
+        ils: ['IMID'],
+        holdings: ['KOMAR', 'TENOS'],
+        airways: ['UG765', 'UJ18', 'UJ18'],
+        airspaces: ['MMMD', 'MMMD', 'MMR101']
+    };
+    const keys = { navpoints: 'name', airports: 'icao', terminalWaypoints: 'name', holdings: 'fix' };
+
+    for (const [type, values] of Object.entries(expected)) {
+        const res = await get(`/api/data/${type}?${BOUNDS}`);
+        assert.equal(res.status, 200, type);
+        assert.equal(res.body.schemaVersion, 1, type);
+        assert.equal(res.body.type, type);
+        assert.equal(typeof res.body.units, 'object', type);
+        assert.deepEqual(ids(res.body.items, keys[type] || 'id'), values, type);
+    }
+});
+
+test('bbox types reject missing or non-numeric bounds', async () => {
+    for (const query of ['', 'minLon=-91&maxLon=-88&minLat=20', 'minLon=-91&maxLon=abc&minLat=20&maxLat=22']) {
+        const res = await get(`/api/data/navpoints?${query}`);
+        assert.equal(res.status, 400, query);
+        assert.equal(res.body.error, 'Missing bounding box');
+    }
+});
+
+test('bbox types reject latitudes out of order', async () => {
+    const res = await get('/api/data/navpoints?minLon=-91&maxLon=-88&minLat=22&maxLat=20');
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, 'Invalid bounding box');
+});
+
+test('boxes crossing the antimeridian are queried on both sides', async () => {
+    // Continuous (as the scope computes it) and GeoJSON style (west > east)
+    for (const query of ['minLon=179&maxLon=181&minLat=-18&maxLat=-17', 'minLon=179&maxLon=-179&minLat=-18&maxLat=-17', 'minLon=-181&maxLon=-179&minLat=-18&maxLat=-17']) {
+        const navpoints = await get(`/api/data/navpoints?${query}`);
+        assert.deepEqual(ids(navpoints.body.items, 'name'), ['DATEE', 'DATEW'], query);
+
+        // The leg across the antimeridian is found once, not as a segment around the globe
+        const airways = await get(`/api/data/airways?${query}`);
+        assert.deepEqual(ids(airways.body.items, 'id'), ['B999'], query);
+
+        // So is the airspace straddling it
+        const airspaces = await get(`/api/data/airspaces?${query}`);
+        assert.deepEqual(ids(airspaces.body.items, 'id'), ['NFFF'], query);
+    }
+
+    // A box on one side only still sees the leg crossing into it
+    const east = await get('/api/data/airways?minLon=-179.95&maxLon=-179&minLat=-18&maxLat=-17');
+    assert.deepEqual(ids(east.body.items, 'id'), ['B999']);
+    const elsewhere = await get('/api/data/airways?minLon=0&maxLon=1&minLat=-18&maxLat=-17');
+    assert.deepEqual(elsewhere.body.items, []);
+
+    // The airspace covers 0.4° across the antimeridian, not the globe between its vertices
+    const inside = await get('/api/data/airspaces?minLon=-179.95&maxLon=-179.9&minLat=-17.6&maxLat=-17.5');
+    assert.deepEqual(ids(inside.body.items, 'id'), ['NFFF']);
+    const west = await get('/api/data/airspaces?minLon=178.7&maxLon=178.9&minLat=-18&maxLat=-17');
+    assert.deepEqual(west.body.items, []);
+
+    const bundle = await get('/api/data/bundle?bbox=179,-18,-179,-17');
+    assert.deepEqual(ids(bundle.body.layers.navpoints.items, 'name'), ['DATEE', 'DATEW']);
+});
+
+test('boxes past a pole are clamped', async () => {
+    const res = await get('/api/data/navpoints?minLon=-200&maxLon=200&minLat=-100&maxLat=100');
+    assert.equal(res.status, 200);
+    assert.ok(ids(res.body.items, 'name').includes('DATEW'));
+    assert.ok(ids(res.body.items, 'name').includes('KOMAR'));
+});
+
+test('airports outside the box and non-IFR airports are left out', async () => {
+    const res = await get('/api/data/airports?minLon=-90&maxLon=-86&minLat=20&maxLat=22');
+    assert.deepEqual(ids(res.body.items, 'icao'), ['MMMD', 'MMUN']);
+});
+
+test('approachPaths parses the ICAO list', async () => {
+    const res = await get('/api/data/approachPaths?airports=%20mmmd%20,,MMUN');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.items.length, 6);
+    assert.ok(res.body.items.every(leg => leg.icao === 'MMMD'));
+
+    const missing = await get('/api/data/approachPaths');
+    assert.equal(missing.status, 400);
+    assert.equal(missing.body.error, 'Missing airports parameter');
+
+    const empty = await get('/api/data/approachPaths?airports=,%20,');
+    assert.equal(empty.status, 400);
+    assert.equal(empty.body.error, 'Empty airports list');
+});
+
+test('stars and sids are served per airport', async () => {
+    const stars = await get('/api/data/stars?airports=MMMD');
+    assert.deepEqual([...new Set(stars.body.items.map(leg => leg.id))], ['TENO1A']);
+
+    const sids = await get('/api/data/sids?airports=MMMD');
+    assert.deepEqual([...new Set(sids.body.items.map(leg => leg.id))], ['PIXA1D']);
+
+    const none = await get('/api/data/sids?airports=MMUN');
+    assert.deepEqual(none.body.items, []);
+});
+
+test('search ranks exact matches first and validates the query', async () => {
+    const res = await get('/api/data/search?q=mid');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.items[0].ident, 'MID');
+    assert.equal(res.body.items[0].type, 'vor');
+
+    const short = await get('/api/data/search?q=M');
+    assert.equal(short.status, 400);
+});
+
+test('bundle holds every layer and accepts the bbox parameter', async () => {
+    const res = await get('/api/data/bundle?bbox=-91,20,-88,22');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.type, 'bundle');
+    assert.deepEqual(Object.keys(res.body.layers).sort(), [
+        'airports', 'airspaces', 'airways', 'approachPaths', 'holdings', 'ils',
+        'navpoints', 'runways', 'sids', 'stars', 'terminalWaypoints', 'vors'
+    ]);
+    // Procedures default to the airports inside the box
+    assert.equal(res.body.layers.approachPaths.items.length, 6);
+
+    const columnar = await get('/api/data/bundle?bbox=-91,20,-88,22&format=columnar');
+    assert.equal(columnar.body.layers.navpoints.encoding, 'columnar');
+    assert.equal(columnar.body.layers.navpoints.count, 4);
+
+    const invalid = await get('/api/data/bundle?bbox=-91,20,-88');
+    assert.equal(invalid.status, 400);
+});
+
+test('unknown types are rejected', async () => {
+    const res = await get('/api/data/teapots');
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, 'Invalid type');
+});
+
+test('repeat requests revalidate with the ETag', async () => {
+    const first = await get(`/api/data/vors?${BOUNDS}`);
+    const etag = first.headers.get('etag');
+    assert.ok(etag);
+
+    // fetch() adds 'Cache-Control: no-cache' to conditional requests unless told otherwise
+    const headers = { cookie, 'if-none-match': etag, 'cache-control': 'max-age=0' };
+    const res = await fetch(`${server.baseUrl}/api/data/vors?${BOUNDS}`, { headers });
+    assert.equal(res.status, 304);
+});
+
+test('airport catalogue lists IFR airports with their scope bounds', async () => {
+    const res = await get('/api/airports?country=MM&range=40');
+    assert.equal(res.status, 200);
+    assert.deepEqual(ids(res.body.items, 'icao'), ['MMMD', 'MMUN']);
+    const merida = res.body.items.find(a => a.icao === 'MMMD');
+    assert.equal(merida.rangeNm, 40);
+    assert.ok(merida.minLat < merida.lat && merida.lat < merida.maxLat);
+});
+
+test('airport catalogue matches LIKE wildcards in search terms literally', async () => {
+    for (const q of ['%', '_MMD', 'M\\']) {
+        const res = await get(`/api/airports?q=${encodeURIComponent(q)}`);
+        assert.equal(res.status, 200, q);
+        assert.deepEqual(res.body.items, [], q);
+    }
+    assert.deepEqual(ids((await get('/api/airports?country=%25')).body.items, 'icao'), []);
+});
+
+test('search matches LIKE wildcards in the query literally', async () => {
+    for (const q of ['%%', '__', 'M\\']) {
+        const res = await get(`/api/data/search?q=${encodeURIComponent(q)}`);
+        assert.equal(res.status, 200, q);
+        assert.deepEqual(res.body.items, [], q);
+    }
+});
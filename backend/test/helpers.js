@@ -0,0 +1,140 @@
+// test/helpers.js
+// Boots the Express app against fixture databases in a temporary DATA_DIR, with
+// a fake token helper in place of Navigraph's JWKS verification and token endpoint.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const Module = require('module');
+const sqlite3 = require('sqlite3');
+const { open } = require('sqlite');
+const { buildSpatialIndex } = require('../src/nav-spatial-index');
+
+const FIXTURE_SQL = path.join(__dirname, '../mock/fixture-dfd.sql');
+
+// Settings read when the backend modules load, so they are set before anything is required
+const DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'echoscope-test-'));
+process.env.DATA_DIR = DATA_DIR;
+process.env.SESSION_TOKEN_KEY = crypto.randomBytes(32).toString('base64');
+process.env.SESSION_TOKEN_KEY_ID = 'test';
+
+const CYCLES = { current: '2510', outdated: '2509' };
+
+// Access tokens are '<user>:fmsdata' (active subscription) or '<user>:free'.
+// Refresh tokens starting with 'valid-' can be exchanged, any other is rejected.
+const tokenHelperCalls = { refresh: 0, verify: 0 };
+const fakeTokenHelper = {
+    async refreshNavigraphToken(refreshToken) {
+        tokenHelperCalls.refresh++;
+        if (!String(refreshToken).startsWith('valid-')) return { success: false };
+        const [, user, plan] = refreshToken.split(':');
+        return { success: true, access_token: `${user}:${plan}`, refresh_token: `valid-${crypto.randomUUID()}:${user}:${plan}`, expires_in: 3600 };
+    },
+    async validateFmsDataSubscription(accessToken) {
+        tokenHelperCalls.verify++;
+        return String(accessToken).endsWith(':fmsdata') ? { active: true, type: 'fmsdata' } : { active: false };
+    },
+    tokenSubject(accessToken) {
+        return String(accessToken).split(':')[0] || null;
+    }
+};
+
+const tokenHelperPath = require.resolve('../src/token-helper');
+const fakeModule = new Module(tokenHelperPath, module);
+fakeModule.filename = tokenHelperPath;
+fakeModule.exports = fakeTokenHelper;
+fakeModule.loaded = true;
+require.cache[tokenHelperPath] = fakeModule;
+
+/**
+ * Writes current.sqlite and outdated.sqlite from the fixture script, plus a matching
+ * metadata.json. The outdated cycle lacks waypoint TENOS so tests can tell the files apart.
+ * Only current.sqlite gets the R*Tree side-index, so both query paths are exercised.
+ */
+async function buildFixtures() {
+    const script = fs.readFileSync(FIXTURE_SQL, 'utf8');
+    for (const [kind, cycle] of Object.entries(CYCLES)) {
+        const filePath = path.join(DATA_DIR, `${kind}.sqlite`);
+        if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+        const db = await open({ filename: filePath, driver: sqlite3.Database });
+        await db.exec(script.replace(/\{\{CYCLE\}\}/g, cycle).replace(/\{\{REVISION\}\}/g, '1'));
+        if (kind === 'outdated') await db.run(`DELETE FROM tbl_enroute_waypoints WHERE waypoint_identifier = 'TENOS'`);
+        await db.close();
+        if (kind === 'current') await buildSpatialIndex(filePath);
+    }
+
+    const updatedAt = new Date().toISOString();
+    fs.writeFileSync(path.join(DATA_DIR, 'metadata.json'), JSON.stringify({
+        current: { cycle: CYCLES.current, revision: '1', updatedAt },
+        outdated: { cycle: CYCLES.outdated, revision: '1', updatedAt }
+    }));
+}
+
+/**
+ * Builds the fixtures, opens the session and scenario stores, loads the simulation core
+ * and listens on a random port, with shared rooms served over WebSockets.
+ * @returns {Promise<{baseUrl: string, close: Function}>}
+ */
+async function startServer() {
+    await buildFixtures();
+    const { initSessionStore } = require('../src/session-store');
+    await initSessionStore();
+    const { initScenarioStore } = require('../src/scenario-store');
+    await initScenarioStore();
+    await require('../src/sim-core').loadSimCore();
+
+    const app = require('../app');
+    const server = await new Promise(resolve => {
+        const s = app.listen(0, '127.0.0.1', () => resolve(s));
+    });
+    const wss = require('../src/realtime').attachRealtime(server);
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    return {
+        baseUrl,
+        close: () => new Promise(resolve => {
+            for (const ws of wss.clients) ws.terminate();
+            wss.close();
+            server.close(() => {
+                fs.rmSync(DATA_DIR, { recursive: true, force: true });
+                resolve();
+            });
+        })
+    };
+}
+
+/**
+ * Creates a stored session and returns its cookie header.
+ * @param {object} [options]
+ * @param {string} [options.user] - Navigraph account id.
+ * @param {boolean} [options.subscribed] - Whether the access token carries fmsdata.
+ * @param {number} [options.expiresIn] - Access token lifetime in seconds (negative: already expired).
+ * @param {boolean} [options.refreshable] - Whether the refresh token can be exchanged.
+ */
+async function createTestSession({ user = 'pilot', subscribed = true, expiresIn = 3600, refreshable = true } = {}) {
+    const { createSession } = require('../src/session-store');
+    const plan = subscribed ? 'fmsdata' : 'free';
+    const refreshToken = `${refreshable ? 'valid' : 'revoked'}-${crypto.randomUUID()}:${user}:${plan}`;
+    const sessionId = await createSession(`${user}:${plan}`, refreshToken, expiresIn, { userId: user, userAgent: 'node-test' });
+    return { sessionId, cookie: `session_id=${sessionId}` };
+}
+
+/**
+ * GET request returning status, headers and parsed JSON body.
+ */
+async function getJson(baseUrl, pathAndQuery, cookie) {
+    return sendJson(baseUrl, 'GET', pathAndQuery, cookie);
+}
+
+/**
+ * Request with an optional JSON body, returning status, headers and parsed JSON body.
+ */
+async function sendJson(baseUrl, method, pathAndQuery, cookie, body) {
+    const headers = cookie ? { cookie } : {};
+    if (body !== undefined) headers['content-type'] = 'application/json';
+    const res = await fetch(baseUrl + pathAndQuery, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+    const text = await res.text();
+    return { status: res.status, headers: res.headers, body: text ? JSON.parse(text) : null };
+}
+
+module.exports = { CYCLES, buildFixtures, DATA_DIR, tokenHelperCalls, startServer, createTestSession, getJson, sendJson };
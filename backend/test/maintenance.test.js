@@ -0,0 +1,32 @@
+// test/maintenance.test.js
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createTestSession } = require('./helpers');
+
+let server;
+let sessionStore;
+let runSessionCleanup;
+
+before(async () => {
+    server = await startServer();
+    sessionStore = require('../src/session-store');
+    ({ runSessionCleanup } = require('../src/maintenance'));
+});
+
+after(() => server.close());
+
+test('the nightly cleanup removes only expired sessions', async () => {
+    const live = await createTestSession({ expiresIn: 3600 });
+    const expired = await createTestSession({ expiresIn: -60 });
+    const alsoExpired = await createTestSession({ user: 'other', expiresIn: -1 });
+
+    const removed = await runSessionCleanup();
+    assert.equal(removed, 2);
+
+    assert.ok(await sessionStore.getSession(live.sessionId));
+    assert.ok(!await sessionStore.getSession(expired.sessionId));
+    assert.ok(!await sessionStore.getSession(alsoExpired.sessionId));
+
+    // Nothing left to remove on the next run
+    assert.equal(await runSessionCleanup(), 0);
+});
@@ -0,0 +1,129 @@
+// test/nav-extract.test.js
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { open } = require('sqlite');
+const { startServer, createTestSession, getJson, CYCLES, DATA_DIR } = require('./helpers');
+const { loadNavQuery } = require('../src/nav-query');
+const { navDataEvents } = require('../src/navdata-manager');
+const { EXTRACT_DIR } = require('../src/nav-extract');
+
+let server;
+let cookie;
+let queries;
+const files = [];
+
+before(async () => {
+    server = await startServer();
+    ({ cookie } = await createTestSession());
+    queries = await loadNavQuery();
+});
+
+after(async () => {
+    files.forEach(file => fs.rmSync(file, { force: true }));
+    await server.close();
+});
+
+/**
+ * Downloads an extract and opens it the way the browser does: read-only, no R*Tree.
+ */
+async function openExtract(pathAndQuery, sessionCookie = cookie) {
+    const res = await fetch(server.baseUrl + pathAndQuery, { headers: { cookie: sessionCookie } });
+    assert.equal(res.status, 200);
+    const file = path.join(os.tmpdir(), `echoscope-extract-test-${files.length}.sqlite`);
+    files.push(file);
+    fs.writeFileSync(file, Buffer.from(await res.arrayBuffer()));
+    const db = await open({ filename: file, driver: sqlite3.Database, mode: sqlite3.OPEN_READONLY });
+    await queries.loadSpatialIndex(db);
+    return { db, cycleHeader: res.headers.get('x-airac-cycle') };
+}
+
+test('an extract answers the bundle query like the API', async () => {
+    const { db, cycleHeader } = await openExtract('/api/navdata/extract/mmmd?range=60');
+    try {
+        const info = await db.get('SELECT * FROM tbl_extract');
+        assert.equal(info.airport_identifier, 'MMMD');
+        assert.equal(info.airac_cycle, CYCLES.current);
+        assert.equal(cycleHeader, `${CYCLES.current}r1`);
+        assert.equal((await db.all(`SELECT name FROM sqlite_master WHERE name LIKE 'rtree_%'`)).length, 0);
+
+        const bbox = { minLon: info.min_lon, maxLon: info.max_lon, minLat: info.min_lat, maxLat: info.max_lat };
+        const offline = await queries.buildBundle(db, bbox, null, 'rows');
+        const online = await getJson(server.baseUrl, `/api/data/bundle?bbox=${bbox.minLon},${bbox.minLat},${bbox.maxLon},${bbox.maxLat}`, cookie);
+        assert.deepEqual(offline.layers, online.body.layers);
+        assert.ok(online.body.layers.approachPaths.items.length > 0);
+    } finally {
+        await db.close();
+    }
+});
+
+test('an extract leaves out what is outside the area', async () => {
+    const { db } = await openExtract('/api/navdata/extract/MMMD?range=5');
+    try {
+        const airports = await db.all('SELECT airport_identifier FROM tbl_airports');
+        assert.deepEqual(airports.map(a => a.airport_identifier), ['MMMD']);
+        const procedures = await db.all('SELECT DISTINCT airport_identifier FROM tbl_iaps');
+        assert.deepEqual(procedures.map(p => p.airport_identifier), ['MMMD']);
+    } finally {
+        await db.close();
+    }
+});
+
+test('extracts come from the cycle the session is entitled to', async () => {
+    const free = await createTestSession({ user: 'free', subscribed: false });
+    const { db, cycleHeader } = await openExtract('/api/navdata/extract/MMMD', free.cookie);
+    try {
+        assert.equal(cycleHeader, `${CYCLES.outdated}r1`);
+        assert.equal((await db.get('SELECT airac_cycle FROM tbl_extract')).airac_cycle, CYCLES.outdated);
+    } finally {
+        await db.close();
+    }
+});
+
+test('extracts reject unknown and malformed airports', async () => {
+    assert.equal((await getJson(server.baseUrl, '/api/navdata/extract/ZZZZ', cookie)).status, 404);
+    assert.equal((await getJson(server.baseUrl, '/api/navdata/extract/M-MD', cookie)).status, 400);
+    assert.equal((await getJson(server.baseUrl, '/api/navdata/extract/MMMD')).status, 401);
+});
+
+test('extracts are kept on disk per cycle and revalidate with the ETag', async () => {
+    const url = `${server.baseUrl}/api/navdata/extract/MMMD?range=39.2`;
+    const first = await fetch(url, { headers: { cookie } });
+    assert.equal(first.status, 200);
+    await first.arrayBuffer();
+    assert.ok(fs.existsSync(path.join(EXTRACT_DIR, `${CYCLES.current}r1`, 'MMMD-40.sqlite')));
+
+    const etag = first.headers.get('etag');
+    assert.ok(etag);
+    const again = await fetch(url, { headers: { cookie, 'if-none-match': etag, 'cache-control': 'max-age=0' } });
+    assert.equal(again.status, 304);
+
+    // Unknown airports leave nothing behind
+    await getJson(server.baseUrl, '/api/navdata/extract/ZZZZ', cookie);
+    assert.deepEqual(fs.readdirSync(path.join(EXTRACT_DIR, `${CYCLES.current}r1`)).filter(f => f.startsWith('ZZZZ')), []);
+});
+
+test('installing a package drops the extracts of the cycle it replaced', async () => {
+    const res = await fetch(`${server.baseUrl}/api/navdata/extract/MMMD`, { headers: { cookie } });
+    await res.arrayBuffer();
+    const outdated = await createTestSession({ user: 'lapsed', subscribed: false });
+    await (await fetch(`${server.baseUrl}/api/navdata/extract/MMMD`, { headers: { cookie: outdated.cookie } })).arrayBuffer();
+
+    const metadataFile = path.join(DATA_DIR, 'metadata.json');
+    const metadata = JSON.parse(fs.readFileSync(metadataFile, 'utf8'));
+    fs.writeFileSync(metadataFile, JSON.stringify({ ...metadata, current: { ...metadata.current, revision: '2' } }));
+    try {
+        navDataEvents.emit('installed', 'current');
+        assert.equal(fs.existsSync(path.join(EXTRACT_DIR, `${CYCLES.current}r1`)), false);
+        assert.equal(fs.existsSync(path.join(EXTRACT_DIR, `${CYCLES.outdated}r1`)), true);
+
+        const rebuilt = await fetch(`${server.baseUrl}/api/navdata/extract/MMMD`, { headers: { cookie } });
+        await rebuilt.arrayBuffer();
+        assert.equal(rebuilt.headers.get('x-airac-cycle'), `${CYCLES.current}r2`);
+    } finally {
+        fs.writeFileSync(metadataFile, JSON.stringify(metadata));
+    }
+});
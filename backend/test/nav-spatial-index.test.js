@@ -0,0 +1,69 @@
+// test/nav-spatial-index.test.js
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { open } = require('sqlite');
+const { DATA_DIR, buildFixtures } = require('./helpers');
+const { loadNavQuery } = require('../src/nav-query');
+
+let SPATIAL_INDEXES, queryBbox, BBOX_LAYERS;
+let indexed;
+let plain;
+
+before(async () => {
+    let loadSpatialIndex;
+    ({ SPATIAL_INDEXES, loadSpatialIndex, queryBbox, BBOX_LAYERS } = await loadNavQuery());
+    await buildFixtures();
+    const filename = path.join(DATA_DIR, 'current.sqlite');
+    indexed = await open({ filename, driver: sqlite3.Database, mode: sqlite3.OPEN_READONLY });
+    await loadSpatialIndex(indexed);
+    // Same file, but the handle does not know about the index
+    plain = await open({ filename, driver: sqlite3.Database, mode: sqlite3.OPEN_READONLY });
+});
+
+after(async () => {
+    await indexed.close();
+    await plain.close();
+    fs.rmSync(DATA_DIR, { recursive: true, force: true });
+});
+
+test('every indexed table has one entry per positioned row', async () => {
+    for (const [table, { lon, lat }] of Object.entries(SPATIAL_INDEXES)) {
+        const rows = await indexed.get(`SELECT COUNT(*) AS n FROM ${table} WHERE ${lon} IS NOT NULL AND ${lat} IS NOT NULL`);
+        const entries = await indexed.get(`SELECT COUNT(*) AS n FROM rtree_${table.replace(/^tbl_/, '')}`);
+        assert.equal(entries.n, rows.n, table);
+    }
+});
+
+test('indexed and plain bbox queries return the same rows', async () => {
+    const boxes = [
+        { minLon: -91, maxLon: -88, minLat: 20, maxLat: 22 },
+        { minLon: -89.7, maxLon: -89.6, minLat: 20.9, maxLat: 21 },
+        // Edges exactly on the MID VOR: float32 rounding in the index must not drop or add it
+        { minLon: -89.6608, maxLon: -89.6608, minLat: 20.9334, maxLat: 20.9334 },
+        { minLon: 10, maxLon: 20, minLat: 40, maxLat: 50 }
+    ];
+    const layers = ['navpoints', 'airports', 'vors', 'terminalWaypoints', 'runways', 'ils'];
+
+    for (const bbox of boxes) {
+        for (const type of layers) {
+            const withIndex = (await BBOX_LAYERS[type](indexed, bbox)).map(r => JSON.stringify(r)).sort();
+            const withoutIndex = (await BBOX_LAYERS[type](plain, bbox)).map(r => JSON.stringify(r)).sort();
+            assert.deepEqual(withIndex, withoutIndex, `${type} ${JSON.stringify(bbox)}`);
+        }
+    }
+
+    const vor = await queryBbox(indexed, 'tbl_vhfnavaids', boxes[2]);
+    assert.deepEqual(vor.map(r => r.vor_identifier), ['MID']);
+});
+
+test('the index is used when present', async () => {
+    const plan = await indexed.all(
+        `EXPLAIN QUERY PLAN SELECT t.* FROM rtree_vhfnavaids r JOIN tbl_vhfnavaids t ON t.rowid = r.id
+         WHERE r.min_lon <= ? AND r.max_lon >= ? AND r.min_lat <= ? AND r.max_lat >= ?`,
+        [-88, -91, 22, 20]
+    );
+    assert.ok(plan.some(step => /VIRTUAL TABLE INDEX/.test(step.detail)), JSON.stringify(plan));
+});
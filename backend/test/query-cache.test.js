@@ -0,0 +1,29 @@
+// test/query-cache.test.js
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const queryCache = require('../src/query-cache');
+
+afterEach(() => queryCache.clear());
+
+test('cache keys hold only the params the routes read', () => {
+    const key = queryCache.cacheKey('vors', 'current.sqlite:1', { minLon: '-91', maxLon: '-88', minLat: '20', maxLat: '22' });
+    assert.equal(queryCache.cacheKey('vors', 'current.sqlite:1', { maxLat: '22', minLat: '20', maxLon: '-88', minLon: '-91', x: '1' }), key);
+    assert.notEqual(queryCache.cacheKey('vors', 'current.sqlite:1', { minLon: '-91', maxLon: '-88', minLat: '20', maxLat: '23' }), key);
+    assert.notEqual(queryCache.cacheKey('search', 'current.sqlite:1', { q: 'MID', limit: '5' }), queryCache.cacheKey('search', 'current.sqlite:1', { q: 'MID' }));
+});
+
+test('the least recently used entries are dropped once bodies and compressed copies exceed the byte budget', () => {
+    // About 20 MB that gzip shrinks to roughly 15 MB
+    const body = crypto.randomBytes(15 * 1024 * 1024).toString('base64');
+    const first = queryCache.set('a', body);
+    queryCache.set('b', body);
+    queryCache.set('c', body);
+    assert.ok(queryCache.get('a'));
+
+    // The compressed copy counts too and pushes out the least recently used entry
+    queryCache.compressed(first, 'gzip');
+    assert.equal(queryCache.get('b'), null);
+    assert.ok(queryCache.get('a'));
+    assert.ok(queryCache.get('c'));
+});
@@ -0,0 +1,228 @@
+// test/rooms.test.js
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const WebSocket = require('ws');
+const { startServer, createTestSession, getJson, sendJson } = require('./helpers');
+const { loadSimCore } = require('../src/sim-core');
+
+let server;
+let arrival; // Simulation state of an arriving aircraft
+
+before(async () => {
+    server = await startServer();
+    const { AircraftModel } = await loadSimCore();
+    arrival = new AircraftModel('AMX123', 21.3, -90.2, 150, 9000, 250, 'MMMX', 'MMMD', 'M', 'descent').toState();
+});
+
+after(() => server.close());
+
+const HOST_MESSAGE = {
+    type: 'host',
+    sector: 'app',
+    airport: 'MMMD',
+    center: { lat: 20.937, lon: -89.657 },
+    rangeNm: 40,
+    runways: ['RW10'],
+    wind: { direction: 100, speed: 8 }
+};
+
+/**
+ * Opens a room connection; `next(type)` resolves with the next message of that type.
+ */
+function connect(cookie, query = '') {
+    return new Promise((resolve, reject) => {
+        const ws = new WebSocket(`${server.baseUrl.replace(/^http/, 'ws')}/api/rooms/ws${query}`, { headers: cookie ? { cookie } : {} });
+        const received = [];
+        const waiting = [];
+        ws.on('message', data => {
+            const message = JSON.parse(data);
+            const i = waiting.findIndex(w => w.type === message.type);
+            if (i >= 0) waiting.splice(i, 1)[0].resolve(message);
+            else received.push(message);
+        });
+        const client = {
+            ws,
+            send: message => ws.send(JSON.stringify(message)),
+            next: type => {
+                const i = received.findIndex(m => m.type === type);
+                if (i >= 0) return Promise.resolve(received.splice(i, 1)[0]);
+                return new Promise(resolveMessage => waiting.push({ type, resolve: resolveMessage }));
+            },
+            close: () => new Promise(resolveClose => {
+                ws.once('close', resolveClose);
+                ws.close();
+            })
+        };
+        ws.once('open', () => resolve(client));
+        ws.once('unexpected-response', (req, res) => reject(Object.assign(new Error('Upgrade rejected'), { status: res.statusCode })));
+        ws.once('error', reject);
+    });
+}
+
+test('the room socket needs a session', async () => {
+    await assert.rejects(connect(), err => err.status === 401);
+    await assert.rejects(connect('session_id=00000000-0000-0000-0000-000000000000'), err => err.status === 401);
+    await assert.rejects(connect(null, '?ticket=unknown'), err => err.status === 401);
+});
+
+test('a ticket opens the room socket once, without the cookie', async () => {
+    const { cookie } = await createTestSession({ user: 'tester' });
+    assert.equal((await sendJson(server.baseUrl, 'POST', '/api/rooms/ticket')).status, 401);
+
+    const res = await sendJson(server.baseUrl, 'POST', '/api/rooms/ticket', cookie);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.url, null);
+    const query = `?ticket=${encodeURIComponent(res.body.ticket)}`;
+
+    const client = await connect(null, query);
+    client.send({ type: 'join', room: 'NOROOM', sector: 'APP' });
+    assert.equal((await client.next('error')).error, 'Room not found');
+    await client.close();
+    await assert.rejects(connect(null, query), err => err.status === 401);
+
+    process.env.REALTIME_URL = 'wss://rooms.example.com/';
+    try {
+        const direct = await sendJson(server.baseUrl, 'POST', '/api/rooms/ticket', cookie);
+        assert.equal(direct.body.url, 'wss://rooms.example.com/api/rooms/ws');
+    } finally {
+        delete process.env.REALTIME_URL;
+    }
+});
+
+test('controllers share the server-side simulation, instructions and sector ownership', async () => {
+    const approach = await connect((await createTestSession({ user: 'instructor' })).cookie);
+    const tower = await connect((await createTestSession({ user: 'trainee' })).cookie);
+
+    approach.send({ ...HOST_MESSAGE, aircraft: [arrival] });
+    const hosted = await approach.next('joined');
+    assert.equal(hosted.host, true);
+    assert.equal(hosted.sector, 'APP');
+    assert.deepEqual(hosted.snapshot.aircraft.map(a => [a.callsign, a.altitude, a.owner]), [['AMX123', 9000, null]]);
+    const roomId = hosted.room.id;
+
+    const rooms = await getJson(server.baseUrl, '/api/rooms', (await createTestSession()).cookie);
+    assert.deepEqual(rooms.body.rooms.map(r => [r.id, r.airport, r.sectors]), [[roomId, 'MMMD', ['APP']]]);
+
+    tower.send({ type: 'join', room: roomId.toLowerCase(), sector: 'TWR' });
+    const joined = await tower.next('joined');
+    assert.equal(joined.host, false);
+    assert.deepEqual(joined.room.runways, ['RW10']);
+    assert.deepEqual(joined.snapshot.aircraft.map(a => [a.callsign, a.owner]), [['AMX123', null]]);
+    assert.deepEqual((await approach.next('members')).members, [{ sector: 'APP' }, { sector: 'TWR' }]);
+
+    // The first instruction assumes the aircraft; the other sector may no longer instruct it
+    approach.send({ type: 'instruction', callsign: 'AMX123', instruction: { kind: 'heading', value: 270 } });
+    assert.deepEqual(await tower.next('ownership'), { type: 'ownership', callsign: 'AMX123', owner: 'APP' });
+    assert.deepEqual(await tower.next('instruction'), {
+        type: 'instruction', callsign: 'AMX123', instruction: { kind: 'heading', value: 270 }, sector: 'APP'
+    });
+
+    tower.send({ type: 'instruction', callsign: 'AMX123', instruction: { kind: 'altitude', value: 3000 } });
+    assert.equal((await tower.next('error')).error, 'AMX123 is controlled by APP');
+
+    approach.send({ type: 'handoff', callsign: 'AMX123', to: 'twr' });
+    assert.equal((await tower.next('ownership')).owner, 'TWR');
+    tower.send({ type: 'instruction', callsign: 'AMX123', instruction: { kind: 'altitude', value: 3000 } });
+    assert.equal((await approach.next('instruction')).instruction.value, 3000);
+    tower.send({ type: 'instruction', callsign: 'AMX123', instruction: { kind: 'clearHold', holding: 'ignored' } });
+    assert.deepEqual((await approach.next('instruction')).instruction, { kind: 'clearHold' });
+
+    // Snapshots of the server's simulation reach every member, with the owner
+    const snapshot = await tower.next('snapshot');
+    const [plane] = snapshot.aircraft;
+    assert.ok(snapshot.tick > joined.snapshot.tick);
+    assert.deepEqual([plane.targetHdg, plane.targetAlt, plane.owner], [270, 3000, 'TWR']);
+    assert.ok(plane.altitude < 9000);
+    assert.deepEqual((await approach.next('snapshot')).aircraft.map(a => a.owner), ['TWR']);
+
+    // The simulation outlives the controller who opened the room
+    await approach.close();
+    assert.deepEqual((await tower.next('members')).members, [{ sector: 'TWR' }]);
+    const later = await tower.next('snapshot');
+    assert.ok(later.tick > snapshot.tick);
+
+    await tower.close();
+});
+
+test('invalid room messages are answered with errors', async () => {
+    const client = await connect((await createTestSession({ user: 'tester' })).cookie);
+
+    client.send({ type: 'join', room: 'NOROOM', sector: 'APP' });
+    assert.equal((await client.next('error')).error, 'Room not found');
+
+    client.send({ type: 'instruction', callsign: 'AMX123', instruction: { kind: 'heading', value: 90 } });
+    assert.equal((await client.next('error')).error, 'Not in a room');
+
+    client.send({ ...HOST_MESSAGE, sector: 'approach control' });
+    assert.match((await client.next('error')).error, /^Sector must be/);
+    client.send({ ...HOST_MESSAGE, aircraft: [{ ...arrival, phase: 'taxi' }] });
+    assert.equal((await client.next('error')).error, 'aircraft[0].phase is invalid');
+    client.send({ ...HOST_MESSAGE, aircraft: [{ ...arrival, procedureWaypoints: [{ name: 'XYZ' }] }] });
+    assert.equal((await client.next('error')).error, 'aircraft[0].procedureWaypoints is invalid');
+    client.send({ ...HOST_MESSAGE, aircraft: [arrival, arrival] });
+    assert.equal((await client.next('error')).error, 'aircraft[1].callsign AMX123 is used twice');
+
+    client.send({ ...HOST_MESSAGE, aircraft: [arrival] });
+    const { room } = await client.next('joined');
+
+    const other = await connect((await createTestSession({ user: 'tester2' })).cookie);
+    other.send({ type: 'join', room: room.id, sector: 'APP' });
+    assert.equal((await other.next('error')).error, 'Sector APP is already staffed');
+
+    client.send({ type: 'instruction', callsign: 'AMX123', instruction: { kind: 'heading', value: 400 } });
+    assert.equal((await client.next('error')).error, 'Heading must be 0-360');
+    client.send({ type: 'instruction', callsign: 'BAW1', instruction: { kind: 'heading', value: 90 } });
+    assert.equal((await client.next('error')).error, 'BAW1 is not in the room');
+    client.send({ type: 'instruction', callsign: 'AMX123', instruction: { kind: 'sid', id: 'NOM1A', points: 'NOM' } });
+    assert.equal((await client.next('error')).error, 'SID route is invalid');
+    client.send({ type: 'snapshot', aircraft: [] });
+    assert.equal((await client.next('error')).error, 'Unknown message type snapshot');
+    client.ws.send('not json');
+    assert.equal((await client.next('error')).error, 'Invalid JSON');
+
+    await other.close();
+    await client.close();
+});
+
+test('a message that throws is answered with an error', async () => {
+    const client = await connect((await createTestSession({ user: 'tester' })).cookie);
+    client.send({ ...HOST_MESSAGE, aircraft: [arrival] });
+    await client.next('joined');
+
+    const { AircraftModel } = await loadSimCore();
+    const { setHeading } = AircraftModel.prototype;
+    AircraftModel.prototype.setHeading = () => { throw new Error('Instruction failure'); };
+    try {
+        client.send({ type: 'instruction', callsign: 'AMX123', instruction: { kind: 'heading', value: 90 } });
+        assert.equal((await client.next('error')).error, 'Message could not be handled');
+    } finally {
+        AircraftModel.prototype.setHeading = setHeading;
+    }
+
+    // The connection and the server keep working
+    client.send({ type: 'instruction', callsign: 'AMX123', instruction: { kind: 'heading', value: 400 } });
+    assert.equal((await client.next('error')).error, 'Heading must be 0-360');
+    await client.close();
+});
+
+test('a failing simulation closes its room and leaves the server running', async () => {
+    const { cookie } = await createTestSession({ user: 'tester' });
+    const client = await connect(cookie);
+    client.send({ ...HOST_MESSAGE, aircraft: [arrival] });
+    const { room } = await client.next('joined');
+
+    const { Simulation } = await loadSimCore();
+    const { advance } = Simulation.prototype;
+    Simulation.prototype.advance = () => { throw new Error('Simulation failure'); };
+    try {
+        assert.equal((await client.next('closed')).error, 'The room simulation failed and the room was closed');
+    } finally {
+        Simulation.prototype.advance = advance;
+    }
+
+    const res = await getJson(server.baseUrl, '/api/rooms', cookie);
+    assert.equal(res.status, 200);
+    assert.ok(!res.body.rooms.some(r => r.id === room.id));
+
+    await client.close();
+});
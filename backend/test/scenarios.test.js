@@ -0,0 +1,105 @@
+// test/scenarios.test.js
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createTestSession, sendJson } = require('./helpers');
+
+let server;
+
+before(async () => {
+    server = await startServer();
+});
+
+after(() => server.close());
+
+const send = (method, pathAndQuery, cookie, body) => sendJson(server.baseUrl, method, pathAndQuery, cookie, body);
+
+const SCENARIO = {
+    name: 'Morning arrivals',
+    airport: 'MMMD',
+    rangeNm: 60,
+    runways: ['RW10'],
+    wind: { direction: 100, speed: 12 },
+    aircraft: [
+        {
+            callsign: 'AMX123', lat: 21.3, lon: -90.2, heading: 150, altitude: 9000, speed: 250,
+            departure: 'MMMX', destination: 'MMMD', wtc: 'M', phase: 'descent',
+            targetAltitude: 5000, star: { id: 'TENO1A', transition: null }, approach: { id: 'I10', transition: 'KOMAR' }
+        },
+        {
+            callsign: 'VOI456', lat: 20.93, lon: -89.67, heading: 100, altitude: 33, speed: 0,
+            departure: 'MMMD', destination: 'MMUN', wtc: 'M', phase: 'takeoff',
+            departureRunway: 'RW10', sid: { id: 'PIXA1D', transition: null }
+        }
+    ]
+};
+
+test('scenario routes need a session', async () => {
+    assert.equal((await send('GET', '/api/scenarios')).status, 401);
+    assert.equal((await send('POST', '/api/scenarios', undefined, SCENARIO)).status, 401);
+});
+
+test('scenarios can be created, listed, loaded, updated and deleted', async () => {
+    const { cookie } = await createTestSession({ user: 'planner' });
+
+    const created = await send('POST', '/api/scenarios', cookie, SCENARIO);
+    assert.equal(created.status, 201);
+    const { id } = created.body.scenario;
+    assert.ok(id);
+    assert.equal(created.body.scenario.aircraft[0].approach.transition, 'KOMAR');
+    assert.equal(created.body.scenario.aircraft[1].departureRunway, 'RW10');
+
+    const list = await send('GET', '/api/scenarios?airport=mmmd', cookie);
+    assert.equal(list.status, 200);
+    assert.deepEqual(list.body.scenarios.map(s => [s.id, s.name, s.aircraftCount]), [[id, 'Morning arrivals', 2]]);
+    assert.deepEqual((await send('GET', '/api/scenarios?airport=MMUN', cookie)).body.scenarios, []);
+
+    const loaded = await send('GET', `/api/scenarios/${id}`, cookie);
+    assert.equal(loaded.status, 200);
+    assert.deepEqual(loaded.body.scenario.wind, { direction: 100, speed: 12 });
+    assert.deepEqual(loaded.body.scenario.runways, ['RW10']);
+
+    const updated = await send('PUT', `/api/scenarios/${id}`, cookie, { ...SCENARIO, name: 'Quiet evening', aircraft: [] });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.scenario.name, 'Quiet evening');
+    assert.equal(updated.body.scenario.aircraft.length, 0);
+    assert.equal(updated.body.scenario.createdAt, created.body.scenario.createdAt);
+
+    assert.equal((await send('DELETE', `/api/scenarios/${id}`, cookie)).status, 200);
+    assert.equal((await send('GET', `/api/scenarios/${id}`, cookie)).status, 404);
+    assert.equal((await send('DELETE', `/api/scenarios/${id}`, cookie)).status, 404);
+});
+
+test('scenarios belong to one Navigraph account', async () => {
+    const owner = await createTestSession({ user: 'owner' });
+    const otherDevice = await createTestSession({ user: 'owner', subscribed: false });
+    const stranger = await createTestSession({ user: 'stranger' });
+
+    const { id } = (await send('POST', '/api/scenarios', owner.cookie, SCENARIO)).body.scenario;
+
+    assert.equal((await send('GET', `/api/scenarios/${id}`, otherDevice.cookie)).status, 200);
+    assert.equal((await send('GET', `/api/scenarios/${id}`, stranger.cookie)).status, 404);
+    assert.equal((await send('PUT', `/api/scenarios/${id}`, stranger.cookie, SCENARIO)).status, 404);
+    assert.equal((await send('DELETE', `/api/scenarios/${id}`, stranger.cookie)).status, 404);
+    assert.deepEqual((await send('GET', '/api/scenarios', stranger.cookie)).body.scenarios, []);
+    assert.equal((await send('GET', `/api/scenarios/${id}`, owner.cookie)).status, 200);
+});
+
+test('invalid scenarios are rejected', async () => {
+    const { cookie } = await createTestSession({ user: 'careless' });
+    const invalid = [
+        { ...SCENARIO, name: '  ' },
+        { ...SCENARIO, airport: 'MERIDA' },
+        { ...SCENARIO, runways: ['10'] },
+        { ...SCENARIO, wind: { direction: 400, speed: 10 } },
+        { ...SCENARIO, aircraft: 'none' },
+        { ...SCENARIO, aircraft: [{ ...SCENARIO.aircraft[0], altitude: 'high' }] },
+        { ...SCENARIO, aircraft: [{ ...SCENARIO.aircraft[0], phase: 'taxi' }] },
+        { ...SCENARIO, aircraft: [{ ...SCENARIO.aircraft[0], star: { transition: 'KOMAR' } }] }
+    ];
+    for (const body of invalid) {
+        const res = await send('POST', '/api/scenarios', cookie, body);
+        assert.equal(res.status, 400, JSON.stringify(body));
+        assert.ok(res.body.error);
+    }
+    assert.deepEqual((await send('GET', '/api/scenarios', cookie)).body.scenarios, []);
+});
@@ -0,0 +1,133 @@
+// test/simulation.test.js
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadSimCore } = require('../src/sim-core');
+
+let core;
+
+before(async () => {
+    core = await loadSimCore();
+});
+
+const CALM = { direction: 0, speed: 0 };
+
+function cruiser(callsign = 'AMX123') {
+    return new core.AircraftModel(callsign, 21, -89, 90, 9000, 250, 'MMMX', 'MMMD', 'M', 'cruise');
+}
+
+const KM_PER_DEG_LAT = 111.195;
+
+test('ticks are fixed, whatever the frame rate', () => {
+    const fast = new core.Simulation({ wind: CALM });
+    const slow = new core.Simulation({ wind: CALM });
+    [fast, slow].forEach(sim => sim.add(cruiser()).setHeading(180));
+
+    for (let i = 0; i < 600; i++) fast.advance(1 / 60);
+    for (let i = 0; i < 40; i++) slow.advance(0.25);
+
+    assert.equal(fast.tick, 100);
+    assert.equal(slow.tick, 100);
+    assert.deepEqual(fast.snapshot(), slow.snapshot());
+});
+
+test('catching up after a stall is capped', () => {
+    const sim = new core.Simulation({ wind: CALM });
+    sim.add(cruiser());
+    assert.equal(sim.advance(30), Math.round(1 / core.TICK_SECONDS));
+    assert.equal(sim.advance(0.04), 0);
+});
+
+test('aircraft fly at their true airspeed plus the simulation wind', () => {
+    const calm = new core.Simulation({ wind: CALM });
+    const tailwind = new core.Simulation({ wind: { direction: 180, speed: 40 } });
+    const northbound = () => new core.AircraftModel('AMX123', 21, -89, 0, 9000, 250, 'MMMX', 'MMMD', 'M', 'cruise');
+    const a = calm.add(northbound());
+    const b = tailwind.add(northbound());
+
+    for (let i = 0; i < 60; i++) {
+        calm.advance(1);
+        tailwind.advance(1);
+    }
+
+    const km = plane => (plane.lat - 21) * KM_PER_DEG_LAT;
+    // 250 kt IAS at 9000 ft is about 295 kt TAS: roughly 9.1 km a minute
+    assert.ok(Math.abs(km(a) - 9.1) < 0.2, `flew ${km(a)} km`);
+    assert.ok(Math.abs(km(b) - km(a) - 40 * 1.852 / 60) < 0.1, `tailwind added ${km(b) - km(a)} km`);
+    assert.equal(calm.time, 60);
+});
+
+test('a departure rolls, rotates and climbs towards its initial altitude', () => {
+    const sim = new core.Simulation({ wind: CALM });
+    const plane = sim.add(new core.AircraftModel('AMX789', 21, -89, 0, 0, 0, 'MMMD', 'MMMX', 'M', 'takeoff'));
+    plane.lineUp({ id: 'RW10', lat: 20.94, lon: -89.67, trueBearing: 100, thresholdElevation: 38 });
+
+    for (let i = 0; i < 60 && plane.phase === 'takeoff'; i++) sim.advance(1);
+    assert.equal(plane.phase, 'initial_climb');
+    assert.ok(plane.indicatedAirspeed >= 145);
+
+    for (let i = 0; i < 60; i++) sim.advance(1);
+    assert.ok(plane.altitude > 1000, `at ${plane.altitude} ft`);
+    assert.equal(plane.targetAlt, 5000);
+});
+
+test('instructions steer the aircraft and snapshots restore them exactly', () => {
+    const sim = new core.Simulation({ wind: { direction: 270, speed: 25 } });
+    const plane = sim.add(cruiser());
+
+    assert.equal(core.applyInstruction(plane, { kind: 'altitude', value: 5000 }), true);
+    core.applyInstruction(plane, { kind: 'direct', waypoint: { name: 'TENOS', lat: 21.5, lon: -88.5 } });
+    assert.equal(core.applyInstruction(plane, { kind: 'taxi' }), false);
+    for (let i = 0; i < 30; i++) sim.advance(1);
+    assert.ok(plane.altitude < 9000);
+
+    const copy = core.Simulation.fromSnapshot(JSON.parse(JSON.stringify(sim.snapshot())), { wind: sim.wind });
+    for (let i = 0; i < 30; i++) {
+        sim.advance(1);
+        copy.advance(1);
+    }
+    assert.deepEqual(copy.snapshot().aircraft, sim.snapshot().aircraft);
+    assert.equal(plane.targetWaypoint.name, 'TENOS');
+});
+
+test('a hold is flown until it is cleared', () => {
+    const sim = new core.Simulation({ wind: CALM });
+    const plane = sim.add(cruiser());
+    const holding = { fix: 'TENOS', lat: 21.2, lon: -88.8, trueInboundCourse: 270, turnDirection: 'R', legTime: 1, legLength: null, speed: 230 };
+
+    assert.equal(core.applyInstruction(plane, { kind: 'hold', holding }), true);
+    for (let i = 0; i < 60; i++) sim.advance(1);
+    assert.equal(plane.holding.fix.fix, 'TENOS');
+
+    assert.equal(core.applyInstruction(plane, { kind: 'clearHold' }), true);
+    assert.equal(plane.holding, null);
+    assert.equal(plane.targetHdg, plane.heading);
+    const heading = plane.heading;
+    for (let i = 0; i < 10; i++) sim.advance(1);
+    assert.ok(Math.abs(plane.heading - heading) < 1);
+});
+
+test('SIDs and arrivals are flown from their resolved routes', () => {
+    const sim = new core.Simulation({ wind: CALM });
+    const arrival = sim.add(cruiser());
+    const points = [{ name: 'TENOS', lat: 21.2, lon: -88.8 }, { name: 'MID', lat: 20.94, lon: -89.66 }];
+    const ils = { lat: 20.93, lon: -89.68, bearing: 100, declination: -2, gsAngle: 3, gsElevation: 38 };
+
+    core.applyInstruction(arrival, { kind: 'arrival', star: 'TENO1A', starTransition: null, approach: 'I10', approachTransition: null, points, ils });
+    assert.deepEqual(arrival.assignedStar, { id: 'TENO1A', transition: null });
+    assert.deepEqual(arrival.assignedProcedure, { type: 'approach', id: 'I10', transition: null });
+    assert.equal(arrival.targetWaypoint.name, 'TENOS');
+    assert.equal(arrival.ilsData, ils);
+    assert.equal(arrival.autopilotActive, true);
+
+    // A STAR on its own replaces the route, so the earlier approach is no longer assigned
+    core.applyInstruction(arrival, { kind: 'arrival', star: 'TENO1B', starTransition: null, approach: null, approachTransition: null, points, ils: null });
+    assert.deepEqual(arrival.assignedStar, { id: 'TENO1B', transition: null });
+    assert.equal(arrival.assignedProcedure, null);
+    assert.equal(arrival.ilsData, null);
+
+    const departure = sim.add(new core.AircraftModel('AMX789', 21, -89, 0, 0, 0, 'MMMD', 'MMMX', 'M', 'takeoff'));
+    departure.lineUp({ id: 'RW10', lat: 20.94, lon: -89.67, trueBearing: 100, thresholdElevation: 38 });
+    core.applyInstruction(departure, { kind: 'sid', id: 'NOM1A', transition: null, points });
+    assert.equal(departure.sidArmed, true);
+    assert.equal(departure.autopilotActive, false);
+});
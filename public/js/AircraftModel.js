@@ -0,0 +1,813 @@
+// js/AircraftModel.js
+
+// Flight model of one aircraft, free of DOM and canvas access so the same code runs
+// in the browser and in the backend's shared-room simulation.
+
+import { AIRCRAFT_PERFORMANCE, windDirection, windSpeed, phase, INITIAL_CLIMB_ALTITUDE, SID_ENGAGE_HEIGHT_FT } from './config.js';
+import { KNOTS_TO_KPS, NM_TO_KM, wrapLon, calculateBearing, calculateDistance, calculateCrossTrackError } from './utils.js';
+
+// Distance (km) at which the aircraft is considered over a holding fix
+const HOLD_FIX_CAPTURE_KM = 0.5;
+
+/**
+ * @summary Selects the holding entry from the aircraft's track over the fix.
+ * @param {number} track - Track over the fix in degrees.
+ * @param {number} inbound - Inbound course of the hold in degrees (true).
+ * @param {number} dir - Turn direction of the hold (1 = right, -1 = left).
+ * @returns {'direct'|'parallel'|'teardrop'} The entry procedure.
+ */
+function holdEntryFor(track, inbound, dir) {
+    // Angle from the inbound course, mirrored so left holds use the right-hold sectors
+    let diff = ((track - inbound + 540) % 360) - 180;
+    diff *= dir;
+    if (diff >= -70 && diff <= 110) return 'direct';
+    return diff > 110 ? 'teardrop' : 'parallel';
+}
+
+// The scope's wind (config.js), read live so setWind applies to every aircraft
+const SCOPE_WIND = {
+    get direction() { return windDirection; },
+    get speed() { return windSpeed; }
+};
+
+// Flight events (ILS captures, rotation, holds...) go to the console unless replaced
+let flightLog = (...args) => console.log(...args);
+
+/**
+ * @summary Replaces the logger of flight events, e.g. to silence them in a headless simulation.
+ * @param {Function} log - Called with console.log-style arguments.
+ */
+export function setFlightLog(log) {
+    flightLog = log;
+}
+
+// Everything `update` reads or writes: the authoritative state of an aircraft.
+// Performance figures are derived from the WTC and not part of it.
+const STATE_FIELDS = [
+    'callsign', 'lat', 'lon', 'departure', 'destination', 'wtc', 'phase',
+    'altitude', 'targetAlt', 'verticalSpeed',
+    'heading', 'targetHdg', 'track',
+    'indicatedAirspeed', 'targetSpd', 'trueAirspeed', 'groundSpeed',
+    'targetWaypoint', 'assignedProcedure', 'assignedStar', 'assignedSid',
+    'isDeparture', 'departureRunway', 'fieldElevation', 'sidArmed',
+    'holding', 'forcedTurnDirection',
+    'procedureWaypoints', 'currentWaypointIndex', 'autopilotActive',
+    'interceptingLOC', 'interceptingGS', 'followingILS', 'ilsData', 'landed',
+    'locPID'
+];
+
+export class AircraftModel {
+    /**
+     * @summary Flight model of a single aircraft: performance, autopilot, procedures,
+     * holds and ILS, advanced by `update`. Drawing is left to subclasses.
+     * @param {string} callsign - The aircraft's unique identifier (e.g., "BAW123").
+     * @param {number} lat - The initial latitude in decimal degrees.
+     * @param {number} lon - The initial longitude in decimal degrees.
+     * @param {number} heading - The initial heading in degrees (0-360).
+     * @param {number} altitude - The initial altitude in feet.
+     * @param {number} speed - The initial speed in knots.
+     * @param {string} departure - The flight's departure airport ICAO code.
+     * @param {string} destination - The flight's destination airport ICAO code.
+     * @param {string} wtc - The wake turbulence category ("L", "M", "H", "J").
+     * @param {string} initialPhase - The initial flight phase.
+     */
+    constructor(callsign, lat, lon, heading, altitude, speed, departure, destination, wtc, initialPhase) {
+        this.callsign = callsign;
+        this.lat = lat;
+        this.lon = lon;
+        this.departure = departure;
+        this.destination = destination;
+        this.wtc = wtc;
+        this.targetWaypoint = null;
+        this.assignedProcedure = null; // { type, id, transition }
+        this.assignedStar = null; // { id, transition }
+        this.assignedSid = null; // { id, transition }
+
+        // Departure state (set by lineUp)
+        this.isDeparture = false;
+        this.departureRunway = null;
+        this.fieldElevation = 0;
+        this.sidArmed = false; // SID waypoints loaded, engaged once airborne
+
+        // Holding state (set by hold)
+        this.holding = null;
+        this.forcedTurnDirection = null; // 1 = right, -1 = left, null = shortest
+
+        // Autopilot for procedures
+        this.procedureWaypoints = [];
+        this.currentWaypointIndex = -1;
+        this.autopilotActive = false;
+
+        // ILS interception and following
+        this.interceptingLOC = false;
+        this.interceptingGS = false;
+        this.followingILS = false;
+        this.ilsData = null;
+        this.landed = false;
+
+        // Look up performance data based on WTC ---
+        const performance = AIRCRAFT_PERFORMANCE[this.wtc] || AIRCRAFT_PERFORMANCE["M"];
+        this.turnRate = performance.turnRate;
+        this.climbRate = performance.climbRate;
+        this.descentRate = performance.descentRate;
+        this.accelerationRate = performance.accelerationRate;
+        this.decelerationRate = performance.decelerationRate;
+        this.takeoffAccelerationRate = performance.takeoffAccelerationRate;
+        this.rotateSpeed = performance.rotateSpeed;
+        this.initialClimbSpeed = performance.initialClimbSpeed;
+
+        // --- Core Flight Parameters ---
+        this.altitude = altitude; // Current altitude in feet
+        this.targetAlt = altitude; // Assigned altitude in feet
+        this.verticalSpeed = 0; // Current vertical speed in feet per minute
+
+        this.heading = heading; // Current heading in degrees
+        this.targetHdg = heading; // Assigned heading in degrees
+        this.track = heading; // Actual direction of travel over the ground
+
+        this.indicatedAirspeed = speed; // Current indicated airspeed (IAS) in knots
+        this.targetSpd = speed; // Assigned speed in knots
+        this.trueAirspeed = 0; // Calculated true airspeed (TAS) in knots
+        this.groundSpeed = 0; // Calculated ground speed in knots
+
+        this.phase = initialPhase;
+
+        // Localizer PID controller state (error in km -> output in degrees)
+        this.locPID = {
+            kp: 80.0,        // proportional gain (deg per km)
+            ki: 0.0,         // integral gain (deg per km*s)
+            kd: 10.0,        // derivative gain (deg per km/s)
+            integral: 0.0,   // accumulated integral (km*s)
+            lastError: 0.0,  // previous error (km)
+            integralLimit: 5.0 // limit to prevent windup (km*s)
+        };
+
+        // Wind acting on the aircraft; the scope's wind unless a simulation sets its own
+        this.wind = SCOPE_WIND;
+    }
+
+    /**
+     * The new physics-based update loop for the aircraft.
+     * @param {number} deltaTime - Time in seconds since the last frame.
+     */
+    /**
+     * The new physics-based update loop for the aircraft.
+     * @param {number} deltaTime - Time in seconds since the last frame.
+     */
+    update(deltaTime) {
+        // --- Takeoff roll: runway centerline tracking until rotation ---
+        if (this.phase === phase.TAKEOFF) {
+            this.updateTakeoffRoll(deltaTime);
+            return;
+        }
+
+        // --- Calculate heading when a direct-to waypoint is assigned ---
+        // If a heading (manual) is set, we should NOT apply wind correction.
+        // If flying direct-to a waypoint under autopilot, compute the required
+        // heading that compensates for wind so the aircraft's ground track
+        // points to the waypoint.
+        if (this.targetWaypoint && this.autopilotActive && !this.followingILS) {
+            const bearing = calculateBearing(this.lat, this.lon, this.targetWaypoint.lat, this.targetWaypoint.lon);
+            this.targetHdg = this.windCorrectedHeading(bearing);
+        }
+
+        // --- HOLDING: entry and racetrack guidance ---
+        if (this.holding) {
+            this.updateHold(deltaTime);
+        }
+
+
+        // --- 1. HEADING LOGIC ---
+        // Adjusts the current heading towards the target heading based on the aircraft's turn rate.
+        // Departures hold runway heading until they reach the SID engage height.
+        const holdRunwayHeading = this.phase === phase.INITIAL_CLIMB && (this.altitude - this.fieldElevation) < SID_ENGAGE_HEIGHT_FT;
+        if (!holdRunwayHeading && this.heading !== this.targetHdg) {
+            const turnStep = this.turnRate * deltaTime;
+            let diff = this.targetHdg - this.heading;
+
+            // Ensure the aircraft turns in the shortest direction
+            if (diff > 180) diff -= 360;
+            if (diff < -180) diff += 360;
+
+            // A forced turn direction (holding turns) may take the long way round
+            if (this.forcedTurnDirection && Math.sign(diff) !== this.forcedTurnDirection && Math.abs(diff) > turnStep) {
+                diff += 360 * this.forcedTurnDirection;
+            }
+
+            // Apply the turn, ensuring we don't overshoot the target
+            if (Math.abs(diff) < turnStep) {
+                this.heading = this.targetHdg;
+                this.forcedTurnDirection = null;
+            } else {
+                this.heading += turnStep * Math.sign(diff);
+            }
+            // Keep heading within the 0-359 degree range
+            this.heading = (this.heading + 360) % 360;
+        }
+
+        // --- 2. ALTITUDE LOGIC ---
+        // Adjusts altitude towards the target using climb/descent rates.
+        if (!this.followingILS) {
+            const altDiff = this.targetAlt - this.altitude;
+            if (Math.abs(altDiff) > 10) {
+                if (altDiff > 0) {
+                    const maxAltChange = (this.climbRate / 60) * deltaTime;
+                    this.altitude += Math.min(maxAltChange, altDiff);
+                    this.verticalSpeed = this.climbRate;
+                } else {
+                    const maxAltChange = (this.descentRate / 60) * deltaTime;
+                    this.altitude += Math.max(-maxAltChange, altDiff);
+                    this.verticalSpeed = -this.descentRate;
+                }
+            } else {
+                this.altitude = this.targetAlt;
+                this.verticalSpeed = 0;
+            }
+        } else {
+            // While on ILS, the descent logic is handled by verticalSpeed below
+            this.altitude += (this.verticalSpeed / 60) * deltaTime;
+        }
+
+
+        // --- DEPARTURE: engage the armed SID once safely airborne ---
+        if (this.phase === phase.INITIAL_CLIMB && !holdRunwayHeading) {
+            this.phase = phase.CLIMB;
+            if (this.sidArmed && this.procedureWaypoints.length > 0) {
+                this.autopilotActive = true;
+                flightLog(`[DEP] ${this.callsign}: SID ${this.assignedSid ? this.assignedSid.id : ''} engaged`);
+            }
+            this.sidArmed = false;
+        }
+
+        // --- 3. SPEED LOGIC ---
+        // Adjusts speed towards the target using acceleration/deceleration rates.
+        const speedDiff = this.targetSpd - this.indicatedAirspeed;
+        if (Math.abs(speedDiff) > 0.5) { // Only adjust if difference is significant
+            if (speedDiff > 0) { // Accelerating
+                const maxSpeedChange = this.accelerationRate * deltaTime;
+                this.indicatedAirspeed += Math.min(maxSpeedChange, speedDiff);
+            } else { // Decelerating
+                const maxSpeedChange = this.decelerationRate * deltaTime;
+                this.indicatedAirspeed += Math.max(-maxSpeedChange, speedDiff);
+            }
+        } else {
+            this.indicatedAirspeed = this.targetSpd;
+        }
+        
+        if (this.assignedProcedure && this.assignedProcedure.type === 'approach' && this.ilsData) {
+            // --- 1. DECLARE VARIABLES (Fixes the ReferenceError) ---
+            const locBearing = (this.ilsData.bearing + this.ilsData.declination + 360) % 360;
+            const rwyLat = this.ilsData.lat;
+            const rwyLon = this.ilsData.lon;
+            const gsElevation = this.ilsData.gsElevation || 0;
+            const gsAngle = this.ilsData.gsAngle || 3.0;
+
+            // --- 2. CALCULATE ERRORS ---
+            const distToThreshold = calculateDistance(this.lat, this.lon, rwyLat, rwyLon);
+            
+            // Cross Track Error: Distance from the extended centerline
+            // Note: We use (locBearing + 180) to define the line coming "out" from the runway
+            const xtkError = calculateCrossTrackError(this.lat, this.lon, rwyLat, rwyLon, (locBearing + 180) % 360);
+
+            // --- 3. LOCALIZER INTERCEPTION LOGIC ---
+            if (!this.interceptingLOC && !this.holding && distToThreshold < 30) {
+                // Capture if within 1.0km of center and heading generally toward runway
+                flightLog(`[ILS] ${this.callsign}: LOC Capture Check - XTK Error: ${xtkError.toFixed(2)} km, Dist to Threshold: ${distToThreshold.toFixed(2)} km, Track: ${this.track.toFixed(2)} deg, Loc Bearing: ${locBearing} deg`);
+                if (Math.abs(xtkError) < 1.0 && Math.abs(((this.track - locBearing + 540) % 360) - 180) < 30) {
+                    this.interceptingLOC = true;
+                    this.autopilotActive = false; // Stop following procedure waypoints
+                    // Reset PID integrator/derivative state on capture to avoid spikes
+                    if (this.locPID) {
+                        this.locPID.integral = 0.0;
+                        this.locPID.lastError = xtkError;
+                    }
+                    flightLog(`%c[ILS] ${this.callsign}: LOCALIZER INTERCEPTED, course: ${locBearing}`, "color: #00ff00; font-weight: bold;");
+                }
+            }
+
+            // --- 4. GLIDESLOPE INTERCEPTION LOGIC ---
+            if (this.interceptingLOC && !this.interceptingGS) {
+                const gsAngleRad = gsAngle * Math.PI / 180;
+                // Calculate current height of the electronic GS beam at this distance
+                const beamAlt = gsElevation + (distToThreshold * 3280.84 * Math.tan(gsAngleRad));
+                
+                // Capture from below (current altitude is less than or equal to beam)
+                if (this.altitude <= beamAlt && Math.abs(this.altitude - beamAlt) < 100) {
+                    this.interceptingGS = true;
+                    this.followingILS = true;
+                    flightLog(`%c[ILS] ${this.callsign}: GLIDESLOPE INTERCEPTED`, "color: #ffff00; font-weight: bold;");
+                }
+            }
+
+            // --- 5. GUIDANCE (Movement) ---
+            
+            // LATERAL GUIDANCE: Track the Localizer
+            if (this.interceptingLOC) {
+                // PID lateral guidance for the localizer.
+                // P: proportional to cross-track error (km)
+                // I: integral of error over time
+                // D: rate of change of error
+                const pid = this.locPID || { kp: 40, ki: 0, kd: 10, integral: 0, lastError: 0, integralLimit: 5 };
+                const dt = deltaTime;
+                const error = xtkError; // km
+
+                // Integrate with anti-windup
+                pid.integral += error * dt;
+                pid.integral = Math.max(-pid.integralLimit, Math.min(pid.integralLimit, pid.integral));
+
+                // Derivative
+                const derivative = (error - pid.lastError) / dt;
+
+                // PID output (degrees)
+                let correction = pid.kp * error + pid.ki * pid.integral + pid.kd * derivative;
+                correction = Math.max(-30, Math.min(30, correction));
+
+                // Save state
+                pid.lastError = error;
+                this.locPID = pid;
+
+                this.targetHdg = (locBearing + correction + 360) % 360;
+                flightLog(`[ILS] ${this.callsign}: LOC Guidance - XTK Error: ${xtkError.toFixed(2)} km, Correction: ${correction.toFixed(2)} deg, Target HDG: ${this.targetHdg.toFixed(2)} deg`);
+            }
+
+            // VERTICAL GUIDANCE: Track the Glideslope
+            if (this.interceptingGS) {
+                const gsAngleRad = gsAngle * Math.PI / 180;
+                const beamAlt = gsElevation + (distToThreshold * 3280.84 * Math.tan(gsAngleRad));
+                const altError = this.altitude - beamAlt;
+
+                // Base descent rate (FPM) = Groundspeed * 101.2 * tan(3 degrees)
+                const baseDescent = this.groundSpeed * 101.269 * Math.tan(gsAngleRad);
+                
+                // Adjust vertical speed to "hug" the beam
+                this.verticalSpeed = -(baseDescent + (altError * 5.0));
+            }
+
+            // --- 6. LANDING TRIGGER ---
+            if (distToThreshold < 0.25 || (this.interceptingGS && this.altitude < gsElevation + 50)) {
+                // Use the string from your config or a hardcoded string
+                this.phase = "landing"; 
+                this.targetSpd = 0; // Decelerate on runway
+                
+                if (this.indicatedAirspeed < 30) {
+                    this.landed = true;
+                    flightLog(`[ILS] ${this.callsign}: TERMINATED - LANDED.`);
+                }
+            }
+        }
+
+        
+        // --- AUTOPILOT PROCEDURE FOLLOWING (with lead-turn/time-to-turn) ---
+        if (this.autopilotActive && this.procedureWaypoints.length > 0 && !this.followingILS) {
+            // Ensure we have a valid current waypoint index
+            if (this.currentWaypointIndex < 0) {
+                this.currentWaypointIndex = 0;
+                const firstWp = this.procedureWaypoints[0];
+                if (firstWp) this.targetWaypoint = { name: firstWp.name, lat: firstWp.lat, lon: firstWp.lon };
+            }
+
+            const currentWp = this.procedureWaypoints[this.currentWaypointIndex];
+            if (currentWp) {
+                const dist = calculateDistance(this.lat, this.lon, currentWp.lat, currentWp.lon);
+
+                // Default minimum capture radius (km)
+                let captureRadius = 0.2;
+
+                // If there's a next waypoint, compute a lead/anticipation distance based
+                // on the time required to turn so that at turn completion the aircraft
+                // is aligned with the vector from the CURRENT procedure waypoint -> NEXT waypoint.
+                const nextIndex = this.currentWaypointIndex + 1;
+                const nextWp = this.procedureWaypoints[nextIndex];
+                if (nextWp) {
+                    // Desired ground track between the two procedure waypoints (old leg -> new leg)
+                    const desiredTrack = calculateBearing(currentWp.lat, currentWp.lon, nextWp.lat, nextWp.lon);
+
+                    // Estimate TAS for wind correction (knots)
+                    const tasEstimate = this.indicatedAirspeed * (1 + (this.altitude / 1000) * 0.02) || 1.0;
+
+                    // Compute wind correction (WCA) for the desired ground track so we know
+                    // which heading will produce that ground track given the current wind.
+                    const desiredTrackRad = desiredTrack * Math.PI / 180;
+                    const windFromRad = this.wind.direction * Math.PI / 180;
+                    const crosswindForDesired = this.wind.speed * Math.sin(windFromRad - desiredTrackRad);
+                    let wcaRad = 0;
+                    const ratio = crosswindForDesired / tasEstimate;
+                    if (Math.abs(ratio) >= 1) {
+                        wcaRad = Math.sign(ratio) * Math.PI / 2;
+                    } else {
+                        wcaRad = Math.asin(ratio);
+                    }
+
+                    // Heading we need to fly so that ground track equals desiredTrack
+                    const desiredHeading = (desiredTrack + (wcaRad * 180 / Math.PI) + 360) % 360;
+
+                    // Angular change required from current heading to desired heading (deg, smallest)
+                    let angleDiff = desiredHeading - this.heading;
+                    if (angleDiff > 180) angleDiff -= 360;
+                    if (angleDiff < -180) angleDiff += 360;
+                    const angToTurnDeg = Math.abs(angleDiff);
+
+                    // Time to complete the turn (s) using aircraft's turnRate (deg/sec)
+                    const timeToTurn = (this.turnRate > 0) ? (angToTurnDeg / this.turnRate) : 0;
+
+                    // Approximate current ground speed (knots) based on current heading and wind
+                    const headingRad = this.heading * Math.PI / 180;
+                    const tasX = tasEstimate * Math.sin(headingRad);
+                    const tasY = tasEstimate * Math.cos(headingRad);
+                    const windRad = (this.wind.direction - 180) * Math.PI / 180;
+                    const windX = this.wind.speed * Math.sin(windRad);
+                    const windY = this.wind.speed * Math.cos(windRad);
+                    const gsXapprox = tasX + windX;
+                    const gsYapprox = tasY + windY;
+                    const groundSpeedApprox = Math.sqrt(gsXapprox * gsXapprox + gsYapprox * gsYapprox);
+
+                    // Distance covered while turning (km)
+                    const distanceDuringTurnKm = (groundSpeedApprox * KNOTS_TO_KPS) * timeToTurn;
+
+                    // Add buffer and scale so turns begin slightly earlier than strict math
+                    captureRadius = Math.max(captureRadius, distanceDuringTurnKm * 1.15 + 0.03);
+
+                    // When we decide to start the turn we should set target heading to the
+                    // wind-corrected desired heading so by the time the aircraft completes
+                    // the turn its ground track will be aligned with the leg vector.
+                    // We'll apply this when we actually trigger the lead-turn below.
+                    this._desiredHeadingForNextLeg = desiredHeading;
+                } else {
+                    // clear any cached desired heading when no next waypoint
+                    this._desiredHeadingForNextLeg = null;
+                }
+
+                // If we're within the capture/lead radius, advance target to the next waypoint
+                if (dist < captureRadius) {
+                    if (nextWp) {
+                        // Start turn toward the next waypoint now (lead turn)
+                        this.currentWaypointIndex = nextIndex;
+                        this.targetWaypoint = { name: nextWp.name, lat: nextWp.lat, lon: nextWp.lon };
+                    } else {
+                        // No further waypoint: advance index and finish procedure
+                        this.currentWaypointIndex++;
+                        if (this.currentWaypointIndex >= this.procedureWaypoints.length) {
+                            this.autopilotActive = false;
+                            this.targetWaypoint = null;
+                        }
+                    }
+                }
+            }
+        }
+        
+        // --- 4. ATMOSPHERIC & SPEED CONVERSIONS (Simplified) ---
+        // True Airspeed (TAS) is roughly 2% higher than Indicated Airspeed (IAS) per 1000 ft.
+        this.trueAirspeed = this.indicatedAirspeed * (1 + (this.altitude / 1000) * 0.02);
+        
+        // --- 5. GROUND SPEED CALCULATION ---
+        const windRad = (this.wind.direction - 180) * Math.PI / 180;
+        const headingRad = this.heading * Math.PI / 180;
+        const tasX = this.trueAirspeed * Math.sin(headingRad);
+        const tasY = this.trueAirspeed * Math.cos(headingRad);
+        const windX = this.wind.speed * Math.sin(windRad);
+        const windY = this.wind.speed * Math.cos(windRad);
+        const gsX = tasX + windX;
+        const gsY = tasY + windY;
+        this.groundSpeed = Math.sqrt(gsX * gsX + gsY * gsY);
+        const trueCourseRad = Math.atan2(gsX, gsY);
+        this.track = (trueCourseRad * 180 / Math.PI + 360) % 360;
+
+        // --- 6. POSITIONAL UPDATE ---
+        this.moveAlongTrack(trueCourseRad, deltaTime);
+    }
+
+    /**
+     * @summary Computes the heading that produces a desired ground track in the current wind.
+     * @param {number} desiredTrack - Desired track over the ground, in degrees true.
+     * @returns {number} Heading in degrees (0-360).
+     */
+    windCorrectedHeading(desiredTrack) {
+        // Estimate TAS from IAS for the wind correction calculation.
+        const tasEstimate = this.indicatedAirspeed * (1 + (this.altitude / 1000) * 0.02) || 1.0;
+
+        // WindDirection is the wind FROM direction (degrees). Standard wind
+        // correction angle (WCA) formula: WCA = asin( (this.wind.speed * sin(windFrom - desiredTrack)) / TAS )
+        const trackRad = desiredTrack * Math.PI / 180;
+        const windFromRad = this.wind.direction * Math.PI / 180;
+        const crosswind = this.wind.speed * Math.sin(windFromRad - trackRad);
+
+        let wcaRad = 0;
+        const ratio = crosswind / tasEstimate;
+        if (Math.abs(ratio) >= 1) {
+            // Can't fully correct — use maximum (90 deg) in direction of crosswind
+            wcaRad = Math.sign(ratio) * Math.PI / 2;
+        } else {
+            wcaRad = Math.asin(ratio);
+        }
+
+        // Required heading to achieve the desired ground track
+        return (desiredTrack + (wcaRad * 180 / Math.PI) + 360) % 360;
+    }
+
+    /**
+     * @summary Advances the aircraft's position along a track at its current ground speed.
+     * @param {number} trackRad - The true course over the ground, in radians.
+     * @param {number} deltaTime - Time in seconds since the last frame.
+     */
+    moveAlongTrack(trackRad, deltaTime) {
+        const distanceMovedKm = (this.groundSpeed * KNOTS_TO_KPS) * deltaTime;
+        const latRad = this.lat * Math.PI / 180;
+        const R = 6371; // Earth's radius in km
+        const newLatRad = Math.asin(Math.sin(latRad) * Math.cos(distanceMovedKm / R) + Math.cos(latRad) * Math.sin(distanceMovedKm / R) * Math.cos(trackRad));
+        const newLonRad = (this.lon * Math.PI / 180) + Math.atan2(Math.sin(trackRad) * Math.sin(distanceMovedKm / R) * Math.cos(latRad), Math.cos(distanceMovedKm / R) - Math.sin(latRad) * Math.sin(newLatRad));
+        this.lat = newLatRad * 180 / Math.PI;
+        // Keep crossing the antimeridian from drifting past ±180
+        this.lon = wrapLon(newLonRad * 180 / Math.PI);
+    }
+
+    /**
+     * @summary Simulates the takeoff roll: accelerates along the runway centerline
+     * and rotates into the initial climb at the aircraft's rotate speed.
+     * @param {number} deltaTime - Time in seconds since the last frame.
+     */
+    updateTakeoffRoll(deltaTime) {
+        this.indicatedAirspeed += this.takeoffAccelerationRate * deltaTime;
+        this.trueAirspeed = this.indicatedAirspeed;
+
+        // On the runway the aircraft stays on the centerline, so wind only
+        // changes the ground speed (headwind component).
+        const headwind = this.wind.speed * Math.cos((this.wind.direction - this.heading) * Math.PI / 180);
+        this.groundSpeed = Math.max(0, this.indicatedAirspeed - headwind);
+        this.track = this.heading;
+        this.moveAlongTrack(this.heading * Math.PI / 180, deltaTime);
+
+        if (this.indicatedAirspeed >= this.rotateSpeed) {
+            this.phase = phase.INITIAL_CLIMB;
+            this.targetSpd = Math.max(this.targetSpd, this.initialClimbSpeed);
+            flightLog(`[DEP] ${this.callsign}: ROTATE at ${Math.round(this.indicatedAirspeed)} kt`);
+        }
+    }
+
+    /**
+     * @summary Lines the aircraft up on a runway threshold, ready for the takeoff roll.
+     * @param {object} runway - Runway from the nav data ({ id, lat, lon, trueBearing, thresholdElevation }).
+     */
+    lineUp(runway) {
+        this.isDeparture = true;
+        this.departureRunway = runway;
+        this.fieldElevation = runway.thresholdElevation || 0;
+
+        this.lat = runway.lat;
+        this.lon = runway.lon;
+        this.heading = runway.trueBearing;
+        this.targetHdg = runway.trueBearing;
+        this.track = runway.trueBearing;
+
+        this.altitude = this.fieldElevation;
+        this.targetAlt = INITIAL_CLIMB_ALTITUDE;
+        this.verticalSpeed = 0;
+        this.indicatedAirspeed = 0;
+        this.targetSpd = this.initialClimbSpeed;
+        this.groundSpeed = 0;
+
+        this.phase = phase.TAKEOFF;
+    }
+
+    /**
+     * @summary Assigns a SID. Before the engage height the SID is armed and only
+     * flown once the aircraft is airborne; afterwards it is flown immediately.
+     * @param {{id: string, transition: string|null}} sid - The SID and enroute transition.
+     * @param {Array<{name: string, lat: number, lon: number}>} points - The SID waypoints.
+     */
+    assignSid(sid, points) {
+        this.assignedSid = sid;
+        this.procedureWaypoints = points || [];
+        this.currentWaypointIndex = -1;
+        this.targetWaypoint = null;
+
+        const airborne = this.phase !== phase.TAKEOFF && this.phase !== phase.INITIAL_CLIMB;
+        this.sidArmed = !airborne;
+        this.autopilotActive = airborne && this.procedureWaypoints.length > 0;
+    }
+
+    /**
+     * @summary Instructs the aircraft to hold at a published holding fix.
+     * @description The aircraft flies direct to the fix, performs a direct, parallel or
+     * teardrop entry based on its track over the fix, then orbits the racetrack
+     * until cleared with `clearHold`, a heading or a direct-to.
+     * @param {object} fix - Holding from the nav data ({ fix, lat, lon, trueInboundCourse, turnDirection, legTime, legLength, speed }).
+     */
+    hold(fix) {
+        this.holding = { fix, state: 'toFix', entry: null, timer: 0, legDistanceKm: 0, returnTurn: null };
+        this.autopilotActive = false;
+        this.sidArmed = false;
+        this.forcedTurnDirection = null;
+        this.targetWaypoint = { name: fix.fix, lat: fix.lat, lon: fix.lon };
+        if (fix.speed) this.targetSpd = Math.min(this.targetSpd, fix.speed);
+        flightLog(`[HOLD] ${this.callsign}: cleared to hold at ${fix.fix}`);
+    }
+
+    /**
+     * @summary Leaves the hold ('clearHold' instruction), resuming the assigned procedure
+     * if one is in progress, otherwise flying the current heading.
+     */
+    clearHold() {
+        if (!this.holding) return;
+        this.holding = null;
+        this.forcedTurnDirection = null;
+        this.targetWaypoint = null;
+        if (this.procedureWaypoints.length > 0 && this.currentWaypointIndex < this.procedureWaypoints.length) {
+            this.autopilotActive = true;
+        } else {
+            this.targetHdg = this.heading;
+        }
+    }
+
+    /**
+     * @summary Runs the holding state machine, setting the target heading for this frame.
+     * @param {number} deltaTime - Time in seconds since the last frame.
+     */
+    updateHold(deltaTime) {
+        const hold = this.holding;
+        const fix = hold.fix;
+        const inbound = fix.trueInboundCourse;
+        const outbound = (inbound + 180) % 360;
+        const dir = fix.turnDirection === 'L' ? -1 : 1;
+        const overFix = calculateDistance(this.lat, this.lon, fix.lat, fix.lon) < HOLD_FIX_CAPTURE_KM;
+
+        // Legs are flown by distance when published, otherwise by time (1 min default)
+        const advanceLeg = () => {
+            hold.timer += deltaTime;
+            hold.legDistanceKm += this.groundSpeed * KNOTS_TO_KPS * deltaTime;
+            return fix.legLength
+                ? hold.legDistanceKm >= fix.legLength * NM_TO_KM
+                : hold.timer >= (fix.legTime || 1) * 60;
+        };
+        const startLeg = () => {
+            hold.timer = 0;
+            hold.legDistanceKm = 0;
+        };
+
+        switch (hold.state) {
+            case 'toFix':
+                this.targetHdg = this.windCorrectedHeading(calculateBearing(this.lat, this.lon, fix.lat, fix.lon));
+                if (overFix) {
+                    hold.entry = holdEntryFor(this.track, inbound, dir);
+                    flightLog(`[HOLD] ${this.callsign}: ${hold.entry} entry at ${fix.fix}`);
+                    if (hold.entry === 'direct') {
+                        hold.state = 'outboundTurn';
+                        this.forcedTurnDirection = dir;
+                    } else {
+                        // Parallel: outbound on the non-holding side, then turn back through the holding side.
+                        // Teardrop: 30° off the outbound course into the holding side, then turn inbound.
+                        hold.state = 'entryOutbound';
+                        hold.entryHeading = hold.entry === 'parallel' ? outbound : (outbound - dir * 30 + 360) % 360;
+                        hold.returnTurn = hold.entry === 'parallel' ? -dir : dir;
+                        startLeg();
+                    }
+                }
+                break;
+
+            case 'entryOutbound':
+                this.targetHdg = hold.entryHeading;
+                if (advanceLeg()) {
+                    hold.state = 'inbound';
+                    this.forcedTurnDirection = hold.returnTurn;
+                }
+                break;
+
+            case 'outboundTurn':
+                this.targetHdg = outbound;
+                if (Math.abs(((this.heading - outbound + 540) % 360) - 180) < 1) {
+                    hold.state = 'outbound';
+                    this.forcedTurnDirection = null;
+                    startLeg();
+                }
+                break;
+
+            case 'outbound':
+                this.targetHdg = outbound;
+                if (advanceLeg()) {
+                    hold.state = 'inbound';
+                    this.forcedTurnDirection = dir;
+                }
+                break;
+
+            case 'inbound':
+                this.targetHdg = this.windCorrectedHeading(calculateBearing(this.lat, this.lon, fix.lat, fix.lon));
+                if (overFix) {
+                    hold.state = 'outboundTurn';
+                    this.forcedTurnDirection = dir;
+                }
+                break;
+        }
+    }
+
+    // --- SETTER METHODS ---
+    setHeading(newHeading) {
+        this.targetHdg = ((newHeading % 360) + 360) % 360;
+        this.targetWaypoint = null; // Clear any direct-to waypoint when heading is manually set
+        this.autopilotActive = false;
+        this.sidArmed = false; // A heading instruction replaces an armed SID
+        this.holding = null;
+        this.forcedTurnDirection = null;
+    }
+
+    setSpeed(newSpeed) {
+        this.targetSpd = Math.max(120, newSpeed); // Set the target Indicated Airspeed (IAS)
+    }
+
+    setAltitude(newAltitude) {
+        this.targetAlt = newAltitude;
+    }
+
+    /**
+     * Tune the Localizer PID controller gains.
+     * @param {number} kp - Proportional gain (deg per km)
+     * @param {number} ki - Integral gain (deg per km*s)
+     * @param {number} kd - Derivative gain (deg per km/s)
+     * @param {number} [integralLimit=5.0] - Limit for integral term (km*s)
+     */
+    setLocPID(kp, ki, kd, integralLimit = 5.0) {
+        this.locPID = this.locPID || { integral: 0.0, lastError: 0.0 };
+        this.locPID.kp = kp;
+        this.locPID.ki = ki;
+        this.locPID.kd = kd;
+        this.locPID.integralLimit = integralLimit;
+        this.locPID.integral = 0.0;
+        this.locPID.lastError = 0.0;
+    }
+
+    flyDirectTo(waypoint) {
+        this.holding = null;
+        this.forcedTurnDirection = null;
+        const index = this.procedureWaypoints.findIndex(wp => wp.name === waypoint.name && Math.abs(wp.lat - waypoint.lat) < 0.001 && Math.abs(wp.lon - waypoint.lon) < 0.001);
+        if (index !== -1) {
+            this.currentWaypointIndex = index;
+            this.targetWaypoint = waypoint;
+            this.autopilotActive = true;
+        } else {
+            // For non-procedure direct-to we should engage autopilot so the
+            // wind-corrected heading calculation runs (and the aircraft turns).
+            this.currentWaypointIndex = -1;
+            this.targetWaypoint = waypoint;
+            this.autopilotActive = true;
+        }
+    }
+
+
+    /**
+     * @summary Assigns a STAR and/or approach and flies their chained waypoints.
+     * The route replaces the previous one, so a STAR on its own also drops an earlier approach.
+     * @param {{id: string, transition: string|null}|null} star - The STAR, or null.
+     * @param {{id: string, transition: string|null}|null} approach - The approach, or null.
+     * @param {Array<{name: string, lat: number, lon: number}>} points - STAR and approach waypoints.
+     * @param {object|null} ils - ILS of the approach runway from the nav data.
+     */
+    assignArrival(star, approach, points, ils) {
+        this.assignedStar = star;
+        this.assignedProcedure = approach ? { type: 'approach', ...approach } : null;
+
+        this.procedureWaypoints = points || [];
+        this.currentWaypointIndex = 0;
+        this.autopilotActive = true;
+        if (this.procedureWaypoints.length > 0) {
+            this.targetWaypoint = this.procedureWaypoints[0];
+        }
+        this.ilsData = approach && ils ? ils : null;
+
+        // The new route starts with no ILS intercepted
+        this.interceptingLOC = false;
+        this.interceptingGS = false;
+        this.followingILS = false;
+    }
+
+    /**
+     * @summary The aircraft's state as plain data, for snapshots.
+     * @returns {object}
+     */
+    toState() {
+        const state = {};
+        STATE_FIELDS.forEach(field => { state[field] = this[field]; });
+        return JSON.parse(JSON.stringify(state));
+    }
+
+    /**
+     * @summary Takes over a state from `toState` (e.g. an authoritative snapshot).
+     * Unknown fields are ignored.
+     * @param {object} state
+     */
+    applyState(state) {
+        const copy = JSON.parse(JSON.stringify(state));
+        STATE_FIELDS.forEach(field => {
+            if (field in copy) this[field] = copy[field];
+        });
+    }
+
+    /**
+     * @summary Creates an aircraft from a state produced by `toState`.
+     * @param {object} state
+     * @returns {AircraftModel}
+     */
+    static fromState(state) {
+        const plane = new AircraftModel(state.callsign, state.lat, state.lon, state.heading, state.altitude,
+            state.indicatedAirspeed, state.departure, state.destination, state.wtc, state.phase);
+        plane.applyState(state);
+        return plane;
+    }
+}
@@ -0,0 +1,109 @@
+// js/account.js
+
+// Logout control and the list of the account's active sessions
+
+let apiBase = '';
+
+const accountControls = document.getElementById('account-controls');
+const sessionsOverlay = document.getElementById('sessions-overlay');
+const sessionsList = document.getElementById('sessions-list');
+
+/**
+ * @summary Formats a timestamp for the sessions list.
+ * @param {number|null} ms - Milliseconds since epoch.
+ * @returns {string}
+ */
+function formatTime(ms) {
+    return ms ? new Date(ms).toLocaleString() : 'unknown';
+}
+
+/**
+ * @summary Signs out the current session and returns to the login screen.
+ */
+async function logout() {
+    try {
+        await fetch(`${apiBase}/api/auth/logout`, { method: 'POST', credentials: 'include' });
+    } catch (e) {
+        console.warn('Logout request failed', e);
+    }
+    window.location.reload();
+}
+
+/**
+ * @summary Revokes one session; revoking the current one logs out.
+ * @param {string} id - Public session id from /api/auth/sessions.
+ */
+async function revokeSession(id) {
+    const resp = await fetch(`${apiBase}/api/auth/sessions/${encodeURIComponent(id)}`, { method: 'DELETE', credentials: 'include' });
+    if (!resp.ok) {
+        console.warn(`Failed to revoke session ${id} (${resp.status})`);
+        return;
+    }
+    const result = await resp.json();
+    if (result.current) {
+        window.location.reload();
+        return;
+    }
+    await showSessions();
+}
+
+/**
+ * @summary Loads the account's sessions and shows them with a revoke button each.
+ */
+async function showSessions() {
+    sessionsList.textContent = 'Loading...';
+    sessionsOverlay.style.display = 'flex';
+
+    let sessions = [];
+    try {
+        const resp = await fetch(`${apiBase}/api/auth/sessions`, { credentials: 'include' });
+        if (resp.status === 401) {
+            window.location.reload();
+            return;
+        }
+        if (resp.ok) sessions = (await resp.json()).sessions || [];
+    } catch (e) {
+        console.warn('Failed to load sessions', e);
+    }
+
+    sessionsList.innerHTML = '';
+    if (sessions.length === 0) {
+        sessionsList.textContent = 'No active sessions found.';
+        return;
+    }
+    sessions.forEach(session => {
+        const item = document.createElement('div');
+        item.className = 'session-item';
+
+        const info = document.createElement('div');
+        info.className = 'session-info';
+        info.textContent = `${session.device}${session.current ? ' (this device)' : ''}`;
+        const times = document.createElement('div');
+        times.className = 'session-times';
+        times.textContent = `Signed in ${formatTime(session.createdAt)} · last used ${formatTime(session.lastUsedAt)}`;
+        info.appendChild(times);
+
+        const revoke = document.createElement('button');
+        revoke.type = 'button';
+        revoke.textContent = session.current ? 'Log out' : 'Revoke';
+        revoke.onclick = () => revokeSession(session.id);
+
+        item.appendChild(info);
+        item.appendChild(revoke);
+        sessionsList.appendChild(item);
+    });
+}
+
+/**
+ * @summary Shows the account controls once the user is authenticated.
+ * @param {string} base - API base URL (empty for same-origin).
+ */
+export function initAccountControls(base) {
+    apiBase = base;
+    accountControls.style.display = 'flex';
+    document.getElementById('logout-button').onclick = logout;
+    document.getElementById('sessions-button').onclick = showSessions;
+    document.getElementById('sessions-close').onclick = () => {
+        sessionsOverlay.style.display = 'none';
+    };
+}
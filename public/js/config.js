@@ -1,24 +1,70 @@
-// MERIDA INTERNATIONAL AIRPORT CONFIGURATION
+// MERIDA INTERNATIONAL AIRPORT CONFIGURATION (default until an airport is selected)
 export const centerCoord = { lat: 20.93702222, lon: -89.65769444 };
-export const radarRangeNM = 30;
+export let radarRangeNM = 30;
 
 export const activeAirports = {
   "MMMD": ["RW10"],
 };
 
+/**
+ * @summary Centres the scope on a selected airport and makes it the only active airport.
+ * @param {string} icao - Airport ICAO code.
+ * @param {number} lat - Airport reference latitude.
+ * @param {number} lon - Airport reference longitude.
+ * @param {number} rangeNM - Radar range in nautical miles.
+ * @param {string[]} [runwayIds=[]] - Active runway ids (e.g. 'RW10'); may be filled in later.
+ */
+export function setActiveAirport(icao, lat, lon, rangeNM, runwayIds = []) {
+  centerCoord.lat = lat;
+  centerCoord.lon = lon;
+  radarRangeNM = rangeNM;
+  Object.keys(activeAirports).forEach(key => delete activeAirports[key]);
+  activeAirports[icao] = runwayIds;
+}
+
+// Radar ranges (NM) the scope can be zoomed between
+export const MIN_RADAR_RANGE_NM = 5;
+export const MAX_RADAR_RANGE_NM = 250;
+
+/**
+ * @summary Changes the radar range (zooming), within MIN/MAX_RADAR_RANGE_NM.
+ * @param {number} rangeNM - Requested range in nautical miles.
+ * @returns {number} The range now in use.
+ */
+export function setRadarRange(rangeNM) {
+  radarRangeNM = Math.min(MAX_RADAR_RANGE_NM, Math.max(MIN_RADAR_RANGE_NM, rangeNM));
+  return radarRangeNM;
+}
+
 export const SWEEP_INTERVAL_MS = 2000;
 
 export let windDirection = 270;
 export let windSpeed = 30; // in knots
 
+/**
+ * @summary Sets the surface wind (e.g. from a saved scenario).
+ * @param {number} direction - Direction the wind blows from, in degrees.
+ * @param {number} speed - Wind speed in knots.
+ */
+export function setWind(direction, speed) {
+  windDirection = direction;
+  windSpeed = speed;
+}
+
 // AIRCRAFT PERFORMANCE
+// takeoffAccelerationRate is in knots per second on the runway; rotateSpeed and
+// initialClimbSpeed are indicated airspeeds in knots.
 export const AIRCRAFT_PERFORMANCE  = {
-  "L": { turnRate: 3.5, climbRate: 1800, descentRate: 2000, accelerationRate: 4.0, decelerationRate: 3.0 },
-  "M": { turnRate: 3.0, climbRate: 2200, descentRate: 2500, accelerationRate: 3.0, decelerationRate: 2.0 },
-  "H": { turnRate: 2.5, climbRate: 1500, descentRate: 2200, accelerationRate: 2.0, decelerationRate: 1.5 },
-  "J": { turnRate: 2.0, climbRate: 1200, descentRate: 2000, accelerationRate: 1.5, decelerationRate: 1.0 }
+  "L": { turnRate: 3.5, climbRate: 1800, descentRate: 2000, accelerationRate: 4.0, decelerationRate: 3.0, takeoffAccelerationRate: 4.0, rotateSpeed: 85, initialClimbSpeed: 140 },
+  "M": { turnRate: 3.0, climbRate: 2200, descentRate: 2500, accelerationRate: 3.0, decelerationRate: 2.0, takeoffAccelerationRate: 3.5, rotateSpeed: 145, initialClimbSpeed: 200 },
+  "H": { turnRate: 2.5, climbRate: 1500, descentRate: 2200, accelerationRate: 2.0, decelerationRate: 1.5, takeoffAccelerationRate: 3.0, rotateSpeed: 155, initialClimbSpeed: 210 },
+  "J": { turnRate: 2.0, climbRate: 1200, descentRate: 2000, accelerationRate: 1.5, decelerationRate: 1.0, takeoffAccelerationRate: 2.5, rotateSpeed: 160, initialClimbSpeed: 220 }
 };
 
+// DEPARTURES
+export const INITIAL_CLIMB_ALTITUDE = 5000; // Default cleared altitude after takeoff (feet)
+export const SID_ENGAGE_HEIGHT_FT = 400; // Height above the field at which an armed SID is engaged
+
 // FLIGHT PHASES
 export const phase = {
   TAKEOFF: "takeoff",
@@ -0,0 +1,74 @@
+// js/instructions.js
+
+// Controller instructions as plain data ({ kind, ... }), so a shared room can replay
+// an instruction issued in one browser on every other client and on the room's
+// server-side simulation.
+
+import { applyInstruction as applyToAircraft } from './simulation.js';
+import { sidRoute, arrivalRoute } from './procedures.js';
+
+const listeners = [];
+
+/**
+ * @summary Adds the procedure waypoints (and ILS) from the local nav data to SID and
+ * arrival instructions, so that they can be flown without nav data.
+ * @param {Aircraft} plane - The instructed aircraft.
+ * @param {object} instruction - See `applyInstruction`.
+ * @returns {object} The resolved instruction.
+ */
+function resolveInstruction(plane, instruction) {
+    switch (instruction.kind) {
+        case 'sid':
+            return { ...instruction, points: sidRoute(plane, instruction.id, instruction.transition) };
+        case 'arrival':
+            return {
+                ...instruction,
+                ...arrivalRoute(plane, instruction.star, instruction.starTransition, instruction.approach, instruction.approachTransition)
+            };
+        default:
+            return instruction;
+    }
+}
+
+/**
+ * @summary Applies a resolved instruction to an aircraft.
+ * @param {Aircraft} plane - The instructed aircraft.
+ * @param {object} instruction - One of
+ *   { kind: 'heading'|'speed'|'altitude', value },
+ *   { kind: 'direct', waypoint: { name, lat, lon } },
+ *   { kind: 'hold', holding },
+ *   { kind: 'clearHold' },
+ *   { kind: 'sid', id, transition, points },
+ *   { kind: 'arrival', star, starTransition, approach, approachTransition, points, ils }.
+ */
+export function applyInstruction(plane, instruction) {
+    if (!applyToAircraft(plane, instruction)) {
+        console.warn(`[INSTRUCTION] Unknown instruction ${instruction.kind} for ${plane.callsign}.`);
+    }
+}
+
+/**
+ * @summary Issues an instruction from this scope: resolves and applies it, then tells
+ * the listeners (the shared room). Aircraft controlled by another sector are not instructed.
+ * @param {Aircraft} plane - The instructed aircraft.
+ * @param {object} instruction - See `applyInstruction`; SID and arrival routes are resolved here.
+ * @returns {boolean} Whether the instruction was issued.
+ */
+export function issueInstruction(plane, instruction) {
+    if (plane.controlledElsewhere) {
+        console.warn(`[INSTRUCTION] ${plane.callsign} is controlled by ${plane.owner}.`);
+        return false;
+    }
+    const resolved = resolveInstruction(plane, instruction);
+    applyInstruction(plane, resolved);
+    listeners.forEach(listener => listener(plane, resolved));
+    return true;
+}
+
+/**
+ * @summary Registers a listener called with (plane, instruction) for every issued instruction.
+ * @param {Function} listener
+ */
+export function onInstruction(listener) {
+    listeners.push(listener);
+}
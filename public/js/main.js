@@ -1,13 +1,20 @@
 // js/main.js
 
-import { SWEEP_INTERVAL_MS, phase, radarRangeNM} from './config.js';
-import { calculateGeographicBounds, setGeographicBounds, setKmPerPixel, latLonToPixel, pixelToLatLon, NM_TO_KM} from './utils.js';
+import { SWEEP_INTERVAL_MS, phase, radarRangeNM, activeAirports, windDirection, setActiveAirport, setWind, setRadarRange} from './config.js';
+import { calculateGeographicBounds, setGeographicBounds, setKmPerPixel, latLonToPixel, pixelToLatLon, NM_TO_KM, unwrapLon,
+    minLon, maxLon, minLat, maxLat, zoomGeographicBounds, panGeographicBounds} from './utils.js';
 import { Aircraft } from './Aircraft.js';
+import { Simulation } from './simulation.js';
 import { drawNavData } from './mapRenderer.js';
-import { waypoints } from './mapRenderer.js';
-import { loadNavData } from './navDatabase.js';
-import { getAircraftTagBoundingBox, getTagHitboxes, showTagInput, calculateTagLayout, showWaypointInput, hideWaypointInput } from './ui.js';
-import { showProceduresPanel, hideProceduresPanel, getHoveredProcedure, buildProcedurePoints } from './procedures.js';
+import { waypoints, runways, findHolding } from './mapRenderer.js';
+import { loadNavData, searchNavIdents, fetchNavDataStatus } from './navDatabase.js';
+import { initAccountControls } from './account.js';
+import { initScenarioControls, pickScenario } from './scenarios.js';
+import { issueInstruction } from './instructions.js';
+import { initRoomControls, showHandoffMenu } from './room.js';
+import { saveOfflineExtract, listOfflineExtracts, activateOfflineExtract } from './offline.js';
+import { getAircraftTagBoundingBox, getTagHitboxes, getCallsignHitbox, showTagInput, calculateTagLayout, showWaypointInput, hideWaypointInput, showCycleIndicator, showCycleChangeNotice } from './ui.js';
+import { showProceduresPanel, hideProceduresPanel, getHoveredProcedure, buildProcedurePoints, assignSid, assignArrival, sidsForRunway } from './procedures.js';
 
 
 
@@ -35,7 +42,8 @@ export const waypointSuggestions = document.getElementById("waypoint-suggestions
 const CANVAS_HIRES = 2160;
 
 // GLOBAL SIMULATION STATE
-let aircraftList = [];
+const simulation = new Simulation(); // Aircraft on the scope, advanced in fixed ticks
+let simulationRunning = false;
 let selectedAircraft = null;
 let hoveredAircraft = null;
 let activeInput = null;
@@ -68,14 +76,12 @@ function gameLoop(currentTime) {
   const deltaTimeMs = currentTime - lastUpdateTime;
   lastUpdateTime = currentTime;
 
-  aircraftList.forEach(plane => plane.update(deltaTimeMs / 1000));
-
-  // Remove landed aircraft
-  aircraftList = aircraftList.filter(plane => !plane.landed);
+  // Fixed-tick simulation; landed aircraft leave it
+  simulation.advance(deltaTimeMs / 1000);
 
   timeSinceLastSweep += deltaTimeMs;
   if (timeSinceLastSweep >= SWEEP_INTERVAL_MS) {
-    aircraftList.forEach(plane => {
+    simulation.aircraft.forEach(plane => {
         const { x, y } = latLonToPixel(plane.lat, plane.lon, canvas);
         plane.displayX = x;
         plane.displayY = y;
@@ -134,12 +140,139 @@ function gameLoop(currentTime) {
         ctx.stroke();
     }
   
-    aircraftList.forEach(plane => plane.draw(ctx, isTagHovered(plane)));
+    simulation.aircraft.forEach(plane => plane.draw(ctx, isTagHovered(plane)));
 
   requestAnimationFrame(gameLoop);
 }
 
 
+/**
+ * @summary Creates a departure lined up on a runway, with the first SID serving that runway armed.
+ * @param {string} callsign - The aircraft's callsign.
+ * @param {string} icao - Departure airport ICAO code.
+ * @param {string} runwayId - Departure runway (e.g. "RW10").
+ * @param {string} destination - Destination airport ICAO code.
+ * @param {string} wtc - The wake turbulence category ("L", "M", "H", "J").
+ * @returns {Aircraft|null} The aircraft, or null if the runway is not in the nav data.
+ */
+function createDeparture(callsign, icao, runwayId, destination, wtc) {
+    const runway = runways.find(r => r.airport === icao && r.id === runwayId);
+    if (!runway) {
+        console.warn(`[DEP] Runway ${icao} ${runwayId} not found, cannot create ${callsign}.`);
+        return null;
+    }
+
+    const plane = new Aircraft(callsign, runway.lat, runway.lon, runway.trueBearing, runway.thresholdElevation || 0, 0, icao, destination, wtc, 0, phase.TAKEOFF, canvas);
+    plane.lineUp(runway);
+
+    const [sidId] = sidsForRunway(icao, runwayId);
+    if (sidId) assignSid(plane, sidId, null);
+    return plane;
+}
+
+/**
+ * @summary Recreates an aircraft of a saved scenario with its targets and assigned procedures.
+ * @param {object} saved - Aircraft as stored by /api/scenarios.
+ * @returns {Aircraft}
+ */
+function restoreAircraft(saved) {
+    const runway = saved.departureRunway
+        ? runways.find(r => r.airport === saved.departure && r.id === saved.departureRunway)
+        : null;
+    if (saved.departureRunway && !runway) {
+        console.warn(`[SCENARIO] Runway ${saved.departure} ${saved.departureRunway} not found for ${saved.callsign}.`);
+    }
+
+    const plane = new Aircraft(saved.callsign, saved.lat, saved.lon, saved.heading, saved.altitude, saved.speed, saved.departure, saved.destination, saved.wtc, 0, saved.phase, canvas);
+    if (runway && saved.phase === phase.TAKEOFF) {
+        plane.lineUp(runway);
+    } else {
+        if (runway) {
+            plane.isDeparture = true;
+            plane.departureRunway = runway;
+            plane.fieldElevation = runway.thresholdElevation || 0;
+        }
+        if (saved.targetHeading !== null) plane.targetHdg = saved.targetHeading;
+        if (saved.targetAltitude !== null) plane.targetAlt = saved.targetAltitude;
+        if (saved.targetSpeed !== null) plane.targetSpd = saved.targetSpeed;
+    }
+
+    if (saved.sid) assignSid(plane, saved.sid.id, saved.sid.transition);
+    if (saved.star || saved.approach) {
+        assignArrival(
+            plane,
+            saved.star ? saved.star.id : null,
+            saved.star ? saved.star.transition : null,
+            saved.approach ? saved.approach.id : null,
+            saved.approach ? saved.approach.transition : null
+        );
+    }
+    return plane;
+}
+
+/**
+ * @summary Brings the local traffic in line with a shared room's authoritative snapshot:
+ * known aircraft take the server's state, new ones are created and the others removed.
+ * Between snapshots the local simulation keeps flying them.
+ * @param {{aircraft: object[]}} snapshot - Aircraft states from the room's simulation.
+ */
+function applyRoomSnapshot(snapshot) {
+    const present = new Set(snapshot.aircraft.map(state => state.callsign));
+    simulation.aircraft
+        .filter(plane => !present.has(plane.callsign))
+        .forEach(plane => simulation.remove(plane.callsign));
+
+    snapshot.aircraft.forEach(state => {
+        const plane = simulation.find(state.callsign);
+        if (plane) plane.applyState(state);
+        else simulation.add(Aircraft.fromState(state, canvas));
+    });
+}
+
+
+// How often the served AIRAC cycle is re-checked while the scope is running
+const NAVDATA_STATUS_POLL_MS = 5 * 60 * 1000;
+
+/**
+ * @summary Shows the served AIRAC cycle and keeps checking it, raising a notice
+ * when the backend starts serving a different cycle or revision.
+ */
+async function watchNavDataCycle() {
+    let loaded = await fetchNavDataStatus();
+    if (loaded) showCycleIndicator(loaded);
+
+    setInterval(async () => {
+        const status = await fetchNavDataStatus();
+        if (!status || !status.cycle) return;
+        if (!loaded || !loaded.cycle) {
+            loaded = status;
+            showCycleIndicator(status);
+            return;
+        }
+        if (status.cycle !== loaded.cycle || status.revision !== loaded.revision || status.served !== loaded.served) {
+            console.log(`[NAVDATA] Served cycle changed: ${loaded.cycle} r${loaded.revision} -> ${status.cycle} r${status.revision}`);
+            showCycleChangeNotice(loaded, status, async () => {
+                loaded = status;
+                showCycleIndicator(status);
+                await loadNavArea();
+            });
+        }
+    }, NAVDATA_STATUS_POLL_MS);
+}
+
+/**
+ * @summary Picks the runway of an airport best aligned with the wind.
+ * @param {string} icao - Airport ICAO code.
+ * @returns {string|null} The runway id (e.g. "RW27"), or null if none are loaded.
+ */
+function runwayIntoWind(icao) {
+    const candidates = runways.filter(r => r.airport === icao && Number.isFinite(r.trueBearing));
+    if (candidates.length === 0) return null;
+    const headwind = r => Math.cos((windDirection - r.trueBearing) * Math.PI / 180);
+    return candidates.reduce((best, r) => (headwind(r) > headwind(best) ? r : best)).id;
+}
+
+
 // ================================================================================= //
 //                          EVENT HANDLING & INITIALIZATION                          //
 // ================================================================================= //
@@ -184,6 +317,10 @@ window.addEventListener("resize", resizeCanvas);
 
 // --- Main Click Listener for Data Tag Interaction & Waypoint Selection ---
 canvas.addEventListener('click', (e) => {
+    if (suppressClick) {
+        suppressClick = false;
+        return;
+    }
     const rect = canvas.getBoundingClientRect();
     const scale = canvas.width / rect.width; // logical pixels per CSS/display pixel
     const mouseX = (e.clientX - rect.left) * scale;
@@ -207,7 +344,7 @@ canvas.addEventListener('click', (e) => {
         }
 
         if (clickedWaypoint) {
-            directToState.plane.flyDirectTo(clickedWaypoint);
+            issueInstruction(directToState.plane, { kind: 'direct', waypoint: { name: clickedWaypoint.name, lat: clickedWaypoint.lat, lon: clickedWaypoint.lon } });
             hideWaypointInput();
             return;
         }
@@ -219,7 +356,7 @@ canvas.addEventListener('click', (e) => {
         return;
     }
     
-    for (const plane of aircraftList) {
+    for (const plane of simulation.aircraft) {
         const hitboxes = getTagHitboxes(plane, ctx, isTagHovered(plane)); 
         for (const property in hitboxes) {
             const box = hitboxes[property];
@@ -238,12 +375,57 @@ canvas.addEventListener('click', (e) => {
     }
 });
 
-
 // --- Event Listeners for Waypoint Input ---
+const IDENT_SEARCH_DELAY_MS = 200;
+let identSearchTimer = null;
+let identSearchSeq = 0; // Ignores responses to queries that were typed over
+
+/**
+ * @summary Appends global ident search hits that are not already listed locally.
+ */
+function appendIdentSearchResults(query, localNames) {
+    const seq = ++identSearchSeq;
+    searchNavIdents(query).then(hits => {
+        if (seq !== identSearchSeq || !directToState.active) return;
+        hits
+            .filter(hit => !localNames.has(hit.ident))
+            .forEach(hit => {
+                const item = document.createElement('div');
+                item.className = 'suggestion-item';
+                item.textContent = [hit.ident, hit.type.toUpperCase(), hit.region].filter(Boolean).join(' ');
+                item.title = hit.name || '';
+                item.onclick = () => {
+                    issueInstruction(directToState.plane, { kind: 'direct', waypoint: { name: hit.ident, lat: hit.lat, lon: hit.lon } });
+                    hideWaypointInput();
+                };
+                waypointSuggestions.appendChild(item);
+            });
+    });
+}
+
+/**
+ * @summary Offers to leave the hold, first in the suggestions of a holding aircraft.
+ * @param {Aircraft} plane
+ */
+function appendClearHoldItem(plane) {
+    if (!plane.holding) return;
+    const item = document.createElement('div');
+    item.className = 'suggestion-item';
+    item.textContent = `EXIT HOLD ${plane.holding.fix.fix}`;
+    item.onclick = () => {
+        issueInstruction(plane, { kind: 'clearHold' });
+        hideWaypointInput();
+    };
+    waypointSuggestions.appendChild(item);
+}
+
 waypointInput.addEventListener('input', () => {
     if (!directToState.active) return;
     const query = waypointInput.value.toUpperCase();
     waypointSuggestions.innerHTML = '';
+    clearTimeout(identSearchTimer);
+    identSearchSeq++;
+    appendClearHoldItem(directToState.plane);
 
     if (query.length < 1) return;
 
@@ -257,11 +439,30 @@ waypointInput.addEventListener('input', () => {
         item.className = 'suggestion-item';
         item.textContent = wp.name;
         item.onclick = () => {
-            directToState.plane.flyDirectTo(wp);
+            issueInstruction(directToState.plane, { kind: 'direct', waypoint: { name: wp.name, lat: wp.lat, lon: wp.lon } });
             hideWaypointInput();
         };
         waypointSuggestions.appendChild(item);
+
+        // Offer a hold instruction for fixes with a published holding pattern
+        const holding = findHolding(wp.name);
+        if (holding) {
+            const holdItem = document.createElement('div');
+            holdItem.className = 'suggestion-item';
+            holdItem.textContent = `${wp.name} HOLD`;
+            holdItem.onclick = () => {
+                issueInstruction(directToState.plane, { kind: 'hold', holding });
+                hideWaypointInput();
+            };
+            waypointSuggestions.appendChild(holdItem);
+        }
     });
+
+    // Fixes outside the scope (or mistyped) are looked up in the whole database
+    if (query.length >= 2) {
+        const localNames = new Set(results.map(wp => wp.name));
+        identSearchTimer = setTimeout(() => appendIdentSearchResults(query, localNames), IDENT_SEARCH_DELAY_MS);
+    }
 });
 
 waypointInput.addEventListener('keydown', (e) => {
@@ -292,9 +493,9 @@ tagInput.addEventListener('keydown', (e) => {
             const value = parseFloat(tagInput.value);
             if (!isNaN(value)) {
                 const { plane, property } = activeInput;
-                if (property === 'heading') plane.setHeading(value);
-                if (property === 'speed') plane.setSpeed(value);
-                if (property === 'altitude') plane.setAltitude(value * 100);
+                if (property === 'heading') issueInstruction(plane, { kind: 'heading', value });
+                if (property === 'speed') issueInstruction(plane, { kind: 'speed', value });
+                if (property === 'altitude') issueInstruction(plane, { kind: 'altitude', value: value * 100 });
             }
         }
         tagInput.blur();
@@ -330,8 +531,8 @@ canvas.addEventListener('mousemove', (e) => {
     const mouseY = (e.clientY - rect.top) * scale;
 
     let foundAircraft = null;
-    for (let i = aircraftList.length - 1; i >= 0; i--) {
-        const plane = aircraftList[i];
+    for (let i = simulation.aircraft.length - 1; i >= 0; i--) {
+        const plane = simulation.aircraft[i];
         const isHovered = isTagHovered(plane);
         const bounds = getAircraftTagBoundingBox(plane, isHovered, ctx);
 
@@ -360,20 +561,32 @@ canvas.addEventListener("contextmenu", (e) => {
     const mouseX = (e.clientX - rect.left) * scale;
     const mouseY = (e.clientY - rect.top) * scale;
 
+    // In a shared room, right-clicking the callsign of an own aircraft offers a handoff
+    for (const plane of simulation.aircraft) {
+        const box = getCallsignHitbox(plane, ctx, isTagHovered(plane));
+        if (mouseX >= box.x && mouseX <= box.x + box.width &&
+            mouseY >= box.y && mouseY <= box.y + box.height &&
+            showHandoffMenu(plane, e.clientX - rect.left, e.clientY - rect.top))
+        {
+            return;
+        }
+    }
+
     // Check for right click on a heading tag first
-    for (const plane of aircraftList) {
+    for (const plane of simulation.aircraft) {
         const hitboxes = getTagHitboxes(plane, ctx, isTagHovered(plane));
         const box = hitboxes['heading'];
         if (mouseX > box.x && mouseX < box.x + box.width &&
             mouseY > box.y && mouseY < box.y + box.height)
         {
             showWaypointInput(plane, box);
+            appendClearHoldItem(plane);
             return; // Found a heading click, do not proceed to repositioning
         }
     }
 
     // If no heading was clicked, check for tag repositioning
-    aircraftList.forEach((plane) => {
+    simulation.aircraft.forEach((plane) => {
         const dx = plane.displayX - mouseX;
         const dy = plane.displayY - mouseY;
         // 15px threshold expressed in logical canvas pixels
@@ -384,6 +597,144 @@ canvas.addEventListener("contextmenu", (e) => {
     });
 });
 
+// ================================================================================= //
+//                               SCOPE RANGE & PANNING                               //
+// ================================================================================= //
+// Range change per wheel notch or key press
+const ZOOM_STEP = 1.2;
+// Movement (CSS pixels) before a press on the scope becomes a drag
+const DRAG_THRESHOLD_PX = 4;
+// Share of the view's size loaded around it on every side, so small pans need no request
+const NAV_AREA_MARGIN = 0.5;
+// Quiet time after the last view change before missing nav data is requested
+const NAV_AREA_DELAY_MS = 300;
+
+let loadedNavArea = null; // Area whose nav data is loaded (or being loaded)
+let navAreaTimer = null;
+let drag = null; // Press on the scope: last { x, y } in CSS pixels and whether it moved
+let suppressClick = false; // The click ending a drag is not a selection
+
+/**
+ * @summary Loads the nav data of the view, plus a margin around it.
+ * @param {number} [margin=0] - Share of the view's width and height added on every side.
+ */
+async function loadNavArea(margin = 0) {
+    const lonPad = (maxLon - minLon) * margin;
+    const latPad = (maxLat - minLat) * margin;
+    loadedNavArea = {
+        minLon: minLon - lonPad,
+        maxLon: Math.min(maxLon + lonPad, minLon - lonPad + 360),
+        minLat: Math.max(-90, minLat - latPad),
+        maxLat: Math.min(90, maxLat + latPad)
+    };
+    await loadNavData(navCtx, navdataCanvas, loadedNavArea);
+}
+
+/**
+ * @summary Whether the loaded nav data covers the whole view.
+ * @returns {boolean}
+ */
+function viewIsLoaded() {
+    const area = loadedNavArea;
+    if (!area || minLat < area.minLat || maxLat > area.maxLat) return false;
+    if (area.maxLon - area.minLon >= 360) return true;
+    // Compare the view on the same side of the antimeridian as the area
+    const center = (minLon + maxLon) / 2;
+    const shift = unwrapLon(center, (area.minLon + area.maxLon) / 2) - center;
+    return minLon + shift >= area.minLon && maxLon + shift <= area.maxLon;
+}
+
+/**
+ * @summary Applies a change of the scope's range or position: rescales, redraws the nav
+ * data and keeps every aircraft, vector line and tag over the same position until the
+ * next sweep. Nav data for newly exposed areas is requested once the view settles.
+ * @param {Function} change - Changes the geographic bounds.
+ */
+function changeView(change) {
+    const toLatLon = point => pixelToLatLon(point.x, point.y, canvas);
+    const toPixel = position => latLonToPixel(position.lat, position.lon, canvas);
+    const positions = simulation.aircraft.map(plane => ({
+        plane,
+        at: toLatLon({ x: plane.displayX, y: plane.displayY }),
+        path: plane.predictedPath.map(toLatLon)
+    }));
+
+    change();
+    setKmPerPixel((radarRangeNM * NM_TO_KM * 2) / canvas.width);
+    positions.forEach(({ plane, at, path }) => {
+        const { x, y } = toPixel(at);
+        plane.displayX = x;
+        plane.displayY = y;
+        plane.predictedPath = path.map(toPixel);
+    });
+    drawNavData(navCtx, navdataCanvas);
+
+    clearTimeout(navAreaTimer);
+    navAreaTimer = setTimeout(() => {
+        if (!viewIsLoaded()) loadNavArea(NAV_AREA_MARGIN);
+    }, NAV_AREA_DELAY_MS);
+}
+
+/**
+ * @summary Changes the radar range by whole zoom steps, keeping one point of the scope in place.
+ * @param {number} steps - Positive zooms out, negative zooms in.
+ * @param {number} [x] - Canvas x of the fixed point (logical pixels); defaults to the centre.
+ * @param {number} [y] - Canvas y of the fixed point (logical pixels); defaults to the centre.
+ */
+function zoomScope(steps, x = canvas.width / 2, y = canvas.height / 2) {
+    const previous = radarRangeNM;
+    const range = setRadarRange(previous * Math.pow(ZOOM_STEP, steps));
+    if (range === previous) return;
+    changeView(() => zoomGeographicBounds(range / previous, x, y, canvas));
+}
+
+// Mouse wheel zooms about the pointer
+canvas.addEventListener('wheel', (e) => {
+    if (!simulationRunning) return;
+    e.preventDefault();
+    const rect = canvas.getBoundingClientRect();
+    const scale = canvas.width / rect.width;
+    zoomScope(Math.sign(e.deltaY), (e.clientX - rect.left) * scale, (e.clientY - rect.top) * scale);
+}, { passive: false });
+
+// +/- (or Page Up/Down) zoom about the centre, unless typing in an input
+window.addEventListener('keydown', (e) => {
+    if (!simulationRunning || e.ctrlKey || e.metaKey || e.altKey) return;
+    if (e.target instanceof Element && e.target.closest('input, textarea, select')) return;
+    if (e.key === '+' || e.key === '=' || e.key === 'PageUp') zoomScope(-1);
+    else if (e.key === '-' || e.key === 'PageDown') zoomScope(1);
+    else return;
+    e.preventDefault();
+});
+
+// Dragging with the left button pans the scope
+canvas.addEventListener('mousedown', (e) => {
+    suppressClick = false;
+    if (e.button !== 0 || !simulationRunning) return;
+    drag = { x: e.clientX, y: e.clientY, moved: false };
+});
+
+window.addEventListener('mousemove', (e) => {
+    if (!drag) return;
+    const dx = e.clientX - drag.x;
+    const dy = e.clientY - drag.y;
+    if (!drag.moved && Math.hypot(dx, dy) < DRAG_THRESHOLD_PX) return;
+    drag.moved = true;
+    canvas.style.cursor = 'grabbing';
+    const scale = canvas.width / canvas.getBoundingClientRect().width;
+    changeView(() => panGeographicBounds(dx * scale, dy * scale, canvas));
+    drag.x = e.clientX;
+    drag.y = e.clientY;
+});
+
+window.addEventListener('mouseup', () => {
+    if (drag && drag.moved) {
+        suppressClick = true;
+        canvas.style.cursor = '';
+    }
+    drag = null;
+});
+
 // INITIALIZATION
 async function initialize() {
     // Geographic bounds and canvas sizing will be set after airport selection
@@ -391,6 +742,7 @@ async function initialize() {
 
     // Check authentication/session before loading nav data
     const loginOverlay = document.getElementById('login-overlay');
+    // Resolves to null when the backend cannot be reached at all
     async function checkSession() {
         try {
             const resp = await fetch(`${API_BASE}/api/auth/status`, { credentials: 'include' });
@@ -398,28 +750,51 @@ async function initialize() {
             const data = await resp.json();
             return !!data.authenticated;
         } catch (err) {
-            return false;
+            return null;
         }
     }
 
     const authenticated = await checkSession();
-    if (!authenticated) {
+    // Without a backend, airports saved for offline use can still be controlled
+    const offlineExtracts = authenticated === null ? await listOfflineExtracts() : [];
+    if (!authenticated && offlineExtracts.length === 0) {
         if (loginOverlay) loginOverlay.style.display = 'flex';
         return; // Stop initialization until user logs in
     }
     if (loginOverlay) loginOverlay.style.display = 'none';
+    if (authenticated) {
+        initAccountControls(API_BASE);
+        initScenarioControls(API_BASE, () => simulation.aircraft);
+        initRoomControls(API_BASE, {
+            getAircraft: () => simulation.aircraft,
+            applySnapshot: applyRoomSnapshot,
+            isRunning: () => simulationRunning,
+            startShared: startSharedSimulation
+        });
+    }
 
-    // Fetch airports list JSON and show airport selector
+    // Searchable airport catalogue served from the nav database (/api/airports)
     const airportOverlay = document.getElementById('airport-overlay');
     const airportListEl = document.getElementById('airport-list');
     const airportSelectBtn = document.getElementById('airport-select-btn');
+    const airportSearchEl = document.getElementById('airport-search');
+    const airportCountryEl = document.getElementById('airport-country');
+    const airportRangeEl = document.getElementById('airport-range');
+    const airportOfflineBtn = document.getElementById('airport-offline-btn');
+    const airportOfflineStatus = document.getElementById('airport-offline-status');
 
     let airports = [];
-    try {
-        const r = await fetch('/data/airports.json');
-        if (r.ok) airports = await r.json();
-    } catch (e) {
-        console.warn('Failed to load airports.json, falling back to default bounds', e);
+    let catalogueSeq = 0; // Ignores responses to searches that were typed over
+    let catalogueTimer = null;
+
+    async function fetchAirportCatalogue() {
+        const params = new URLSearchParams({ range: airportRangeEl.value });
+        if (airportSearchEl.value.trim()) params.set('q', airportSearchEl.value.trim());
+        if (airportCountryEl.value.trim()) params.set('country', airportCountryEl.value.trim());
+        const resp = await fetch(`${API_BASE}/api/airports?${params.toString()}`, { credentials: 'include' });
+        if (!resp.ok) throw new Error(`Airport catalogue request failed (${resp.status})`);
+        const body = await resp.json();
+        return body.items || [];
     }
 
     function showAirportSelector(list) {
@@ -428,56 +803,203 @@ async function initialize() {
             const item = document.createElement('div');
             item.className = 'airport-item';
             item.dataset.index = idx;
-            item.textContent = `${a.icao} — ${a.name || ''}`;
+            item.textContent = `${a.icao}${a.iata ? ` / ${a.iata}` : ''} — ${a.name || ''}${a.cycle ? ` (AIRAC ${a.cycle})` : ''}`;
             item.onclick = () => {
                 // toggle selected
                 airportListEl.querySelectorAll('.airport-item').forEach(i => i.classList.remove('selected'));
                 item.classList.add('selected');
             };
+            item.ondblclick = () => airportSelectBtn.click();
             airportListEl.appendChild(item);
         });
+        if (list.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'airport-empty';
+            empty.textContent = 'No IFR airports match your search.';
+            airportListEl.appendChild(empty);
+        }
         airportOverlay.style.display = 'flex';
     }
 
-    if (airports.length > 0) {
+    async function refreshAirportList() {
+        const seq = ++catalogueSeq;
+        const list = await fetchAirportCatalogue();
+        if (seq !== catalogueSeq) return;
+        airports = list;
         showAirportSelector(airports);
-    } else {
-        // No airports file — calculate bounds from default center and resize canvas
+    }
+
+    function scheduleAirportSearch() {
+        clearTimeout(catalogueTimer);
+        catalogueTimer = setTimeout(() => {
+            refreshAirportList().catch(e => console.warn('Airport search failed', e));
+        }, 250);
+    }
+
+    airportSearchEl.addEventListener('input', scheduleAirportSearch);
+    airportCountryEl.addEventListener('input', scheduleAirportSearch);
+    airportRangeEl.addEventListener('change', scheduleAirportSearch);
+    airportSearchEl.addEventListener('keydown', (e) => {
+        if (e.key !== 'Enter') return;
+        // Enter picks the selected airport, or the best match
+        if (!airportListEl.querySelector('.airport-item.selected')) {
+            const first = airportListEl.querySelector('.airport-item');
+            if (first) first.classList.add('selected');
+        }
+        airportSelectBtn.click();
+    });
+
+    if (!authenticated) {
+        showOfflineAirports(offlineExtracts);
+        return;
+    }
+
+    try {
+        await refreshAirportList();
+        airportSearchEl.focus();
+    } catch (e) {
+        // No catalogue — calculate bounds from default center and resize canvas
+        console.warn('Failed to load airport catalogue, falling back to default bounds', e);
         calculateGeographicBounds();
         resizeCanvas();
         await startSimulation();
         return;
     }
 
-    airportSelectBtn.onclick = async () => {
+    function selectedAirport() {
         const selected = airportListEl.querySelector('.airport-item.selected');
-        if (!selected) return;
-        const idx = parseInt(selected.dataset.index, 10);
-        const ap = airports[idx];
+        return selected ? airports[parseInt(selected.dataset.index, 10)] : null;
+    }
+
+    // Keeps the extract around the selected airport (at the selected range) in the browser
+    airportOfflineBtn.onclick = async () => {
+        const ap = selectedAirport();
+        if (!ap) return;
+        airportOfflineBtn.disabled = true;
+        airportOfflineStatus.textContent = `Saving ${ap.icao}...`;
+        try {
+            const extract = await saveOfflineExtract(API_BASE, ap.icao, ap.rangeNm);
+            airportOfflineStatus.textContent = `${extract.icao} (AIRAC ${extract.cycle}) is available offline.`;
+        } catch (e) {
+            console.warn('Failed to save airport for offline use', e);
+            airportOfflineStatus.textContent = `Could not save ${ap.icao}: ${e.message}`;
+        } finally {
+            airportOfflineBtn.disabled = false;
+        }
+    };
+
+    airportSelectBtn.onclick = async () => {
+        const ap = selectedAirport();
         if (!ap) return;
 
-        // Apply bounds from the selected airport
-        setGeographicBounds({ minLon: ap.minLon, maxLon: ap.maxLon, minLat: ap.minLat, maxLat: ap.maxLat });
         airportOverlay.style.display = 'none';
+        const scenario = await pickScenario(ap.icao);
+
+        // Centre the scope on the selected airport and apply its bounds (or the scenario's range)
+        if (scenario && scenario.rangeNm && scenario.rangeNm !== ap.rangeNm) {
+            setActiveAirport(ap.icao, ap.lat, ap.lon, scenario.rangeNm, [...scenario.runways]);
+            calculateGeographicBounds();
+        } else {
+            setActiveAirport(ap.icao, ap.lat, ap.lon, ap.rangeNm, scenario ? [...scenario.runways] : []);
+            setGeographicBounds({ minLon: ap.minLon, maxLon: ap.maxLon, minLat: ap.minLat, maxLat: ap.maxLat });
+        }
         resizeCanvas();
-        await startSimulation();
+        await startSimulation(scenario);
     };
 
-    // Start simulation using previously set bounds
-    async function startSimulation() {
+    /**
+     * @summary Lists the airports saved for offline use; picking one starts the scope on
+     * its extract with the default traffic.
+     * @param {object[]} extracts - Saved extracts (see offline.js listOfflineExtracts).
+     */
+    function showOfflineAirports(extracts) {
+        // Only the list and the load button apply without a backend
+        document.getElementById('airport-filters').style.display = 'none';
+        document.getElementById('room-open-btn').style.display = 'none';
+        airportOfflineBtn.style.display = 'none';
+        airportOfflineStatus.textContent = 'Backend unreachable: airports saved for offline use.';
+
+        airports = extracts.map(extract => ({ ...extract.airport, key: extract.key, cycle: extract.cycle }));
+        showAirportSelector(airports);
+
+        airportSelectBtn.onclick = async () => {
+            const ap = selectedAirport();
+            if (!ap) return;
+            await activateOfflineExtract(ap.key);
+
+            airportOverlay.style.display = 'none';
+            setActiveAirport(ap.icao, ap.lat, ap.lon, ap.rangeNm, []);
+            setGeographicBounds({ minLon: ap.minLon, maxLon: ap.maxLon, minLat: ap.minLat, maxLat: ap.maxLat });
+            resizeCanvas();
+            await startSimulation();
+        };
+    }
+
+    // Joining a shared room replaces the airport selection: the room sets airport,
+    // range, runways and wind, and its snapshot the traffic
+    async function startSharedSimulation(room, snapshot) {
+        airportOverlay.style.display = 'none';
+        setActiveAirport(room.airport, room.center.lat, room.center.lon, room.rangeNm, [...room.runways]);
+        calculateGeographicBounds();
+        resizeCanvas();
+        await startSimulation({
+            name: `room ${room.id}`,
+            rangeNm: room.rangeNm,
+            runways: room.runways,
+            wind: room.wind,
+            aircraft: []
+        });
+        if (snapshot) applyRoomSnapshot(snapshot);
+    }
+
+    /**
+     * @summary Starts the simulation using previously set bounds.
+     * @param {object|null} [scenario] - Saved scenario to fly, or null for the default traffic.
+     */
+    async function startSimulation(scenario = null) {
+        simulationRunning = true;
+        if (scenario) setWind(scenario.wind.direction, scenario.wind.speed);
+
         // Asynchronously load nav data
-        await loadNavData(navCtx, navdataCanvas);
+        await loadNavArea();
+
+        // A freshly selected airport has no active runway until its runways are loaded
+        const [activeIcao] = Object.keys(activeAirports);
+        if (activeIcao && activeAirports[activeIcao].length === 0) {
+            const runwayId = runwayIntoWind(activeIcao);
+            if (runwayId) activeAirports[activeIcao].push(runwayId);
+            drawNavData(navCtx, navdataCanvas);
+        }
 
-        // Create initial aircraft
-        const initialPos1 = pixelToLatLon(110, 470, canvas);
-        const initialPos2 = pixelToLatLon(600, 700, canvas);
+        if (scenario) {
+            scenario.aircraft.map(restoreAircraft).forEach(plane => simulation.add(plane));
+            console.log(`[SCENARIO] Loaded "${scenario.name}" with ${simulation.aircraft.length} aircraft.`);
+        } else {
+            spawnDefaultTraffic(activeIcao);
+        }
 
-        aircraftList.push(new Aircraft("BAW123", initialPos1.lat, initialPos1.lon, 30, 4000, 280, "EGLL", "MMMD", "H", 0, phase.CRUISE, canvas));
-        aircraftList.push(new Aircraft("AWE456", initialPos2.lat, initialPos2.lon, 225, 12000, 310, "EDDF", "MMMD", "M", 0, phase.CRUISE, canvas));
+        // Show the served AIRAC cycle and watch for updates
+        watchNavDataCycle();
 
         // Start the main animation loop
         requestAnimationFrame(gameLoop);
     }
+
+    // Two arrivals and a departure from the first active runway
+    function spawnDefaultTraffic(activeIcao) {
+        const initialPos1 = pixelToLatLon(110, 470, canvas);
+        const initialPos2 = pixelToLatLon(600, 700, canvas);
+
+        simulation.add(new Aircraft("BAW123", initialPos1.lat, initialPos1.lon, 30, 4000, 280, "EGLL", activeIcao, "H", 0, phase.CRUISE, canvas));
+        simulation.add(new Aircraft("AWE456", initialPos2.lat, initialPos2.lon, 225, 12000, 310, "EDDF", activeIcao, "M", 0, phase.CRUISE, canvas));
+
+        // Create an initial departure from the first active runway
+        const [depIcao, depRunways] = Object.entries(activeAirports)[0] || [];
+        if (depIcao && depRunways && depRunways.length > 0) {
+            const departure = createDeparture("AMX789", depIcao, depRunways[0], "MMMX", "M");
+            if (departure) simulation.add(departure);
+        }
+    }
 }
 
 initialize();
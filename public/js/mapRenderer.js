@@ -1,7 +1,7 @@
 // js/mapRenderer.js
 
 import { activeAirports } from './config.js';
-import { FEET_TO_KM, NM_TO_KM, kmPerPixel, latLonToPixel } from './utils.js';
+import { FEET_TO_KM, NM_TO_KM, kmPerPixel, latLonToPixel, calculateDistance, holdingPatternPoints } from './utils.js';
 
 // This module needs the nav data, which will be passed in from main.js
 export let airports = [];
@@ -10,7 +10,12 @@ export let ilsData = [];
 export let navDataPoints = [];
 export let terminalWaypoints = [];
 export let vorData = [];
+export let airways = [];
+export let airspaces = [];
+export let holdings = [];
 export let approachPaths = [];
+export let starPaths = [];
+export let sidPaths = [];
 export let waypoints = []; // Consolidated list of all waypoint-like objects (enroute, terminal, VORs)
 
 export function setNavData(data) {
@@ -20,7 +25,16 @@ export function setNavData(data) {
   navDataPoints = data.navDataPoints;
   terminalWaypoints = data.terminalWaypoints;
   vorData = data.vorData;
+  airways = data.airways || [];
+  airspaces = data.airspaces || [];
+  // Holding courses are magnetic; keep a true course for drawing and flying them
+  holdings = (data.holdings || []).map(h => ({
+    ...h,
+    trueInboundCourse: (h.inboundCourse + magneticVariationAt(h.lat, h.lon) + 360) % 360
+  }));
   approachPaths = data.approachPaths
+  starPaths = data.starPaths || [];
+  sidPaths = data.sidPaths || [];
   // Build a consolidated waypoints array. Convert VORs into waypoint-like objects
   // so callers can treat everything uniformly.
   const convertedVors = (vorData || []).map(v => ({
@@ -34,6 +48,38 @@ export function setNavData(data) {
   waypoints = [ ...(navDataPoints || []), ...(terminalWaypoints || []), ...convertedVors ];
 }
 
+/**
+ * @summary Estimates the magnetic variation at a position from the nearest VOR's declination.
+ * @param {number} lat - Latitude in decimal degrees.
+ * @param {number} lon - Longitude in decimal degrees.
+ * @returns {number} Variation in degrees, east positive (0 if no VOR is loaded).
+ */
+export function magneticVariationAt(lat, lon) {
+  let nearest = null;
+  let minDist = Infinity;
+  (vorData || []).forEach(v => {
+    if (v.declination === null || v.declination === undefined) return;
+    const d = calculateDistance(lat, lon, v.lat, v.lon);
+    if (d < minDist) {
+      minDist = d;
+      nearest = v;
+    }
+  });
+  return nearest ? nearest.declination : 0;
+}
+
+/**
+ * @summary Finds the published holding at a fix.
+ * @param {string} fixName - The fix identifier.
+ * @returns {object|null} The holding closest to the scope's active airports, or null.
+ */
+export function findHolding(fixName) {
+  const matches = holdings.filter(h => h.fix === fixName);
+  if (matches.length === 0) return null;
+  // Prefer terminal holds of the active airports over enroute holds
+  return matches.find(h => activeAirports[h.airport]) || matches[0];
+}
+
 /**
  * @summary Draws a hexagonal VOR symbol.
  * @param {CanvasRenderingContext2D} ctx - The canvas rendering context.
@@ -96,6 +142,94 @@ function drawWaypointSymbol(ctx, point, navdataCanvas) {
   }
 }
 
+/**
+ * @summary Draws controlled and restrictive airspace boundaries with their vertical limits.
+ * @param {CanvasRenderingContext2D} ctx - The canvas rendering context.
+ */
+function drawAllAirspaces(ctx, navdataCanvas) {
+  const scale = navdataCanvas.width / navdataCanvas.getBoundingClientRect().width;
+  ctx.font = `600 ${9 * scale}px Google Sans Code`;
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+
+  airspaces.forEach(airspace => {
+    if (!airspace.points || airspace.points.length < 2) return;
+    const restrictive = airspace.kind === 'restrictive';
+    const color = restrictive ? "rgba(255, 110, 90, 0.55)" : "rgba(100, 160, 220, 0.45)";
+
+    ctx.beginPath();
+    airspace.points.forEach((pt, idx) => {
+      const p = latLonToPixel(pt.lat, pt.lon, navdataCanvas);
+      if (idx === 0) ctx.moveTo(p.x, p.y);
+      else ctx.lineTo(p.x, p.y);
+    });
+    ctx.closePath();
+    ctx.setLineDash(restrictive ? [6 * scale, 4 * scale] : []);
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 1.5 * scale;
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    // Label: designator, then upper over lower limit, at the vertex average
+    const center = airspace.points.reduce((acc, pt) => ({ lat: acc.lat + pt.lat, lon: acc.lon + pt.lon }), { lat: 0, lon: 0 });
+    const c = latLonToPixel(center.lat / airspace.points.length, center.lon / airspace.points.length, navdataCanvas);
+    const lineHeight = 11 * scale;
+    ctx.fillStyle = color;
+    ctx.fillText(airspace.id || '', c.x, c.y - lineHeight);
+    ctx.fillText(airspace.upperLimit || '', c.x, c.y);
+    ctx.fillText(airspace.lowerLimit || '', c.x, c.y + lineHeight);
+  });
+}
+
+/**
+ * @summary Draws published holding patterns as racetracks.
+ * @param {CanvasRenderingContext2D} ctx - The canvas rendering context.
+ */
+function drawAllHoldings(ctx, navdataCanvas) {
+  const scale = navdataCanvas.width / navdataCanvas.getBoundingClientRect().width;
+  ctx.strokeStyle = "rgba(196, 216, 226, 0.35)";
+  ctx.lineWidth = 1 * scale;
+  holdings.forEach(hold => {
+    const points = holdingPatternPoints(hold, hold.speed || 230);
+    ctx.beginPath();
+    points.forEach((pt, idx) => {
+      const p = latLonToPixel(pt.lat, pt.lon, navdataCanvas);
+      if (idx === 0) ctx.moveTo(p.x, p.y);
+      else ctx.lineTo(p.x, p.y);
+    });
+    ctx.stroke();
+  });
+}
+
+/**
+ * @summary Draws enroute airway centerlines with their designators.
+ * @param {CanvasRenderingContext2D} ctx - The canvas rendering context.
+ */
+function drawAllAirways(ctx, navdataCanvas) {
+  const scale = navdataCanvas.width / navdataCanvas.getBoundingClientRect().width;
+  ctx.strokeStyle = "rgba(144, 158, 174, 0.35)";
+  ctx.lineWidth = 1 * scale;
+  ctx.fillStyle = "rgba(144, 158, 174, 0.6)";
+  ctx.font = `600 ${9 * scale}px Google Sans Code`;
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+
+  const minLabelLengthPx = 80 * scale;
+  airways.forEach(segment => {
+    const p1 = latLonToPixel(segment.fromLat, segment.fromLon, navdataCanvas);
+    const p2 = latLonToPixel(segment.toLat, segment.toLon, navdataCanvas);
+    ctx.beginPath();
+    ctx.moveTo(p1.x, p1.y);
+    ctx.lineTo(p2.x, p2.y);
+    ctx.stroke();
+
+    // Label the designator at the segment midpoint when there is room for it
+    if (Math.hypot(p2.x - p1.x, p2.y - p1.y) >= minLabelLengthPx) {
+      ctx.fillText(segment.id, (p1.x + p2.x) / 2, (p1.y + p2.y) / 2);
+    }
+  });
+}
+
 /**
  * @summary Draws all runways for the currently active airports.
  * @param {CanvasRenderingContext2D} ctx - The canvas rendering context.
@@ -254,6 +388,9 @@ export function drawNavData(navCtx, navdataCanvas) {
   const rect = navdataCanvas.getBoundingClientRect();
   // Clear logical canvas area
   navCtx.clearRect(0, 0, navdataCanvas.width, navdataCanvas.height);
+  drawAllAirspaces(navCtx, navdataCanvas);
+  drawAllAirways(navCtx, navdataCanvas);
+  drawAllHoldings(navCtx, navdataCanvas);
   drawAllRunways(navCtx, navdataCanvas);
   drawAllIls(navCtx, navdataCanvas);
   drawAllWaypoints(navCtx, navdataCanvas);
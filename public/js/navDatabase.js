@@ -2,75 +2,171 @@
 
 import { minLon, maxLon, minLat, maxLat } from './utils.js';
 import { setNavData, drawNavData } from './mapRenderer.js';
+import { buildBundle, searchIdents, toResponse } from './navdata/index.js';
+import { offlineNavDB, offlineNavDataStatus } from './offline.js';
 
-export async function loadNavData(navCtx, navdataCanvas) {
+// Version of the /api/data response schema this client understands (navdata/schema.js)
+const SCHEMA_VERSION = 1;
+
+// Counts loadNavData calls, so that a slow response does not replace a newer one
+let loadSeq = 0;
+
+/**
+ * @summary Unwraps a schema envelope returned by /api/data/:type.
+ * @param {object} body - Parsed JSON body ({ schemaVersion, type, units, items }).
+ * @returns {object[]} The normalized items.
+ */
+function unwrapItems(body) {
+  if (!body || !Array.isArray(body.items)) {
+    throw new Error('Unexpected nav data response format');
+  }
+  if (body.schemaVersion !== SCHEMA_VERSION) {
+    console.warn(`Nav data schema v${body.schemaVersion} for '${body.type}' differs from client v${SCHEMA_VERSION}`);
+  }
+  return body.items;
+}
+
+/**
+ * @summary Rebuilds the items of a columnar layer (navdata/schema.js toColumnar).
+ * @param {object} layer - Layer with `fields` and one array per field in `columns`.
+ * @returns {object} The same envelope with an `items` array.
+ */
+function decodeColumnar(layer) {
+  const { fields, columns, count } = layer;
+  const items = new Array(count);
+  for (let i = 0; i < count; i++) {
+    const item = {};
+    for (let f = 0; f < fields.length; f++) item[fields[f]] = columns[f][i];
+    items[i] = item;
+  }
+  return { ...layer, items };
+}
+
+/**
+ * @summary Unwraps one layer of a /api/data/bundle response, decoding it if needed.
+ * @param {object} bundle - Parsed bundle body ({ schemaVersion, format, layers }).
+ * @param {string} type - Layer type (e.g. 'navpoints', 'stars').
+ * @returns {object[]} The layer's items.
+ */
+function bundleLayer(bundle, type) {
+  const layer = bundle.layers && bundle.layers[type];
+  if (!layer) throw new Error(`Nav data bundle is missing '${type}'`);
+  return unwrapItems(layer.encoding === 'columnar' ? decodeColumnar(layer) : layer);
+}
+
+/**
+ * @summary Searches identifiers and names of airports, navaids and waypoints worldwide.
+ * @param {string} query - Identifier or part of a name (at least 2 characters).
+ * @param {number} [limit=10] - Maximum number of hits.
+ * @returns {Promise<object[]>} Ranked hits ({ ident, name, type, region, airport, lat, lon }).
+ */
+export async function searchNavIdents(query, limit = 10) {
+  if (!query || query.trim().length < 2) return [];
+  try {
+    const offline = offlineNavDB();
+    if (offline) return unwrapItems(toResponse('search', await searchIdents(offline, query.trim(), limit)));
+
+    const params = new URLSearchParams({ q: query.trim(), limit: String(limit) });
+    const res = await fetch(`/api/data/search?${params.toString()}`, { credentials: 'same-origin' });
+    if (res.ok) return unwrapItems(await res.json());
+  } catch (e) {
+    console.warn('Ident search failed:', e);
+  }
+  return [];
+}
+
+/**
+ * @summary Fetches which AIRAC cycle the backend serves to this session (or the
+ * cycle of the offline extract in use).
+ * @returns {Promise<object|null>} The status ({ served, cycle, revision, effectiveFrom, effectiveTo, updatedAt, packages }), or null on failure.
+ */
+export async function fetchNavDataStatus() {
+  if (offlineNavDB()) return offlineNavDataStatus();
+  try {
+    const res = await fetch('/api/navdata/status', { credentials: 'same-origin' });
+    if (res.ok) return await res.json();
+  } catch (e) {
+    console.warn('Failed to load nav data status:', e);
+  }
+  return null;
+}
+
+/**
+ * @summary Fetches the bundle of every layer in an area from the backend.
+ * @param {{minLon: number, maxLon: number, minLat: number, maxLat: number}} bbox
+ * @returns {Promise<object|undefined>} The parsed bundle, or undefined when redirecting to the login.
+ */
+async function fetchBundle(bbox) {
   console.log('Requesting navigation data from backend...');
 
-  // Build common query params for spatial queries
+  // Every layer of the area (and the procedures of its airports) comes in one
+  // compressed, column-encoded response
   const params = new URLSearchParams({
-    minLon: String(minLon),
-    maxLon: String(maxLon),
-    minLat: String(minLat),
-    maxLat: String(maxLat),
+    bbox: [bbox.minLon, bbox.minLat, bbox.maxLon, bbox.maxLat].join(','),
+    format: 'columnar',
   });
 
   const fetchOpts = { credentials: 'same-origin' };
 
+  const res = await fetch(`/api/data/bundle?${params.toString()}`, fetchOpts);
+
+  // Handle auth/subscription errors
+  if (res.status === 401) {
+    console.log('Not authenticated. Redirecting to login.');
+    window.location.href = '/api/auth/login';
+    return;
+  }
+  if (res.status === 403) {
+    throw new Error('User does not have an active FMS Data subscription.');
+  }
+  if (!res.ok) {
+    const text = await res.text();
+    throw new Error(`Backend error: ${res.status} ${text}`);
+  }
+
+  return res.json();
+}
+
+/**
+ * @summary Loads every nav data layer of an area, from the offline extract in use or
+ * the backend, and renders it. Only the latest call's data is kept.
+ * @param {CanvasRenderingContext2D} navCtx - Context of the nav data canvas.
+ * @param {HTMLCanvasElement} navdataCanvas - The nav data canvas.
+ * @param {{minLon: number, maxLon: number, minLat: number, maxLat: number}} [bbox] - Area
+ *   to load; defaults to the scope bounds.
+ * @returns {Promise<object|undefined>} The loaded nav data.
+ */
+export async function loadNavData(navCtx, navdataCanvas, bbox = { minLon, maxLon, minLat, maxLat }) {
+  const seq = ++loadSeq;
   try {
-    // Fetch primary datasets in parallel
-    const [navRes, airportsRes, vorsRes, termWpRes, runwaysRes, ilsRes] = await Promise.all([
-      fetch(`/api/data/navpoints?${params.toString()}`, fetchOpts),
-      fetch(`/api/data/airports?${params.toString()}`, fetchOpts),
-      fetch(`/api/data/vors?${params.toString()}`, fetchOpts),
-      fetch(`/api/data/terminalWaypoints?${params.toString()}`, fetchOpts),
-      fetch(`/api/data/runways?${params.toString()}`, fetchOpts),
-      fetch(`/api/data/ils?${params.toString()}`, fetchOpts),
-    ]);
-
-    // Handle auth/subscription errors uniformly
-    const responses = [navRes, airportsRes, vorsRes, termWpRes, runwaysRes, ilsRes];
-    for (const r of responses) {
-      if (r.status === 401) {
-        console.log('Not authenticated. Redirecting to login.');
-        window.location.href = '/api/auth/login';
-        return;
-      }
-      if (r.status === 403) {
-        throw new Error('User does not have an active FMS Data subscription.');
-      }
-      if (!r.ok) {
-        const text = await r.text();
-        throw new Error(`Backend error: ${r.status} ${text}`);
-      }
+    // Offline, the extract answers the same bundle query the backend runs
+    const offline = offlineNavDB();
+    const bundle = offline
+      ? await buildBundle(offline, bbox, null, 'rows')
+      : await fetchBundle(bbox);
+    if (!bundle) return;
+    if (seq !== loadSeq) {
+      console.log('Discarding nav data superseded by a newer request.');
+      return;
     }
 
-    const [navPoints, airports, vors, terminalWaypoints, runways, ils] = await Promise.all(
-      responses.map(r => r.json())
-    );
-
-    // Request approachPaths based on airports' ICAOs
-    let approachPaths = [];
-    try {
-      const icaoList = airports.map(a => a.icao).filter(Boolean);
-      if (icaoList.length) {
-        const apParams = new URLSearchParams();
-        apParams.set('airports', icaoList.join(','));
-        const apRes = await fetch(`/api/data/approachPaths?${apParams.toString()}`, fetchOpts);
-        if (apRes.status === 401) { window.location.href = '/api/auth/login'; return; }
-        if (apRes.ok) approachPaths = await apRes.json();
-      }
-    } catch (e) {
-      console.warn('Failed to load approach paths:', e);
+    if (bundle.schemaVersion !== SCHEMA_VERSION) {
+      console.warn(`Nav data bundle schema v${bundle.schemaVersion} differs from client v${SCHEMA_VERSION}`);
     }
 
     const navData = {
-      navDataPoints: navPoints,
-      airports: airports,
-      vorData: vors,
-      terminalWaypoints: terminalWaypoints,
-      runways: runways,
-      ilsData: ils,
-      approachPaths: approachPaths,
+      navDataPoints: bundleLayer(bundle, 'navpoints'),
+      airports: bundleLayer(bundle, 'airports'),
+      vorData: bundleLayer(bundle, 'vors'),
+      terminalWaypoints: bundleLayer(bundle, 'terminalWaypoints'),
+      runways: bundleLayer(bundle, 'runways'),
+      ilsData: bundleLayer(bundle, 'ils'),
+      airways: bundleLayer(bundle, 'airways'),
+      airspaces: bundleLayer(bundle, 'airspaces'),
+      holdings: bundleLayer(bundle, 'holdings'),
+      approachPaths: bundleLayer(bundle, 'approachPaths'),
+      starPaths: bundleLayer(bundle, 'stars'),
+      sidPaths: bundleLayer(bundle, 'sids'),
     };
 
     setNavData(navData);
@@ -89,7 +185,12 @@ export async function loadNavData(navCtx, navdataCanvas) {
       terminalWaypoints: [],
       runways: [],
       ilsData: [],
-      approachPaths: []
+      airways: [],
+      airspaces: [],
+      holdings: [],
+      approachPaths: [],
+      starPaths: [],
+      sidPaths: []
     };
   }
 }
\ No newline at end of file
@@ -0,0 +1,184 @@
+// js/navdata/airspaces.js
+
+import { splitBbox } from './bbox.js';
+
+// Vertices are searched in a box this much larger (degrees) than the scope so
+// airspaces whose vertices all lie outside it are still found.
+const AIRSPACE_SEARCH_MARGIN_DEG = 1;
+
+// Angular step (degrees) used to turn arcs and circles into polygon points
+const ARC_STEP_DEG = 5;
+
+const EARTH_RADIUS_NM = 3440.065;
+const toRad = deg => deg * Math.PI / 180;
+const toDeg = rad => rad * 180 / Math.PI;
+
+function bearingDeg(lat1, lon1, lat2, lon2) {
+    const dLon = toRad(lon2 - lon1);
+    const y = Math.sin(dLon) * Math.cos(toRad(lat2));
+    const x = Math.cos(toRad(lat1)) * Math.sin(toRad(lat2)) - Math.sin(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.cos(dLon);
+    return (toDeg(Math.atan2(y, x)) + 360) % 360;
+}
+
+function distanceNm(lat1, lon1, lat2, lon2) {
+    const dLat = toRad(lat2 - lat1);
+    const dLon = toRad(lon2 - lon1);
+    const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_NM * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+function destinationPoint(lat, lon, bearing, distNm) {
+    const d = distNm / EARTH_RADIUS_NM;
+    const brg = toRad(bearing);
+    const lat1 = toRad(lat);
+    const lon1 = toRad(lon);
+    const lat2 = Math.asin(Math.sin(lat1) * Math.cos(d) + Math.cos(lat1) * Math.sin(d) * Math.cos(brg));
+    const lon2 = lon1 + Math.atan2(Math.sin(brg) * Math.sin(d) * Math.cos(lat1), Math.cos(d) - Math.sin(lat1) * Math.sin(lat2));
+    return { lat: toDeg(lat2), lon: ((toDeg(lon2) + 540) % 360) - 180 };
+}
+
+/**
+ * Points along an arc around an origin, from the start point's bearing to the
+ * end point's bearing, excluding the end point itself.
+ * @param {boolean} clockwise - 'R' boundaries turn clockwise, 'L' counter-clockwise.
+ */
+function arcPoints(originLat, originLon, radiusNm, start, end, clockwise) {
+    const startBrg = bearingDeg(originLat, originLon, start.lat, start.lon);
+    const endBrg = bearingDeg(originLat, originLon, end.lat, end.lon);
+    let sweep = clockwise ? (endBrg - startBrg + 360) % 360 : (startBrg - endBrg + 360) % 360;
+    if (sweep === 0) sweep = 360;
+
+    const points = [];
+    for (let a = 0; a < sweep; a += ARC_STEP_DEG) {
+        const brg = clockwise ? startBrg + a : startBrg - a;
+        points.push(destinationPoint(originLat, originLon, (brg + 360) % 360, radiusNm));
+    }
+    return points;
+}
+
+/**
+ * Turns the ordered boundary rows of one airspace into a closed list of points.
+ * Boundary via (ARINC 424): 1st char C circle, G great circle, H rhumb line,
+ * L counter-clockwise arc, R clockwise arc; 2nd char E ends the boundary.
+ */
+function expandBoundary(rows) {
+    const points = [];
+    rows.forEach((row, i) => {
+        const via = String(row.boundary_via || '');
+        const kind = via[0];
+
+        if (kind === 'C') {
+            const origin = { lat: row.arc_origin_latitude, lon: row.arc_origin_longitude };
+            for (let brg = 0; brg < 360; brg += ARC_STEP_DEG) {
+                points.push(destinationPoint(origin.lat, origin.lon, brg, row.arc_distance));
+            }
+            return;
+        }
+
+        if (row.latitude === null || row.longitude === null) return;
+        const start = { lat: row.latitude, lon: row.longitude };
+
+        if (kind === 'L' || kind === 'R') {
+            // The arc ends at the next vertex, or the first one when this row closes the boundary
+            const next = (via[1] === 'E' || i === rows.length - 1) ? rows[0] : rows[i + 1];
+            const end = { lat: next.latitude, lon: next.longitude };
+            const radius = row.arc_distance || distanceNm(row.arc_origin_latitude, row.arc_origin_longitude, start.lat, start.lon);
+            points.push(...arcPoints(row.arc_origin_latitude, row.arc_origin_longitude, radius, start, end, kind === 'R'));
+            return;
+        }
+
+        points.push(start);
+    });
+    return points;
+}
+
+/**
+ * Whether the extent of an airspace overlaps the box. Longitudes are unwrapped around
+ * the first point, so a boundary crossing the antimeridian keeps its real width, and the
+ * extent is compared with each part of the box and their copies 360° east and west.
+ */
+function boundsIntersect(points, bbox) {
+    const refLon = points[0].lon;
+    let minLat = Infinity, maxLat = -Infinity, minLon = Infinity, maxLon = -Infinity;
+    points.forEach(p => {
+        const lon = refLon + ((p.lon - refLon + 540) % 360 - 180);
+        minLat = Math.min(minLat, p.lat);
+        maxLat = Math.max(maxLat, p.lat);
+        minLon = Math.min(minLon, lon);
+        maxLon = Math.max(maxLon, lon);
+    });
+    return splitBbox(bbox).some(part => minLat <= part.maxLat && maxLat >= part.minLat &&
+        [0, 360, -360].some(shift => minLon <= part.maxLon + shift && maxLon >= part.minLon + shift));
+}
+
+/**
+ * Groups ordered rows into airspaces. A new airspace starts whenever the key
+ * changes or the previous row ended its boundary.
+ */
+function groupAirspaces(rows, keyOf, kind, bbox) {
+    const airspaces = [];
+    let current = null;
+    let currentKey = null;
+
+    rows.forEach(row => {
+        const key = keyOf(row);
+        if (!current || key !== currentKey) {
+            current = { kind, row, rows: [] };
+            currentKey = key;
+            airspaces.push(current);
+        }
+        current.rows.push(row);
+        // Later rows may carry the name/limits when the first one does not
+        if (!current.row.lower_limit && row.lower_limit) current.row = { ...current.row, ...row };
+        if (String(row.boundary_via || '')[1] === 'E') current = null;
+    });
+
+    return airspaces
+        .map(a => ({ kind: a.kind, row: a.row, points: expandBoundary(a.rows) }))
+        .filter(a => a.points.length > 1 && boundsIntersect(a.points, bbox));
+}
+
+/**
+ * Loads controlled (CTR/TMA/CTA...) and restrictive (restricted/danger/prohibited...)
+ * airspaces crossing a bounding box.
+ * @param {object} db - Open DFD database.
+ * @param {{minLon: number, maxLon: number, minLat: number, maxLat: number}} bbox
+ * @returns {Promise<Array<{kind: string, row: object, points: Array<{lat: number, lon: number}>}>>}
+ */
+async function getAirspaces(db, bbox) {
+    const m = AIRSPACE_SEARCH_MARGIN_DEG;
+    // The margin may reach past ±180, where the vertices are stored on the other side
+    const areas = splitBbox({ minLon: bbox.minLon - m, maxLon: bbox.maxLon + m, minLat: bbox.minLat - m, maxLat: bbox.maxLat + m });
+    const inArea = areas.map(() => `(longitude BETWEEN ? AND ? AND latitude BETWEEN ? AND ?)
+        OR (arc_origin_longitude BETWEEN ? AND ? AND arc_origin_latitude BETWEEN ? AND ?)`).join(' OR ');
+    const area = areas.flatMap(a => [a.minLon, a.maxLon, a.minLat, a.maxLat, a.minLon, a.maxLon, a.minLat, a.maxLat]);
+
+    const controlledRows = await db.all(
+        `SELECT * FROM tbl_controlled_airspace WHERE airspace_center IN (
+            SELECT DISTINCT airspace_center FROM tbl_controlled_airspace WHERE ${inArea}
+        ) ORDER BY area_code, icao_code, airspace_center, airspace_type, multiple_code, seqno`,
+        area
+    );
+    const restrictiveRows = await db.all(
+        `SELECT * FROM tbl_restrictive_airspace WHERE restrictive_airspace_designation IN (
+            SELECT DISTINCT restrictive_airspace_designation FROM tbl_restrictive_airspace WHERE ${inArea}
+        ) ORDER BY area_code, icao_code, restrictive_airspace_designation, restrictive_type, multiple_code, seqno`,
+        area
+    );
+
+    const controlled = groupAirspaces(
+        controlledRows,
+        r => [r.area_code, r.icao_code, r.airspace_center, r.airspace_type, r.multiple_code].join('|'),
+        'controlled',
+        bbox
+    );
+    const restrictive = groupAirspaces(
+        restrictiveRows,
+        r => [r.area_code, r.icao_code, r.restrictive_airspace_designation, r.restrictive_type, r.multiple_code].join('|'),
+        'restrictive',
+        bbox
+    );
+    return [...controlled, ...restrictive];
+}
+
+export { getAirspaces };
@@ -0,0 +1,68 @@
+// js/navdata/airways.js
+
+// Airway legs can be hundreds of NM long, so fixes are searched in a box
+// this much larger (degrees) than the scope to catch legs crossing it.
+const AIRWAY_SEARCH_MARGIN_DEG = 3;
+
+/**
+ * Liang-Barsky test: does the segment (x1,y1)-(x2,y2) cross the box?
+ */
+function segmentIntersectsBox(x1, y1, x2, y2, bbox) {
+    const dx = x2 - x1;
+    const dy = y2 - y1;
+    const p = [-dx, dx, -dy, dy];
+    const q = [x1 - bbox.minLon, bbox.maxLon - x1, y1 - bbox.minLat, bbox.maxLat - y1];
+    let t0 = 0;
+    let t1 = 1;
+
+    for (let i = 0; i < 4; i++) {
+        if (p[i] === 0) {
+            if (q[i] < 0) return false; // Parallel and outside
+            continue;
+        }
+        const t = q[i] / p[i];
+        if (p[i] < 0) t0 = Math.max(t0, t);
+        else t1 = Math.min(t1, t);
+        if (t0 > t1) return false;
+    }
+    return true;
+}
+
+/**
+ * Loads the enroute airway segments crossing a bounding box.
+ * Rows are ordered fixes per airway; a segment joins two consecutive fixes
+ * unless the first one ends a continuous airway.
+ * @param {object} db - Open DFD database.
+ * @param {{minLon: number, maxLon: number, minLat: number, maxLat: number}} bbox
+ * @returns {Promise<Array<{from: object, to: object}>>} Pairs of raw DFD rows.
+ */
+async function getAirwaySegments(db, bbox) {
+    const m = AIRWAY_SEARCH_MARGIN_DEG;
+    const rows = await db.all(
+        `SELECT * FROM tbl_enroute_airways WHERE route_identifier IN (
+            SELECT DISTINCT route_identifier FROM tbl_enroute_airways
+            WHERE waypoint_longitude BETWEEN ? AND ? AND waypoint_latitude BETWEEN ? AND ?
+        ) ORDER BY area_code, route_identifier, seqno`,
+        [bbox.minLon - m, bbox.maxLon + m, bbox.minLat - m, bbox.maxLat + m]
+    );
+
+    const segments = [];
+    for (let i = 0; i < rows.length - 1; i++) {
+        const from = rows[i];
+        const to = rows[i + 1];
+        if (from.route_identifier !== to.route_identifier || from.area_code !== to.area_code) continue;
+        // 2nd character 'E' of the description code marks the end of a continuous airway
+        if (String(from.waypoint_description_code || '')[1] === 'E') continue;
+        // Legs crossing the antimeridian are tested as the short way round, in both copies of the box
+        const toLon = from.waypoint_longitude + ((to.waypoint_longitude - from.waypoint_longitude + 540) % 360 - 180);
+        const crosses = [0, 360, -360].some(shift => segmentIntersectsBox(
+            from.waypoint_longitude, from.waypoint_latitude, toLon, to.waypoint_latitude,
+            { ...bbox, minLon: bbox.minLon + shift, maxLon: bbox.maxLon + shift }
+        ));
+        if (!crosses) continue;
+        segments.push({ from, to });
+    }
+    return segments;
+}
+
+export { getAirwaySegments };
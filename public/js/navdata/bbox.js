@@ -0,0 +1,72 @@
+// js/navdata/bbox.js
+
+// Bounding boxes come as { minLon, maxLon, minLat, maxLat }. A box crossing the
+// antimeridian may be sent either continuous (maxLon > 180 or minLon < -180, as the
+// scope computes it) or GeoJSON style with minLon > maxLon; the DFD tables only hold
+// longitudes in [-180, 180], so such boxes are queried as two parts.
+
+/**
+ * Parses `bbox=minLon,minLat,maxLon,maxLat` (GeoJSON order).
+ * @returns {{minLon: number, maxLon: number, minLat: number, maxLat: number}|null}
+ */
+function parseBbox(value) {
+    const parts = String(value || '').split(',').map(parseFloat);
+    if (parts.length !== 4 || !parts.every(Number.isFinite)) return null;
+    const [minLon, minLat, maxLon, maxLat] = parts;
+    return { minLon, maxLon, minLat, maxLat };
+}
+
+/**
+ * Whether a box can be queried at all (latitudes in order).
+ */
+function isValidBbox(bbox) {
+    return Boolean(bbox) && bbox.minLat <= bbox.maxLat;
+}
+
+/**
+ * Splits a box into parts within [-180, 180] that together cover it. Latitudes are
+ * clamped to the poles; a box 360° wide or more becomes the whole longitude range.
+ * @returns {Array<{minLon: number, maxLon: number, minLat: number, maxLat: number}>}
+ */
+function splitBbox(bbox) {
+    const minLat = Math.max(-90, bbox.minLat);
+    const maxLat = Math.min(90, bbox.maxLat);
+    let width = bbox.maxLon - bbox.minLon;
+    if (width < 0) width += 360; // West > east: the box crosses the antimeridian
+
+    if (width >= 360) return [{ minLon: -180, maxLon: 180, minLat, maxLat }];
+
+    const minLon = ((bbox.minLon + 180) % 360 + 360) % 360 - 180;
+    const maxLon = minLon + width;
+    if (maxLon <= 180) return [{ minLon, maxLon, minLat, maxLat }];
+    return [
+        { minLon, maxLon: 180, minLat, maxLat },
+        { minLon: -180, maxLon: maxLon - 360, minLat, maxLat }
+    ];
+}
+
+/**
+ * Wraps a bounding-box query so it runs once per part of a split box. Items found
+ * by both parts (lines or areas crossing the antimeridian) are returned once.
+ * @param {Function} query - (db, bbox) => Promise<Array>, for boxes within [-180, 180].
+ */
+function acrossAntimeridian(query) {
+    return async (db, bbox) => {
+        const parts = splitBbox(bbox);
+        if (parts.length === 1) return query(db, parts[0]);
+
+        const seen = new Set();
+        const items = [];
+        for (const part of parts) {
+            for (const item of await query(db, part)) {
+                const key = JSON.stringify(item);
+                if (seen.has(key)) continue;
+                seen.add(key);
+                items.push(item);
+            }
+        }
+        return items;
+    };
+}
+
+export { parseBbox, isValidBbox, splitBbox, acrossAntimeridian };
@@ -0,0 +1,34 @@
+// js/navdata/bundle.js
+import { BBOX_LAYERS, PROCEDURE_TABLES, getProcedureLegs } from './layers.js';
+import { SCHEMA_VERSION, toResponse, toColumnar } from './schema.js';
+
+/**
+ * Loads every scope layer for a region in one go: all bounding-box layers plus the
+ * approaches, STARs and SIDs of `icaos` (or of every airport in the box when omitted).
+ * @param {object} db - Open DFD database.
+ * @param {{minLon: number, maxLon: number, minLat: number, maxLat: number}} bbox
+ * @param {string[]|null} icaos - Airports to load procedures for.
+ * @param {string} format - 'rows' (the /api/data envelopes) or 'columnar'.
+ * @returns {Promise<{schemaVersion: number, type: string, format: string, layers: object}>}
+ */
+async function buildBundle(db, bbox, icaos, format) {
+    const responses = {};
+
+    // One connection serves every query, so run them one after the other
+    for (const [type, query] of Object.entries(BBOX_LAYERS)) {
+        responses[type] = toResponse(type, await query(db, bbox));
+    }
+
+    const procedureAirports = icaos || responses.airports.items.map(a => a.icao).filter(Boolean);
+    for (const type of Object.keys(PROCEDURE_TABLES)) {
+        responses[type] = toResponse(type, await getProcedureLegs(db, type, procedureAirports));
+    }
+
+    const layers = {};
+    for (const [type, response] of Object.entries(responses)) {
+        layers[type] = format === 'columnar' ? toColumnar(response) : response;
+    }
+    return { schemaVersion: SCHEMA_VERSION, type: 'bundle', format, layers };
+}
+
+export { buildBundle };
@@ -0,0 +1,12 @@
+// js/navdata/index.js
+
+// Nav data queries shared by the backend (against the cycle files) and the browser
+// (against an offline extract opened with sql.js). They only need a handle with an
+// async `all(sql, params)` returning row objects, as the `sqlite` package provides.
+
+export { parseBbox, isValidBbox, splitBbox, acrossAntimeridian } from './bbox.js';
+export { SPATIAL_INDEXES, indexName, loadSpatialIndex, queryBbox } from './spatialIndex.js';
+export { BBOX_LAYERS, PROCEDURE_TABLES, getProcedureLegs } from './layers.js';
+export { SCHEMA_VERSION, hasSchema, toResponse, toColumnar } from './schema.js';
+export { buildBundle } from './bundle.js';
+export { searchIdents } from './search.js';
@@ -0,0 +1,49 @@
+// js/navdata/layers.js
+import { getAirwaySegments } from './airways.js';
+import { getAirspaces } from './airspaces.js';
+import { queryBbox } from './spatialIndex.js';
+import { acrossAntimeridian } from './bbox.js';
+
+// Layers queried by bounding box ({ minLon, maxLon, minLat, maxLat }), keyed by /api/data type.
+// Point layers go through the R*Tree side-index when the cycle file has one.
+const LAYER_QUERIES = {
+    navpoints: (db, b) => queryBbox(db, 'tbl_enroute_waypoints', b, `waypoint_identifier NOT LIKE 'VP%' AND waypoint_type != 'U'`),
+    airports: (db, b) => queryBbox(db, 'tbl_airports', b, `ifr_capability = 'Y'`),
+    vors: (db, b) => queryBbox(db, 'tbl_vhfnavaids', b, `navaid_class LIKE 'V%'`),
+    terminalWaypoints: (db, b) => queryBbox(db, 'tbl_terminal_waypoints', b, `waypoint_identifier NOT LIKE 'VP%'`),
+    runways: (db, b) => queryBbox(db, 'tbl_runways', b),
+    ils: (db, b) => queryBbox(db, 'tbl_localizers_glideslopes', b),
+    holdings: (db, b) => db.all(
+        `SELECT * FROM tbl_holdings WHERE waypoint_longitude BETWEEN ? AND ? AND waypoint_latitude BETWEEN ? AND ?`,
+        [b.minLon, b.maxLon, b.minLat, b.maxLat]
+    ),
+    airways: getAirwaySegments,
+    airspaces: getAirspaces
+};
+
+// The same layers for any box, including ones crossing the antimeridian (see navdata/bbox.js)
+const BBOX_LAYERS = Object.fromEntries(
+    Object.entries(LAYER_QUERIES).map(([type, query]) => [type, acrossAntimeridian(query)])
+);
+
+// Procedure tables served per airport (requested with ?airports=ICAO,ICAO)
+const PROCEDURE_TABLES = {
+    approachPaths: 'tbl_iaps',
+    stars: 'tbl_stars',
+    sids: 'tbl_sids'
+};
+
+/**
+ * Loads the procedure legs of one type for a list of airports, in table order
+ * (procedures.js relies on the natural leg order).
+ * @param {object} db - Open DFD database.
+ * @param {string} type - 'approachPaths', 'stars' or 'sids'.
+ * @param {string[]} icaos - Airport ICAO codes.
+ */
+function getProcedureLegs(db, type, icaos) {
+    if (icaos.length === 0) return Promise.resolve([]);
+    const placeholders = icaos.map(() => '?').join(',');
+    return db.all(`SELECT * FROM ${PROCEDURE_TABLES[type]} WHERE airport_identifier IN (${placeholders})`, icaos);
+}
+
+export { BBOX_LAYERS, PROCEDURE_TABLES, getProcedureLegs };
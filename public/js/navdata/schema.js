@@ -0,0 +1,303 @@
+// js/navdata/schema.js
+
+/**
+ * Versioned response schema for /api/data/:type.
+ *
+ * The DFD database uses snake_case column names that change between data
+ * revisions (e.g. `waypoint_latitude`, `llz_bearing`). The scope only ever sees
+ * the objects produced here, so a DFD column rename is fixed in one place instead
+ * of silently breaking navDatabase.js / mapRenderer.js / procedures.js.
+ *
+ * Bump SCHEMA_VERSION whenever a field is renamed, removed or changes unit.
+ * Adding a new field is backwards compatible and does not require a bump.
+ */
+const SCHEMA_VERSION = 1;
+
+// Units used across the schema. Every numeric field is listed in its type's
+// `units` map so clients never have to guess.
+const DEG = 'deg';           // decimal degrees (WGS84) or degrees of bearing
+const FT = 'ft';
+const NM = 'nm';
+const KT = 'kt';
+const MHZ = 'MHz';
+const MIN = 'min';
+
+// Coerce DB values to numbers, keeping missing values as null instead of NaN/0
+function num(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const n = Number(value);
+    return Number.isFinite(n) ? n : null;
+}
+
+// Trim fixed-width DFD strings, keeping missing values as null
+function str(value) {
+    if (value === null || value === undefined) return null;
+    const s = String(value).trim();
+    return s === '' ? null : s;
+}
+
+// Vertical airspace limit as a display label: 'GND', 'FL245', '2500 MSL', '1500 AGL'
+function limit(value, unitIndicator) {
+    const v = str(value);
+    if (!v) return null;
+    if (!/^\d+$/.test(v)) return v; // GND, FLxxx, UNLTD, NOTSP...
+    const ref = unitIndicator === 'A' ? 'AGL' : 'MSL';
+    return `${Number(v)} ${ref}`;
+}
+
+// Legs of a terminal procedure (approach, STAR, SID). All procedure tables share
+// the same DFD layout, so they share one mapping.
+const PROCEDURE_LEGS = {
+    units: {
+        waypointLat: DEG, waypointLon: DEG, course: DEG, distance: NM,
+        altitude1: FT, altitude2: FT, speedLimit: KT, verticalAngle: DEG
+    },
+    map: row => ({
+        icao: str(row.airport_identifier),
+        id: str(row.procedure_identifier),
+        routeType: str(row.route_type),
+        transitionId: str(row.transition_identifier),
+        seqno: num(row.seqno),
+        waypointId: str(row.waypoint_identifier),
+        waypointLat: num(row.waypoint_latitude),
+        waypointLon: num(row.waypoint_longitude),
+        waypointType: str(row.waypoint_description_code),
+        pathTermination: str(row.path_termination),
+        turnDirection: str(row.turn_direction),
+        course: num(row.magnetic_course),
+        distance: num(row.route_distance_holding_distance_time),
+        altitudeDescription: str(row.altitude_description),
+        altitude1: num(row.altitude1),
+        altitude2: num(row.altitude2),
+        speedLimit: num(row.speed_limit),
+        verticalAngle: num(row.vertical_angle)
+    })
+};
+
+const SCHEMAS = {
+    navpoints: {
+        units: { lat: DEG, lon: DEG },
+        map: row => ({
+            name: str(row.waypoint_identifier),
+            fullName: str(row.waypoint_name),
+            type: str(row.waypoint_type) || '',
+            region: str(row.icao_code),
+            lat: num(row.waypoint_latitude),
+            lon: num(row.waypoint_longitude)
+        })
+    },
+
+    terminalWaypoints: {
+        units: { lat: DEG, lon: DEG },
+        map: row => ({
+            name: str(row.waypoint_identifier),
+            fullName: str(row.waypoint_name),
+            type: str(row.waypoint_type) || '',
+            airport: str(row.region_code),
+            region: str(row.icao_code),
+            lat: num(row.waypoint_latitude),
+            lon: num(row.waypoint_longitude)
+        })
+    },
+
+    airports: {
+        units: { lat: DEG, lon: DEG, elevation: FT, transitionAltitude: FT, transitionLevel: FT },
+        map: row => ({
+            icao: str(row.airport_identifier),
+            iata: str(row.iata_ata_designator),
+            name: str(row.airport_name),
+            region: str(row.icao_code),
+            lat: num(row.airport_ref_latitude),
+            lon: num(row.airport_ref_longitude),
+            elevation: num(row.elevation),
+            transitionAltitude: num(row.transition_altitude),
+            transitionLevel: num(row.transition_level)
+        })
+    },
+
+    // Served by /api/airports (see backend/src/airport-catalogue.js); bounds are the
+    // scope extent for a radar of `rangeNm` centred on the reference point
+    airportCatalogue: {
+        units: {
+            lat: DEG, lon: DEG, elevation: FT, transitionAltitude: FT, transitionLevel: FT,
+            rangeNm: NM, minLat: DEG, maxLat: DEG, minLon: DEG, maxLon: DEG
+        },
+        map: ({ row, rangeNm, bounds }) => ({
+            ...SCHEMAS.airports.map(row),
+            rangeNm,
+            ...bounds
+        })
+    },
+
+    vors: {
+        units: { lat: DEG, lon: DEG, frequency: MHZ, declination: DEG, range: NM },
+        map: row => ({
+            id: str(row.vor_identifier),
+            name: str(row.vor_name),
+            type: str(row.navaid_class) || '',
+            region: str(row.icao_code),
+            frequency: num(row.vor_frequency),
+            lat: num(row.vor_latitude),
+            lon: num(row.vor_longitude),
+            declination: num(row.station_declination),
+            range: num(row.range)
+        })
+    },
+
+    runways: {
+        units: { lat: DEG, lon: DEG, length: FT, width: FT, trueBearing: DEG, magneticBearing: DEG, thresholdElevation: FT },
+        map: row => ({
+            id: str(row.runway_identifier),
+            airport: str(row.airport_identifier),
+            lat: num(row.runway_latitude),
+            lon: num(row.runway_longitude),
+            length: num(row.runway_length),
+            width: num(row.runway_width),
+            trueBearing: num(row.runway_true_bearing),
+            magneticBearing: num(row.runway_magnetic_bearing),
+            thresholdElevation: num(row.landing_threshold_elevation),
+            ils: str(row.llz_identifier)
+        })
+    },
+
+    ils: {
+        units: { lat: DEG, lon: DEG, frequency: MHZ, bearing: DEG, declination: DEG, gsAngle: DEG, gsElevation: FT },
+        map: row => ({
+            id: str(row.llz_identifier),
+            airport: str(row.airport_identifier),
+            runway: str(row.runway_identifier),
+            category: str(row.ils_mls_gls_category),
+            frequency: num(row.llz_frequency),
+            lat: num(row.llz_latitude),
+            lon: num(row.llz_longitude),
+            // Localizer course is magnetic; add `declination` for true
+            bearing: num(row.llz_bearing),
+            declination: num(row.station_declination),
+            gsAngle: num(row.gs_angle),
+            gsElevation: num(row.gs_elevation)
+        })
+    },
+
+    holdings: {
+        units: { lat: DEG, lon: DEG, inboundCourse: DEG, legTime: MIN, legLength: NM, minAltitude: FT, maxAltitude: FT, speed: KT },
+        map: row => ({
+            fix: str(row.waypoint_identifier),
+            name: str(row.holding_name),
+            // Airport the hold belongs to, or 'ENRT' for enroute holds
+            airport: str(row.region_code),
+            region: str(row.icao_code),
+            lat: num(row.waypoint_latitude),
+            lon: num(row.waypoint_longitude),
+            // Magnetic inbound course to the fix
+            inboundCourse: num(row.inbound_holding_course),
+            turnDirection: str(row.turn_direction) || 'R',
+            legTime: num(row.leg_time),
+            legLength: num(row.leg_length),
+            minAltitude: num(row.minimum_altitude),
+            maxAltitude: num(row.maximum_altitude),
+            speed: num(row.holding_speed)
+        })
+    },
+
+    // Ranked hits from navdata/search.js
+    search: {
+        units: { lat: DEG, lon: DEG },
+        map: hit => ({
+            ident: str(hit.ident),
+            name: str(hit.name),
+            // 'airport', 'vor', 'ndb', 'waypoint' or 'terminalWaypoint'
+            type: hit.kind,
+            region: str(hit.region),
+            airport: str(hit.airport),
+            lat: num(hit.lat),
+            lon: num(hit.lon)
+        })
+    },
+
+    // Built from pairs of consecutive airway fixes (see navdata/airways.js)
+    airways: {
+        units: { fromLat: DEG, fromLon: DEG, toLat: DEG, toLon: DEG, minAltitude: FT, maxAltitude: FT, outboundCourse: DEG },
+        map: ({ from, to }) => ({
+            id: str(from.route_identifier),
+            routeType: str(from.route_type),
+            // 'F' forward only, 'B' backward only, null both directions
+            direction: str(from.direction_restriction),
+            // 'H' high, 'L' low, 'B' both
+            level: str(from.flightlevel),
+            fromId: str(from.waypoint_identifier),
+            fromLat: num(from.waypoint_latitude),
+            fromLon: num(from.waypoint_longitude),
+            toId: str(to.waypoint_identifier),
+            toLat: num(to.waypoint_latitude),
+            toLon: num(to.waypoint_longitude),
+            minAltitude: num(from.minimum_altitude1),
+            maxAltitude: num(from.maximum_altitude),
+            outboundCourse: num(from.outbound_course)
+        })
+    },
+
+    // Built from grouped boundary rows, arcs already expanded (see navdata/airspaces.js)
+    airspaces: {
+        units: { points: DEG },
+        map: ({ kind, row, points }) => ({
+            kind, // 'controlled' or 'restrictive'
+            id: kind === 'controlled' ? str(row.airspace_center) : str(row.restrictive_airspace_designation),
+            name: kind === 'controlled' ? str(row.controlled_airspace_name) : str(row.restrictive_airspace_name),
+            // Controlled: ARINC airspace type (e.g. Z control zone, M/W TMA, C CTA); restrictive: R, D, P, ...
+            type: kind === 'controlled' ? str(row.airspace_type) : str(row.restrictive_type),
+            classification: str(row.airspace_classification),
+            lowerLimit: limit(row.lower_limit, row.unit_indicator_lower_limit),
+            upperLimit: limit(row.upper_limit, row.unit_indicator_upper_limit),
+            points: points.map(p => ({ lat: p.lat, lon: p.lon }))
+        })
+    },
+
+    approachPaths: PROCEDURE_LEGS,
+    stars: PROCEDURE_LEGS,
+    sids: PROCEDURE_LEGS
+};
+
+/**
+ * Returns true if `type` has a schema mapping.
+ */
+function hasSchema(type) {
+    return Object.prototype.hasOwnProperty.call(SCHEMAS, type);
+}
+
+/**
+ * Maps raw DFD rows into the response envelope for a data type.
+ * Columns that are not part of the schema are dropped.
+ * @param {string} type - One of the keys of SCHEMAS.
+ * @param {object[]} rows - Raw rows from the DFD database.
+ * @returns {{schemaVersion: number, type: string, units: object, items: object[]}}
+ */
+function toResponse(type, rows) {
+    const schema = SCHEMAS[type];
+    return {
+        schemaVersion: SCHEMA_VERSION,
+        type,
+        units: schema.units,
+        items: (rows || []).map(schema.map)
+    };
+}
+
+/**
+ * Re-encodes a response envelope column by column: field names are sent once and
+ * each column holds one value per item, which drops the repeated keys of large
+ * layers. navDatabase.js rebuilds the items (decodeColumnar).
+ * @param {{schemaVersion: number, type: string, units: object, items: object[]}} response
+ * @returns {{schemaVersion: number, type: string, units: object, encoding: string, count: number, fields: string[], columns: Array<Array<*>>}}
+ */
+function toColumnar(response) {
+    const { items, ...envelope } = response;
+    const fields = items.length > 0 ? Object.keys(items[0]) : [];
+    return {
+        ...envelope,
+        encoding: 'columnar',
+        count: items.length,
+        fields,
+        columns: fields.map(field => items.map(item => item[field]))
+    };
+}
+
+export { SCHEMA_VERSION, hasSchema, toResponse, toColumnar };
@@ -0,0 +1,89 @@
+// js/navdata/search.js
+
+// Tables searched by /api/data/search and the columns holding each field
+const SEARCH_SOURCES = [
+    { kind: 'airport', table: 'tbl_airports', ident: 'airport_identifier', name: 'airport_name', lat: 'airport_ref_latitude', lon: 'airport_ref_longitude', airport: null },
+    { kind: 'vor', table: 'tbl_vhfnavaids', ident: 'vor_identifier', name: 'vor_name', lat: 'vor_latitude', lon: 'vor_longitude', airport: null },
+    { kind: 'ndb', table: 'tbl_enroute_ndbnavaids', ident: 'ndb_identifier', name: 'ndb_name', lat: 'ndb_latitude', lon: 'ndb_longitude', airport: null },
+    { kind: 'ndb', table: 'tbl_terminal_ndbnavaids', ident: 'ndb_identifier', name: 'ndb_name', lat: 'ndb_latitude', lon: 'ndb_longitude', airport: 'airport_identifier' },
+    { kind: 'waypoint', table: 'tbl_enroute_waypoints', ident: 'waypoint_identifier', name: 'waypoint_name', lat: 'waypoint_latitude', lon: 'waypoint_longitude', airport: null },
+    { kind: 'terminalWaypoint', table: 'tbl_terminal_waypoints', ident: 'waypoint_identifier', name: 'waypoint_name', lat: 'waypoint_latitude', lon: 'waypoint_longitude', airport: 'region_code' }
+];
+
+// Candidate rows fetched per table before ranking
+const CANDIDATES_PER_SOURCE = 300;
+
+/**
+ * Levenshtein distance, used to tolerate one typo in an identifier.
+ */
+function editDistance(a, b) {
+    const prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        let diag = prev[0];
+        prev[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const tmp = prev[j];
+            prev[j] = Math.min(prev[j] + 1, prev[j - 1] + 1, diag + (a[i - 1] === b[j - 1] ? 0 : 1));
+            diag = tmp;
+        }
+    }
+    return prev[b.length];
+}
+
+/**
+ * Scores a candidate: lower is better, null means no match.
+ * 0 exact ident, 1 ident prefix, 2 ident one edit away, 3 name contains the query.
+ */
+function scoreMatch(query, ident, name) {
+    const id = String(ident || '').trim().toUpperCase();
+    if (id === query) return 0;
+    if (id.startsWith(query)) return 1;
+    if (query.length >= 3 && Math.abs(id.length - query.length) <= 1 && editDistance(id, query) <= 1) return 2;
+    if (name && String(name).toUpperCase().includes(query)) return 3;
+    return null;
+}
+
+/**
+ * Escapes LIKE wildcards in the search text, for clauses with `ESCAPE '\'`.
+ */
+function escapeLike(term) {
+    return term.replace(/[\\%_]/g, '\\$&');
+}
+
+/**
+ * Searches identifiers and names across airports, navaids and waypoints globally.
+ * @param {object} db - Open DFD database.
+ * @param {string} q - Search text (identifier or part of a name).
+ * @param {number} limit - Maximum number of results.
+ * @returns {Promise<object[]>} Ranked hits ({ kind, ident, name, region, airport, lat, lon, score }).
+ */
+async function searchIdents(db, q, limit) {
+    const query = q.trim().toUpperCase();
+    // Ident candidates share the first character, so one typo later in the ident is still found
+    const firstCharPattern = `${escapeLike(query[0])}%`;
+    const prefixPattern = `${escapeLike(query)}%`;
+    const namePattern = `%${escapeLike(query)}%`;
+
+    const hits = [];
+    for (const src of SEARCH_SOURCES) {
+        // Exact and prefix matches are fetched first so the candidate limit never drops them
+        const rows = await db.all(
+            `SELECT ${src.ident} AS ident, ${src.name} AS name, icao_code AS region, ${src.airport || 'NULL'} AS airport,
+                    ${src.lat} AS lat, ${src.lon} AS lon
+             FROM ${src.table}
+             WHERE (${src.ident} LIKE ? ESCAPE '\\' AND length(${src.ident}) BETWEEN ? AND ?) OR ${src.name} LIKE ? ESCAPE '\\'
+             ORDER BY CASE WHEN ${src.ident} = ? THEN 0 WHEN ${src.ident} LIKE ? ESCAPE '\\' THEN 1 ELSE 2 END
+             LIMIT ${CANDIDATES_PER_SOURCE}`,
+            [firstCharPattern, Math.max(1, query.length - 1), query.length + 6, namePattern, query, prefixPattern]
+        );
+        rows.forEach(row => {
+            const score = scoreMatch(query, row.ident, row.name);
+            if (score !== null) hits.push({ kind: src.kind, ...row, score });
+        });
+    }
+
+    hits.sort((a, b) => a.score - b.score || String(a.ident).localeCompare(String(b.ident)));
+    return hits.slice(0, limit);
+}
+
+export { searchIdents };
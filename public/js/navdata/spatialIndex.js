@@ -0,0 +1,57 @@
+// js/navdata/spatialIndex.js
+
+// DFD tables that get an R*Tree side-index, with their coordinate columns.
+// Each index is a virtual table `rtree_<name>` whose id is the rowid of the indexed row.
+const SPATIAL_INDEXES = {
+    tbl_enroute_waypoints: { lon: 'waypoint_longitude', lat: 'waypoint_latitude' },
+    tbl_terminal_waypoints: { lon: 'waypoint_longitude', lat: 'waypoint_latitude' },
+    tbl_vhfnavaids: { lon: 'vor_longitude', lat: 'vor_latitude' },
+    tbl_enroute_ndbnavaids: { lon: 'ndb_longitude', lat: 'ndb_latitude' },
+    tbl_terminal_ndbnavaids: { lon: 'ndb_longitude', lat: 'ndb_latitude' },
+    tbl_airports: { lon: 'airport_ref_longitude', lat: 'airport_ref_latitude' },
+    tbl_runways: { lon: 'runway_longitude', lat: 'runway_latitude' },
+    tbl_localizers_glideslopes: { lon: 'llz_longitude', lat: 'llz_latitude' }
+};
+
+// Open handle -> Set of tables whose index it can use (filled by loadSpatialIndex)
+const indexedTables = new WeakMap();
+
+function indexName(table) {
+    return `rtree_${table.replace(/^tbl_/, '')}`;
+}
+
+/**
+ * Records which side-indexes an open cycle file holds. Files installed before
+ * the indexes existed (and offline extracts) have none and are queried without them.
+ */
+async function loadSpatialIndex(db) {
+    const names = new Set((await db.all(`SELECT name FROM sqlite_master WHERE name LIKE 'rtree_%'`)).map(t => t.name));
+    indexedTables.set(db, new Set(Object.keys(SPATIAL_INDEXES).filter(table => names.has(indexName(table)))));
+}
+
+/**
+ * Rows of `table` whose coordinates fall inside a bounding box, using the R*Tree
+ * side-index when the file has one. The index stores 32-bit floats, so it only narrows
+ * the candidates and the exact BETWEEN filter still decides.
+ * @param {object} db - Open DFD database.
+ * @param {string} table - One of the SPATIAL_INDEXES tables.
+ * @param {{minLon: number, maxLon: number, minLat: number, maxLat: number}} bbox
+ * @param {string} [filter] - Extra SQL condition on the table's columns.
+ */
+function queryBbox(db, table, bbox, filter) {
+    const { lon, lat } = SPATIAL_INDEXES[table];
+    const where = `${lon} BETWEEN ? AND ? AND ${lat} BETWEEN ? AND ?${filter ? ` AND ${filter}` : ''}`;
+    const params = [bbox.minLon, bbox.maxLon, bbox.minLat, bbox.maxLat];
+
+    const indexed = indexedTables.get(db);
+    if (!indexed || !indexed.has(table)) {
+        return db.all(`SELECT * FROM ${table} WHERE ${where}`, params);
+    }
+    return db.all(
+        `SELECT t.* FROM ${indexName(table)} r JOIN ${table} t ON t.rowid = r.id
+         WHERE r.min_lon <= ? AND r.max_lon >= ? AND r.min_lat <= ? AND r.max_lat >= ? AND ${where}`,
+        [bbox.maxLon, bbox.minLon, bbox.maxLat, bbox.minLat, ...params]
+    );
+}
+
+export { SPATIAL_INDEXES, indexName, loadSpatialIndex, queryBbox };
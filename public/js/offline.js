@@ -0,0 +1,203 @@
+// js/offline.js
+
+// Offline mode: a region extract (SQLite) downloaded once from the backend is kept in
+// IndexedDB per airport and AIRAC cycle, opened with sql.js and queried with the same
+// nav data queries the backend runs (js/navdata), so the scope works without a backend.
+
+import { loadSpatialIndex, toResponse } from './navdata/index.js';
+
+const DB_NAME = 'echoscope-offline';
+const DB_VERSION = 1;
+const STORE = 'extracts';
+
+let storePromise = null;
+let sqlPromise = null;
+let active = null; // { db, info } of the extract in use, if any
+
+/**
+ * @summary Opens the IndexedDB database holding the extracts.
+ * @returns {Promise<IDBDatabase>}
+ */
+function openStore() {
+    if (!storePromise) {
+        storePromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(STORE, { keyPath: 'key' });
+                store.createIndex('icao', 'icao');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        storePromise.catch(() => { storePromise = null; });
+    }
+    return storePromise;
+}
+
+/**
+ * @summary Runs one request against the extract store.
+ * @param {IDBTransactionMode} mode
+ * @param {Function} makeRequest - (store) => IDBRequest.
+ * @returns {Promise<*>} The request's result.
+ */
+async function storeRequest(mode, makeRequest) {
+    const db = await openStore();
+    return new Promise((resolve, reject) => {
+        const request = makeRequest(db.transaction(STORE, mode).objectStore(STORE));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * @summary Loads sql.js (libs/sql-wasm.js, included by index.html) once.
+ * @returns {Promise<object>} The SQL module.
+ */
+function loadSql() {
+    if (!sqlPromise) {
+        if (typeof window.initSqlJs !== 'function') return Promise.reject(new Error('sql.js is not loaded'));
+        sqlPromise = window.initSqlJs({ locateFile: file => `libs/${file}` });
+        sqlPromise.catch(() => { sqlPromise = null; });
+    }
+    return sqlPromise;
+}
+
+/**
+ * @summary Wraps a sql.js database in the handle the nav data queries expect: an async
+ * `all(sql, params)` returning row objects, like the backend's `sqlite` handles.
+ * @param {object} database - sql.js Database.
+ * @returns {{all: Function, get: Function, close: Function}}
+ */
+function queryHandle(database) {
+    const all = async (sql, params = []) => {
+        const statement = database.prepare(sql);
+        try {
+            statement.bind(params);
+            const rows = [];
+            while (statement.step()) rows.push(statement.getAsObject());
+            return rows;
+        } finally {
+            statement.free();
+        }
+    };
+    return {
+        all,
+        get: async (sql, params) => (await all(sql, params))[0],
+        close: () => database.close()
+    };
+}
+
+/**
+ * @summary Describes an extract from its tbl_extract row and airport.
+ * @param {object} db - Query handle of the extract.
+ * @returns {Promise<object>} { icao, cycle, revision, rangeNm, airport } where `airport` is
+ *   the extract's airport as listed by the airport catalogue (with its scope bounds).
+ */
+async function describeExtract(db) {
+    const info = await db.get('SELECT * FROM tbl_extract');
+    if (!info) throw new Error('Not a nav data extract');
+    const row = await db.get('SELECT * FROM tbl_airports WHERE airport_identifier = ?', [info.airport_identifier]);
+    const bounds = { minLat: info.min_lat, maxLat: info.max_lat, minLon: info.min_lon, maxLon: info.max_lon };
+    const [airport] = toResponse('airportCatalogue', [{ row, rangeNm: info.range_nm, bounds }]).items;
+    return {
+        icao: info.airport_identifier,
+        cycle: info.airac_cycle,
+        revision: info.revision,
+        rangeNm: info.range_nm,
+        airport
+    };
+}
+
+/**
+ * @summary Downloads the extract around an airport and keeps it for offline use,
+ * replacing extracts of older cycles for the same airport.
+ * @param {string} apiBase - Backend origin ('' for same-origin).
+ * @param {string} icao - Airport ICAO code.
+ * @param {number} rangeNm - Radar range the extract must cover.
+ * @returns {Promise<object>} The saved extract (see `listOfflineExtracts`).
+ */
+export async function saveOfflineExtract(apiBase, icao, rangeNm) {
+    const resp = await fetch(`${apiBase}/api/navdata/extract/${encodeURIComponent(icao)}?range=${rangeNm}`, { credentials: 'include' });
+    if (!resp.ok) {
+        const body = await resp.json().catch(() => ({}));
+        throw new Error(body.error || `Extract download failed (${resp.status})`);
+    }
+    const bytes = new Uint8Array(await resp.arrayBuffer());
+
+    // Read the description from the file itself, which also checks that it opens
+    const SQL = await loadSql();
+    const db = queryHandle(new SQL.Database(bytes));
+    let extract;
+    try {
+        extract = await describeExtract(db);
+    } finally {
+        db.close();
+    }
+
+    const key = `${extract.icao}:${extract.cycle}`;
+    const older = await storeRequest('readonly', store => store.index('icao').getAllKeys(extract.icao));
+    await storeRequest('readwrite', store => store.put({ key, ...extract, savedAt: new Date().toISOString(), bytes }));
+    for (const oldKey of older.filter(k => k !== key)) {
+        await storeRequest('readwrite', store => store.delete(oldKey));
+    }
+    console.log(`[OFFLINE] Saved ${extract.icao} (AIRAC ${extract.cycle} r${extract.revision}, ${bytes.length} bytes).`);
+    return { key, ...extract };
+}
+
+/**
+ * @summary Lists the extracts kept for offline use, newest cycle first.
+ * @returns {Promise<object[]>} { key, icao, cycle, revision, rangeNm, airport, savedAt }.
+ */
+export async function listOfflineExtracts() {
+    try {
+        const records = await storeRequest('readonly', store => store.getAll());
+        return records
+            .map(({ bytes, ...extract }) => extract)
+            .sort((a, b) => String(b.cycle).localeCompare(String(a.cycle)) || a.icao.localeCompare(b.icao));
+    } catch (e) {
+        console.warn('[OFFLINE] Saved extracts are unavailable:', e);
+        return [];
+    }
+}
+
+/**
+ * @summary Opens a saved extract; from then on nav data is queried from it.
+ * @param {string} key - Key of the extract ('ICAO:cycle').
+ * @returns {Promise<object>} The extract (see `listOfflineExtracts`).
+ */
+export async function activateOfflineExtract(key) {
+    const record = await storeRequest('readonly', store => store.get(key));
+    if (!record) throw new Error(`No offline extract ${key}`);
+    const SQL = await loadSql();
+    const db = queryHandle(new SQL.Database(record.bytes));
+    await loadSpatialIndex(db);
+
+    if (active) active.db.close();
+    const { bytes, ...info } = record;
+    active = { db, info };
+    console.log(`[OFFLINE] Using ${info.icao} (AIRAC ${info.cycle} r${info.revision}).`);
+    return info;
+}
+
+/**
+ * @summary Query handle of the extract in use, or null when nav data comes from the backend.
+ * @returns {object|null}
+ */
+export function offlineNavDB() {
+    return active ? active.db : null;
+}
+
+/**
+ * @summary Nav data status of the extract in use, shaped like /api/navdata/status.
+ * @returns {object|null}
+ */
+export function offlineNavDataStatus() {
+    if (!active) return null;
+    return {
+        served: 'offline',
+        subscriptionActive: false,
+        cycle: active.info.cycle,
+        revision: active.info.revision,
+        updatedAt: active.info.savedAt
+    };
+}
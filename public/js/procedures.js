@@ -1,22 +1,41 @@
 // js/procedures.js
 
-import { approachPaths, ilsData } from './mapRenderer.js';
+import { approachPaths, starPaths, sidPaths, ilsData } from './mapRenderer.js';
 import { latLonToPixel, calculateDistance } from './utils.js';
 import { activeAirports } from './config.js';
+import { issueInstruction } from './instructions.js';
 
 // Valid approach types (A = Approach, I = Initial Approach)
 const approachTypes = ['A', 'I'];
 
+// STAR route types (ARINC 424): enroute transitions, common route and runway transitions
+const starEnrouteTypes = ['1', '4', '7'];
+const starCommonTypes = ['2', '5', '8'];
+const starRunwayTypes = ['3', '6', '9'];
+
+// SID route types (ARINC 424): runway transitions, common route and enroute transitions
+const sidRunwayTypes = ['1', '4', 'T'];
+const sidCommonTypes = ['2', '5'];
+const sidEnrouteTypes = ['3', '6', 'V'];
+
 // Module state
 export let hoveredProcedure = null; // array of {lat,lon}
 let selectedPlane = null;
 let selectedApproach = null;
 let selectedTransition = null;
+let selectedStar = null;
+let selectedStarTransition = null;
+let selectedSid = null;
+let selectedSidTransition = null;
 
 // DOM elements (cached)
 const panel = document.getElementById('procedures-panel');
 const planeIdEl = document.getElementById('proc-plane-id');
 const assignedEl = document.getElementById('proc-assigned');
+const starListEl = document.getElementById('star-list');
+const starTransitionListEl = document.getElementById('star-transition-list');
+const sidListEl = document.getElementById('sid-list');
+const sidTransitionListEl = document.getElementById('sid-transition-list');
 const approachListEl = document.getElementById('approach-list');
 const transitionListEl = document.getElementById('transition-list');
 const assignBtn = document.getElementById('assign-proc');
@@ -68,6 +87,232 @@ export function buildProcedurePoints(icao, approachId, transitionId) {
 	return pts;
 }
 
+/**
+ * @summary Checks whether a STAR/SID runway transition serves one of the given runways.
+ * @param {string} transitionId - Runway transition ID (e.g. "RW27L", "RW27B" for both sides, "ALL").
+ * @param {string[]} runwayIds - Runway IDs to match (e.g. ["RW27L"]).
+ * @returns {boolean}
+ */
+function runwayTransitionMatches(transitionId, runwayIds) {
+	if (!transitionId) return false;
+	const t = transitionId.toUpperCase();
+	if (t === 'ALL') return true;
+	return (runwayIds || []).some(ar => {
+		const arStr = String(ar).toUpperCase();
+		if (t === arStr) return true;
+		// 'B' transitions serve both parallel runways (RW27B -> RW27L / RW27R)
+		return t.endsWith('B') && t.slice(0, -1) === arStr.replace(/[LCR]$/, '');
+	});
+}
+
+/**
+ * @summary Flattens ordered procedure segments into a waypoint list.
+ * @param {Array<object[]>} segments - Procedure legs per segment, in flying order.
+ * @returns {Array<{name: string, lat: number, lon: number}>|null}
+ */
+function collectSegmentPoints(segments) {
+	const pts = [];
+	segments.forEach(segment => {
+		segment
+			.slice()
+			.sort((a, b) => (a.seqno || 0) - (b.seqno || 0))
+			.forEach(r => {
+				// Skip legs that do not end at a fix (e.g. heading-to-manual legs)
+				if (r.waypointLat === null || r.waypointLon === null) return;
+				// Consecutive segments share their connecting fix
+				const last = pts[pts.length - 1];
+				if (last && last.name === r.waypointId) return;
+				pts.push({ name: r.waypointId, lat: r.waypointLat, lon: r.waypointLon });
+			});
+	});
+	return pts.length > 0 ? pts : null;
+}
+
+/**
+ * @summary Picks the legs of the first runway transition serving one of the given runways.
+ */
+function runwayTransitionLegs(legs, routeTypes, runwayIds) {
+	const candidates = legs.filter(r => routeTypes.includes(String(r.routeType || '')) && runwayTransitionMatches(r.transitionId, runwayIds));
+	if (candidates.length === 0) return [];
+	return candidates.filter(r => r.transitionId === candidates[0].transitionId);
+}
+
+/**
+ * @summary Builds the waypoint list of a STAR: enroute transition, common route,
+ * then the runway transition for the active runway.
+ * @param {string} icao - Destination airport ICAO code.
+ * @param {string} starId - STAR procedure identifier.
+ * @param {string|null} transitionId - Enroute transition, or null for none.
+ * @returns {Array<{name: string, lat: number, lon: number}>|null}
+ */
+export function buildStarPoints(icao, starId, transitionId) {
+	if (!starId) return null;
+	const legs = starPaths.filter(r => r.icao === icao && r.id === starId);
+	const routeOf = r => String(r.routeType || '');
+
+	const enroute = transitionId
+		? legs.filter(r => starEnrouteTypes.includes(routeOf(r)) && r.transitionId === transitionId)
+		: [];
+	const common = legs.filter(r => starCommonTypes.includes(routeOf(r)));
+	const runway = runwayTransitionLegs(legs, starRunwayTypes, activeAirports[icao] || []);
+	return collectSegmentPoints([enroute, common, runway]);
+}
+
+/**
+ * @summary Builds the waypoint list of a SID: runway transition for the departure
+ * runway, common route, then the enroute transition.
+ * @param {string} icao - Departure airport ICAO code.
+ * @param {string} sidId - SID procedure identifier.
+ * @param {string} runwayId - Departure runway (e.g. "RW10").
+ * @param {string|null} transitionId - Enroute transition, or null for none.
+ * @returns {Array<{name: string, lat: number, lon: number}>|null}
+ */
+export function buildSidPoints(icao, sidId, runwayId, transitionId) {
+	if (!sidId) return null;
+	const legs = sidPaths.filter(r => r.icao === icao && r.id === sidId);
+	const routeOf = r => String(r.routeType || '');
+
+	const runway = runwayTransitionLegs(legs, sidRunwayTypes, [runwayId]);
+	const common = legs.filter(r => sidCommonTypes.includes(routeOf(r)));
+	const enroute = transitionId
+		? legs.filter(r => sidEnrouteTypes.includes(routeOf(r)) && r.transitionId === transitionId)
+		: [];
+	return collectSegmentPoints([runway, common, enroute]);
+}
+
+/**
+ * @summary Lists the SIDs that can be flown from a runway: those with a matching
+ * runway transition, or with no runway transitions at all.
+ * @param {string} icao - Departure airport ICAO code.
+ * @param {string} runwayId - Departure runway (e.g. "RW10").
+ * @returns {string[]} Sorted SID identifiers.
+ */
+export function sidsForRunway(icao, runwayId) {
+	const byId = new Map();
+	sidPaths.forEach(r => {
+		if (r.icao !== icao || !r.id) return;
+		if (!byId.has(r.id)) byId.set(r.id, []);
+		byId.get(r.id).push(r);
+	});
+	return [...byId.entries()]
+		.filter(([, legs]) => {
+			const runwayLegs = legs.filter(r => sidRunwayTypes.includes(String(r.routeType || '')));
+			return runwayLegs.length === 0 || runwayLegs.some(r => runwayTransitionMatches(r.transitionId, [runwayId]));
+		})
+		.map(([id]) => id)
+		.sort();
+}
+
+/**
+ * @summary Resolves the waypoints of a SID for a departing aircraft.
+ * @param {Aircraft} plane - A departure lined up with `lineUp`.
+ * @param {string} sidId - SID procedure identifier.
+ * @param {string|null} transitionId - Enroute transition, or null for none.
+ * @returns {Array<{name: string, lat: number, lon: number}>}
+ */
+export function sidRoute(plane, sidId, transitionId) {
+	const runwayId = plane.departureRunway ? plane.departureRunway.id : null;
+	return buildSidPoints(plane.departure, sidId, runwayId, transitionId) || [];
+}
+
+/**
+ * @summary Assigns a SID (and optional enroute transition) to a departing aircraft.
+ * @param {Aircraft} plane - A departure lined up with `lineUp`.
+ * @param {string} sidId - SID procedure identifier.
+ * @param {string|null} transitionId - Enroute transition, or null for none.
+ */
+export function assignSid(plane, sidId, transitionId) {
+	const pts = sidRoute(plane, sidId, transitionId);
+	plane.assignSid({ id: sidId, transition: transitionId }, pts);
+	console.log(`[PROCEDURE] SID ${sidId} assigned to ${plane.callsign} (${pts.length} waypoints).`);
+}
+
+/**
+ * @summary Resolves an arrival: chains the STAR into the approach and looks up the
+ * ILS of the approach runway.
+ * @param {Aircraft} plane - An arriving aircraft.
+ * @param {string|null} starId - STAR identifier, or null for none.
+ * @param {string|null} starTransitionId - STAR enroute transition, or null.
+ * @param {string|null} approachId - Approach identifier, or null for none.
+ * @param {string|null} approachTransitionId - Approach transition, or null.
+ * @returns {{points: Array<{name: string, lat: number, lon: number}>, ils: object|null}}
+ */
+export function arrivalRoute(plane, starId, starTransitionId, approachId, approachTransitionId) {
+	// 1. Build the waypoints (the STAR chains into the approach)
+	const starPts = starId ? buildStarPoints(plane.destination, starId, starTransitionId) : null;
+	const approachPts = approachId ? buildProcedurePoints(plane.destination, approachId, approachTransitionId) : null;
+	const points = chainProcedurePoints(starPts, approachPts);
+	if (!approachId) return { points, ils: null };
+
+	// 2. Robust ILS Searching
+	console.log(`[PROCEDURE] Matching ILS for ${plane.callsign} at ${plane.destination}...`);
+
+	// Search strategy: Find ILS belonging to destination airport
+	// where the runway ID matches the approach name (e.g., "ILS 35R" contains "35R")
+	const searchTarget = approachId.toUpperCase();
+
+	let foundIls = ilsData.find(i => {
+		const isSameAirport = i.airport === plane.destination;
+		// Check if the runway ID (like '35R') is mentioned in the approach name (like 'ILS 35R')
+		const runwayMatch = searchTarget.includes(i.runway.replace('RW', ''));
+		return isSameAirport && runwayMatch;
+	});
+
+	// Fallback: If no runway match, take the closest ILS to the first approach waypoint
+	if (!foundIls && approachPts && approachPts.length > 0) {
+		const firstWp = approachPts[0];
+		let minDist = 999;
+		ilsData.forEach(i => {
+			if (i.airport === plane.destination) {
+				const d = calculateDistance(i.lat, i.lon, firstWp.lat, firstWp.lon);
+				if (d < minDist) {
+					minDist = d;
+					foundIls = i;
+				}
+			}
+		});
+	}
+	return { points, ils: foundIls || null };
+}
+
+/**
+ * @summary Assigns a STAR and/or approach (with optional transitions) to an arrival,
+ * chains their waypoints and looks up the ILS of the approach runway.
+ * @param {Aircraft} plane - An arriving aircraft.
+ * @param {string|null} starId - STAR identifier, or null for none.
+ * @param {string|null} starTransitionId - STAR enroute transition, or null.
+ * @param {string|null} approachId - Approach identifier, or null for none.
+ * @param {string|null} approachTransitionId - Approach transition, or null.
+ */
+export function assignArrival(plane, starId, starTransitionId, approachId, approachTransitionId) {
+	const { points, ils } = arrivalRoute(plane, starId, starTransitionId, approachId, approachTransitionId);
+	plane.assignArrival(
+		starId ? { id: starId, transition: starTransitionId } : null,
+		approachId ? { id: approachId, transition: approachTransitionId } : null,
+		points,
+		ils
+	);
+
+	if (!approachId) {
+		console.log(`[PROCEDURE] STAR ${starId} assigned to ${plane.callsign}.`);
+		return;
+	}
+	console.log(`[PROCEDURE] Assigned to ${plane.callsign}. ILS Found:`, !!ils);
+}
+
+/**
+ * @summary Chains STAR waypoints into approach waypoints, dropping the duplicated
+ * fix where the STAR ends at the approach's first fix.
+ */
+function chainProcedurePoints(starPts, approachPts) {
+	const star = starPts || [];
+	const approach = approachPts || [];
+	if (star.length > 0 && approach.length > 0 && star[star.length - 1].name === approach[0].name) {
+		return [...star, ...approach.slice(1)];
+	}
+	return [...star, ...approach];
+}
+
 function approachMatchesActiveRunway(approachId, icao) {
 	if (!approachId) return false;
 	const active = (activeAirports && activeAirports[icao]) ? activeAirports[icao] : [];
@@ -203,12 +448,183 @@ function populateTransitionList(plane, approachId) {
 	});
 }
 
+function populateStarList(plane) {
+	starListEl.innerHTML = '';
+	selectedStar = null;
+	selectedStarTransition = null;
+	starTransitionListEl.innerHTML = '(Select a STAR)';
+
+	const starIds = [...new Set(starPaths.filter(r => r.icao === plane.destination && r.id).map(r => r.id))].sort();
+	if (starIds.length === 0) {
+		starListEl.innerHTML = '(No STARs)';
+		return;
+	}
+
+	starIds.forEach(id => {
+		const item = document.createElement('div');
+		item.className = 'proc-item';
+		item.textContent = id;
+		item.onmouseenter = () => {
+			hoveredProcedure = buildStarPoints(plane.destination, id, null);
+		};
+		item.onmouseleave = () => { clearHover(); };
+		item.onclick = () => {
+			selectedStar = id;
+			populateStarTransitionList(plane, id);
+			Array.from(starListEl.children).forEach(ch => ch.style.backgroundColor = '');
+			item.style.backgroundColor = '#333';
+		};
+		starListEl.appendChild(item);
+	});
+}
+
+function populateStarTransitionList(plane, starId) {
+	starTransitionListEl.innerHTML = '';
+	selectedStarTransition = null;
+	const transitions = [...new Set(starPaths
+		.filter(r => r.icao === plane.destination && r.id === starId && starEnrouteTypes.includes(String(r.routeType || '')))
+		.map(r => r.transitionId)
+		.filter(Boolean))].sort();
+
+	// 'None' flies the common route only
+	[null, ...transitions].forEach(tid => {
+		const item = document.createElement('div');
+		item.className = 'proc-item';
+		item.textContent = tid || 'None';
+		item.onmouseenter = () => {
+			hoveredProcedure = buildStarPoints(plane.destination, starId, tid);
+		};
+		item.onmouseleave = () => { clearHover(); };
+		item.onclick = () => {
+			selectedStarTransition = tid;
+			Array.from(starTransitionListEl.children).forEach(ch => ch.style.backgroundColor = '');
+			item.style.backgroundColor = '#333';
+		};
+		starTransitionListEl.appendChild(item);
+	});
+}
+
+function populateSidList(plane) {
+	sidListEl.innerHTML = '';
+	selectedSid = null;
+	selectedSidTransition = null;
+	sidTransitionListEl.innerHTML = '(Select a SID)';
+
+	const runwayId = plane.departureRunway ? plane.departureRunway.id : null;
+	const sidIds = sidsForRunway(plane.departure, runwayId);
+	if (sidIds.length === 0) {
+		sidListEl.innerHTML = '(No SIDs)';
+		return;
+	}
+
+	sidIds.forEach(id => {
+		const item = document.createElement('div');
+		item.className = 'proc-item';
+		item.textContent = id;
+		item.onmouseenter = () => {
+			hoveredProcedure = buildSidPoints(plane.departure, id, runwayId, null);
+		};
+		item.onmouseleave = () => { clearHover(); };
+		item.onclick = () => {
+			selectedSid = id;
+			populateSidTransitionList(plane, id);
+			Array.from(sidListEl.children).forEach(ch => ch.style.backgroundColor = '');
+			item.style.backgroundColor = '#333';
+		};
+		sidListEl.appendChild(item);
+	});
+}
+
+function populateSidTransitionList(plane, sidId) {
+	sidTransitionListEl.innerHTML = '';
+	selectedSidTransition = null;
+	const runwayId = plane.departureRunway ? plane.departureRunway.id : null;
+	const transitions = [...new Set(sidPaths
+		.filter(r => r.icao === plane.departure && r.id === sidId && sidEnrouteTypes.includes(String(r.routeType || '')))
+		.map(r => r.transitionId)
+		.filter(Boolean))].sort();
+
+	// 'None' ends the SID at the end of the common route
+	[null, ...transitions].forEach(tid => {
+		const item = document.createElement('div');
+		item.className = 'proc-item';
+		item.textContent = tid || 'None';
+		item.onmouseenter = () => {
+			hoveredProcedure = buildSidPoints(plane.departure, sidId, runwayId, tid);
+		};
+		item.onmouseleave = () => { clearHover(); };
+		item.onclick = () => {
+			selectedSidTransition = tid;
+			Array.from(sidTransitionListEl.children).forEach(ch => ch.style.backgroundColor = '');
+			item.style.backgroundColor = '#333';
+		};
+		sidTransitionListEl.appendChild(item);
+	});
+}
+
+function describeAssignedProcedures(plane) {
+	const parts = [];
+	if (plane.assignedSid) {
+		parts.push(`SID ${plane.assignedSid.id}${plane.assignedSid.transition ? ` (${plane.assignedSid.transition})` : ''}`);
+	}
+	if (plane.assignedStar) {
+		parts.push(`STAR ${plane.assignedStar.id}${plane.assignedStar.transition ? ` (${plane.assignedStar.transition})` : ''}`);
+	}
+	if (plane.assignedProcedure) {
+		parts.push(`${plane.assignedProcedure.type} ${plane.assignedProcedure.id || ''}`);
+	}
+	return parts.length > 0 ? `Assigned: ${parts.join(' → ')}` : 'No procedure assigned';
+}
+
+/**
+ * @summary Shows the SID sections for departures and the arrival sections otherwise.
+ */
+function showDepartureSections(isDeparture) {
+	panel.querySelectorAll('.departure-section').forEach(el => el.style.display = isDeparture ? '' : 'none');
+	panel.querySelectorAll('.arrival-section').forEach(el => el.style.display = isDeparture ? 'none' : '');
+}
+
 export function showProceduresPanel(plane, hitbox) {
 	selectedPlane = plane;
 	panel.style.display = 'block';
+	assignedEl.textContent = describeAssignedProcedures(plane);
+	showDepartureSections(plane.isDeparture);
+
+	if (plane.isDeparture) {
+		const runwayId = plane.departureRunway ? plane.departureRunway.id : '';
+		planeIdEl.textContent = `Procedures for ${plane.callsign} (${plane.departure} ${runwayId})`;
+		populateSidList(plane);
+		if (plane.assignedSid) {
+			const { id, transition } = plane.assignedSid;
+			Array.from(sidListEl.children).forEach(ch => {
+				ch.style.backgroundColor = ch.textContent === id ? '#333' : '';
+			});
+			selectedSid = id;
+			populateSidTransitionList(plane, id);
+			Array.from(sidTransitionListEl.children).forEach(ch => {
+				ch.style.backgroundColor = ch.textContent === (transition || 'None') ? '#333' : '';
+			});
+			selectedSidTransition = transition || null;
+		}
+		return;
+	}
+
 	planeIdEl.textContent = `Procedures for ${plane.callsign} (${plane.destination})`;
-	assignedEl.textContent = plane.assignedProcedure ? `Assigned: ${plane.assignedProcedure.type} ${plane.assignedProcedure.id || ''}` : 'No procedure assigned';
+	populateStarList(plane);
 	populateApproachList(plane);
+	// If a STAR is already assigned, highlight it and its transition
+	if (plane.assignedStar) {
+		const { id, transition } = plane.assignedStar;
+		Array.from(starListEl.children).forEach(ch => {
+			ch.style.backgroundColor = ch.textContent === id ? '#333' : '';
+		});
+		selectedStar = id;
+		populateStarTransitionList(plane, id);
+		Array.from(starTransitionListEl.children).forEach(ch => {
+			ch.style.backgroundColor = ch.textContent === (transition || 'None') ? '#333' : '';
+		});
+		selectedStarTransition = transition || null;
+	}
 	// If a procedure is already assigned, highlight it in the lists
 	if (plane.assignedProcedure && plane.assignedProcedure.type === 'approach') {
 		const assignedId = plane.assignedProcedure.id;
@@ -241,70 +657,30 @@ export function hideProceduresPanel() {
 	selectedPlane = null;
 	selectedApproach = null;
 	selectedTransition = null;
+	selectedStar = null;
+	selectedStarTransition = null;
+	selectedSid = null;
+	selectedSidTransition = null;
 	clearHover();
 }
 
 assignBtn.addEventListener('click', () => {
-	if (!selectedPlane || !selectedApproach) return;
-
-    // 1. Assign the basic procedure
-    selectedPlane.assignedProcedure = { 
-        type: 'approach', 
-        id: selectedApproach, 
-        transition: selectedTransition 
-    };
-
-    // 2. Build and assign waypoints
-    const pts = buildProcedurePoints(selectedPlane.destination, selectedApproach, selectedTransition);
-    selectedPlane.procedureWaypoints = pts || [];
-    selectedPlane.currentWaypointIndex = 0;
-    selectedPlane.autopilotActive = true;
-
-    if (selectedPlane.procedureWaypoints.length > 0) {
-        selectedPlane.targetWaypoint = selectedPlane.procedureWaypoints[0];
-    }
-
-    // 3. Robust ILS Searching
-    console.log(`[PROCEDURE] Matching ILS for ${selectedPlane.callsign} at ${selectedPlane.destination}...`);
-    
-    let foundIls = null;
-    
-    // Search strategy: Find ILS belonging to destination airport 
-    // where the runway ID matches the approach name (e.g., "ILS 35R" contains "35R")
-    const searchTarget = selectedApproach.toUpperCase();
-    
-    foundIls = ilsData.find(i => {
-        const isSameAirport = i.airport === selectedPlane.destination;
-        // Check if the runway ID (like '35R') is mentioned in the approach name (like 'ILS 35R')
-        const runwayMatch = searchTarget.includes(i.runway.replace('RW', ''));
-        return isSameAirport && runwayMatch;
-    });
-
-    // Fallback: If no runway match, take the closest ILS to the first waypoint
-    if (!foundIls && selectedPlane.procedureWaypoints.length > 0) {
-        const firstWp = selectedPlane.procedureWaypoints[0];
-        let minDist = 999;
-        ilsData.forEach(i => {
-            if (i.airport === selectedPlane.destination) {
-                const d = calculateDistance(i.lat, i.lon, firstWp.lat, firstWp.lon);
-                if (d < minDist) {
-                    minDist = d;
-                    foundIls = i;
-                }
-            }
-        });
-    }
-
-    selectedPlane.ilsData = foundIls;
-    
-    // Reset ILS flags for the new approach
-    selectedPlane.interceptingLOC = false;
-    selectedPlane.interceptingGS = false;
-    selectedPlane.followingILS = false;
-
-    console.log(`[PROCEDURE] Assigned to ${selectedPlane.callsign}. ILS Found:`, !!foundIls);
-    
-    hideProceduresPanel();
+	if (selectedPlane && selectedPlane.isDeparture) {
+		if (!selectedSid) return;
+		issueInstruction(selectedPlane, { kind: 'sid', id: selectedSid, transition: selectedSidTransition });
+		hideProceduresPanel();
+		return;
+	}
+	if (!selectedPlane || (!selectedStar && !selectedApproach)) return;
+
+	issueInstruction(selectedPlane, {
+		kind: 'arrival',
+		star: selectedStar,
+		starTransition: selectedStarTransition,
+		approach: selectedApproach,
+		approachTransition: selectedTransition
+	});
+	hideProceduresPanel();
 });
 
 
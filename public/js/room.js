@@ -0,0 +1,283 @@
+// js/room.js
+
+// Shared rooms: controllers in several browsers work the same traffic, each staffing
+// a sector. The scope opening a room hands its traffic to the backend, whose simulation
+// is authoritative and streams snapshots; instructions issued anywhere are applied
+// there and replayed on every scope.
+
+import { activeAirports, centerCoord, radarRangeNM, windDirection, windSpeed } from './config.js';
+import { applyInstruction, onInstruction } from './instructions.js';
+
+let apiBase = '';
+let hooks = null;
+let socket = null;
+let current = null; // { id, sector, host, members, ready } while in a room
+const owners = new Map(); // callsign -> sector
+
+const roomOverlay = document.getElementById('room-overlay');
+const roomList = document.getElementById('room-list');
+const roomSectorEl = document.getElementById('room-sector');
+const roomErrorEl = document.getElementById('room-error');
+const roomHostBtn = document.getElementById('room-host');
+const roomJoinBtn = document.getElementById('room-join');
+const roomPanel = document.getElementById('room-panel');
+const roomStatusEl = document.getElementById('room-status');
+const roomMembersEl = document.getElementById('room-members');
+const handoffMenu = document.getElementById('handoff-menu');
+
+/**
+ * @summary WebSocket URL of the room endpoint. Vercel rewrites do not forward
+ * WebSocket upgrades, so the backend names a direct socket host (its REALTIME_URL)
+ * when it has one; the session cookie is not sent there, hence the ticket.
+ * @returns {Promise<string>}
+ */
+async function roomSocketUrl() {
+    const resp = await fetch(`${apiBase}/api/rooms/ticket`, { method: 'POST', credentials: 'include' });
+    if (!resp.ok) throw new Error(`Room ticket request failed (${resp.status})`);
+    const { ticket, url } = await resp.json();
+    const base = url || `${(apiBase || window.location.origin).replace(/^http/, 'ws')}/api/rooms/ws`;
+    return `${base}?ticket=${encodeURIComponent(ticket)}`;
+}
+
+function send(message) {
+    if (socket && socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify(message));
+}
+
+/**
+ * @summary Marks every aircraft with its owning sector; aircraft of other sectors are dimmed
+ * and cannot be instructed from this scope.
+ */
+function markOwnership() {
+    hooks.getAircraft().forEach(plane => {
+        plane.owner = current ? owners.get(plane.callsign) || null : null;
+        plane.controlledElsewhere = Boolean(plane.owner) && plane.owner !== current.sector;
+    });
+}
+
+function renderPanel() {
+    if (!current) {
+        roomPanel.style.display = 'none';
+        return;
+    }
+    roomStatusEl.textContent = `Room ${current.id} · ${current.sector}`;
+    roomMembersEl.textContent = current.members.map(m => m.sector).join(' ');
+    roomPanel.style.display = 'block';
+}
+
+function showRoomError(message) {
+    roomErrorEl.textContent = message || '';
+}
+
+/**
+ * @summary Handles one message from the room endpoint.
+ */
+async function handleMessage(message) {
+    switch (message.type) {
+        case 'joined': {
+            current = { id: message.room.id, sector: message.sector, host: message.host, members: message.members, ready: false };
+            owners.clear();
+            const snapshot = message.snapshot;
+            if (snapshot) snapshot.aircraft.forEach(a => { if (a.owner) owners.set(a.callsign, a.owner); });
+            roomOverlay.style.display = 'none';
+            renderPanel();
+            console.log(`[ROOM] Joined ${current.id} as ${current.sector}${current.host ? ' (host)' : ''}.`);
+
+            // The scope that opened the room already flies its traffic
+            if (!current.host) await hooks.startShared(message.room, snapshot);
+            current.ready = true;
+            markOwnership();
+            break;
+        }
+        case 'snapshot':
+            if (!current || !current.ready) return;
+            owners.clear();
+            message.aircraft.forEach(a => { if (a.owner) owners.set(a.callsign, a.owner); });
+            hooks.applySnapshot(message);
+            markOwnership();
+            break;
+        case 'instruction': {
+            const plane = hooks.getAircraft().find(p => p.callsign === message.callsign);
+            if (plane) applyInstruction(plane, message.instruction);
+            break;
+        }
+        case 'ownership':
+            if (message.owner) owners.set(message.callsign, message.owner);
+            else owners.delete(message.callsign);
+            markOwnership();
+            break;
+        case 'members':
+            if (!current) return;
+            current.members = message.members;
+            renderPanel();
+            break;
+        case 'error':
+            console.warn(`[ROOM] ${message.error}`);
+            if (!current) showRoomError(message.error);
+            break;
+        case 'closed':
+            // The room ended on the server; this scope keeps its traffic
+            console.warn(`[ROOM] ${message.error || 'Room closed.'}`);
+            leaveRoom();
+            break;
+    }
+}
+
+/**
+ * @summary Opens the room socket and sends the first message (host or join).
+ * @param {object} firstMessage
+ */
+async function connect(firstMessage) {
+    if (socket) socket.close();
+    showRoomError('Connecting...');
+    let url;
+    try {
+        url = await roomSocketUrl();
+    } catch (e) {
+        console.warn('[ROOM] Failed to get a room ticket', e);
+        showRoomError('Connection to the room server failed.');
+        return;
+    }
+    const ws = new WebSocket(url);
+    socket = ws;
+    ws.onopen = () => {
+        showRoomError('');
+        ws.send(JSON.stringify(firstMessage));
+    };
+    ws.onmessage = (event) => {
+        handleMessage(JSON.parse(event.data)).catch(e => console.warn('Room message failed', e));
+    };
+    ws.onclose = () => {
+        if (socket !== ws) return;
+        if (!current) showRoomError('Connection to the room server failed.');
+        leaveRoom();
+    };
+}
+
+/**
+ * @summary Leaves the room; this scope keeps its current traffic and continues alone.
+ */
+function leaveRoom() {
+    const ws = socket;
+    socket = null;
+    if (ws && ws.readyState <= WebSocket.OPEN) ws.close();
+    if (current) console.log(`[ROOM] Left ${current.id}.`);
+    current = null;
+    owners.clear();
+    markOwnership();
+    renderPanel();
+    hideHandoffMenu();
+}
+
+/**
+ * @summary Lists open rooms; the one clicked is joined with "Join Selected Room".
+ */
+async function openRoomDialog() {
+    const running = hooks.isRunning();
+    roomHostBtn.disabled = !running || Boolean(current);
+    roomJoinBtn.disabled = running || Boolean(current);
+    showRoomError(running ? '' : 'Select a room to join, or pick an airport first to host one.');
+    roomList.textContent = 'Loading...';
+    roomOverlay.style.display = 'flex';
+
+    let rooms = [];
+    try {
+        const resp = await fetch(`${apiBase}/api/rooms`, { credentials: 'include' });
+        if (resp.ok) rooms = (await resp.json()).rooms || [];
+    } catch (e) {
+        console.warn('Failed to load rooms', e);
+    }
+
+    roomList.innerHTML = '';
+    if (rooms.length === 0) {
+        roomList.textContent = 'No open rooms.';
+        return;
+    }
+    rooms.forEach(room => {
+        const item = document.createElement('div');
+        item.className = 'airport-item';
+        item.dataset.id = room.id;
+        item.textContent = `${room.id} — ${room.airport} · ${room.sectors.join(', ')}`;
+        item.onclick = () => {
+            roomList.querySelectorAll('.airport-item').forEach(i => i.classList.remove('selected'));
+            item.classList.add('selected');
+        };
+        item.ondblclick = () => roomJoinBtn.click();
+        roomList.appendChild(item);
+    });
+}
+
+function hideHandoffMenu() {
+    handoffMenu.style.display = 'none';
+}
+
+/**
+ * @summary Offers to hand an aircraft of this sector to another staffed sector.
+ * @param {Aircraft} plane - The aircraft whose callsign was right-clicked.
+ * @param {number} left - Menu position in CSS pixels relative to the scope.
+ * @param {number} top
+ * @returns {boolean} Whether the menu is shown (only for own aircraft in a room).
+ */
+export function showHandoffMenu(plane, left, top) {
+    if (!current || plane.owner !== current.sector) return false;
+
+    handoffMenu.innerHTML = '';
+    const targets = current.members.filter(m => m.sector !== current.sector).map(m => m.sector);
+    [...targets, null].forEach(sector => {
+        const item = document.createElement('div');
+        item.className = 'suggestion-item';
+        item.textContent = sector ? `${plane.callsign} → ${sector}` : `Release ${plane.callsign}`;
+        item.onclick = () => {
+            send({ type: 'handoff', callsign: plane.callsign, to: sector });
+            hideHandoffMenu();
+        };
+        handoffMenu.appendChild(item);
+    });
+    handoffMenu.style.left = `${left}px`;
+    handoffMenu.style.top = `${top}px`;
+    handoffMenu.style.display = 'block';
+    return true;
+}
+
+/**
+ * @summary Enables the shared room controls.
+ * @param {string} base - API base URL (empty for same-origin).
+ * @param {object} roomHooks - Access to the scope's simulation:
+ *   getAircraft(), applySnapshot(snapshot) for the room's authoritative state,
+ *   isRunning() and startShared(room, snapshot) to start a joined room's traffic.
+ */
+export function initRoomControls(base, roomHooks) {
+    apiBase = base;
+    hooks = roomHooks;
+
+    document.getElementById('room-button').onclick = openRoomDialog;
+    document.getElementById('room-open-btn').onclick = openRoomDialog;
+    document.getElementById('room-close').onclick = () => {
+        roomOverlay.style.display = 'none';
+    };
+    document.getElementById('room-leave').onclick = leaveRoom;
+    document.addEventListener('click', hideHandoffMenu);
+
+    roomHostBtn.onclick = () => {
+        const [airport] = Object.keys(activeAirports);
+        connect({
+            type: 'host',
+            sector: roomSectorEl.value,
+            airport,
+            center: { lat: centerCoord.lat, lon: centerCoord.lon },
+            rangeNm: radarRangeNM,
+            runways: activeAirports[airport] || [],
+            wind: { direction: windDirection, speed: windSpeed },
+            aircraft: hooks.getAircraft().filter(plane => !plane.landed).map(plane => plane.toState())
+        });
+    };
+    roomJoinBtn.onclick = () => {
+        const selected = roomList.querySelector('.airport-item.selected');
+        if (!selected) return;
+        connect({ type: 'join', room: selected.dataset.id, sector: roomSectorEl.value });
+    };
+
+    // Instructions issued on this scope are replayed on the others
+    onInstruction((plane, instruction) => {
+        if (current) send({ type: 'instruction', callsign: plane.callsign, instruction });
+    });
+}
@@ -0,0 +1,189 @@
+// js/scenarios.js
+
+// Saved scenarios (airport, runways, wind and traffic) of the Navigraph account
+
+import { activeAirports, radarRangeNM, windDirection, windSpeed } from './config.js';
+
+let apiBase = '';
+let getAircraft = () => [];
+let loadedScenario = null; // { id, name } of the scenario being flown, if any
+
+const scenarioOverlay = document.getElementById('scenario-overlay');
+const scenarioList = document.getElementById('scenario-list');
+const scenarioLoadBtn = document.getElementById('scenario-load');
+const scenarioDefaultBtn = document.getElementById('scenario-default');
+
+/**
+ * @summary Sends a request to /api/scenarios and returns the parsed body.
+ * @param {string} path - Path below /api/scenarios.
+ * @param {object} [options] - fetch options; `body` is sent as JSON.
+ * @returns {Promise<object>}
+ */
+async function scenarioRequest(path, { method = 'GET', body } = {}) {
+    const resp = await fetch(`${apiBase}/api/scenarios${path}`, {
+        method,
+        credentials: 'include',
+        headers: body ? { 'Content-Type': 'application/json' } : {},
+        body: body ? JSON.stringify(body) : undefined
+    });
+    const result = await resp.json().catch(() => ({}));
+    if (!resp.ok) throw new Error(result.error || `Scenario request failed (${resp.status})`);
+    return result;
+}
+
+/**
+ * @summary Describes an aircraft in the form stored by the backend.
+ * @param {Aircraft} plane
+ * @returns {object}
+ */
+export function describeAircraft(plane) {
+    const approach = plane.assignedProcedure && plane.assignedProcedure.type === 'approach' ? plane.assignedProcedure : null;
+    const procedure = p => (p ? { id: p.id, transition: p.transition || null } : null);
+    return {
+        callsign: plane.callsign,
+        lat: plane.lat,
+        lon: plane.lon,
+        heading: (plane.heading + 360) % 360,
+        altitude: Math.round(plane.altitude),
+        speed: Math.round(plane.indicatedAirspeed),
+        departure: plane.departure,
+        destination: plane.destination,
+        wtc: plane.wtc,
+        phase: plane.phase,
+        targetHeading: (plane.targetHdg + 360) % 360,
+        targetAltitude: Math.round(plane.targetAlt),
+        targetSpeed: Math.round(plane.targetSpd),
+        departureRunway: plane.departureRunway ? plane.departureRunway.id : null,
+        sid: procedure(plane.assignedSid),
+        star: procedure(plane.assignedStar),
+        approach: procedure(approach)
+    };
+}
+
+/**
+ * @summary Saves the current airport, runways, wind and traffic. When a scenario was
+ * loaded, keeping its name updates it; any other name creates a new scenario.
+ */
+async function saveScenario() {
+    const [airport] = Object.keys(activeAirports);
+    if (!airport) return;
+
+    const name = window.prompt('Scenario name', loadedScenario ? loadedScenario.name : `${airport} traffic`);
+    if (!name || !name.trim()) return;
+
+    const body = {
+        name: name.trim(),
+        airport,
+        rangeNm: radarRangeNM,
+        runways: [...activeAirports[airport]],
+        wind: { direction: windDirection, speed: windSpeed },
+        aircraft: getAircraft().filter(plane => !plane.landed).map(describeAircraft)
+    };
+
+    try {
+        const update = loadedScenario && loadedScenario.name === body.name;
+        const { scenario } = update
+            ? await scenarioRequest(`/${encodeURIComponent(loadedScenario.id)}`, { method: 'PUT', body })
+            : await scenarioRequest('', { method: 'POST', body });
+        loadedScenario = { id: scenario.id, name: scenario.name };
+        console.log(`[SCENARIO] Saved "${scenario.name}" (${scenario.aircraft.length} aircraft).`);
+    } catch (e) {
+        console.warn('Failed to save scenario', e);
+        window.alert(e.message);
+    }
+}
+
+/**
+ * @summary Lets the user pick one of the saved scenarios of an airport. The picker
+ * is skipped when the airport has none.
+ * @param {string} icao - Selected airport.
+ * @returns {Promise<object|null>} The full scenario, or null for the default traffic.
+ */
+export async function pickScenario(icao) {
+    let scenarios = [];
+    try {
+        scenarios = (await scenarioRequest(`?airport=${encodeURIComponent(icao)}`)).scenarios || [];
+    } catch (e) {
+        console.warn('Failed to load scenarios', e);
+    }
+    if (scenarios.length === 0) return null;
+
+    return new Promise(resolve => {
+        const finish = async (id) => {
+            let scenario = null;
+            if (id) {
+                try {
+                    scenario = (await scenarioRequest(`/${encodeURIComponent(id)}`)).scenario;
+                } catch (e) {
+                    console.warn(`Failed to load scenario ${id}`, e);
+                }
+            }
+            loadedScenario = scenario ? { id: scenario.id, name: scenario.name } : null;
+            scenarioOverlay.style.display = 'none';
+            resolve(scenario);
+        };
+
+        const render = () => {
+            scenarioList.innerHTML = '';
+            scenarios.forEach(s => {
+                const item = document.createElement('div');
+                item.className = 'scenario-item';
+                item.onclick = () => {
+                    scenarioList.querySelectorAll('.scenario-item').forEach(i => i.classList.remove('selected'));
+                    item.classList.add('selected');
+                };
+                item.ondblclick = () => finish(s.id);
+
+                const info = document.createElement('div');
+                info.textContent = s.name;
+                const details = document.createElement('div');
+                details.className = 'scenario-details';
+                details.textContent = `${s.aircraftCount} aircraft · saved ${new Date(s.updatedAt).toLocaleString()}`;
+                info.appendChild(details);
+
+                const remove = document.createElement('button');
+                remove.type = 'button';
+                remove.textContent = 'Delete';
+                remove.onclick = async (e) => {
+                    e.stopPropagation();
+                    if (!window.confirm(`Delete scenario "${s.name}"?`)) return;
+                    try {
+                        await scenarioRequest(`/${encodeURIComponent(s.id)}`, { method: 'DELETE' });
+                        scenarios = scenarios.filter(other => other.id !== s.id);
+                        render();
+                    } catch (err) {
+                        console.warn(`Failed to delete scenario ${s.id}`, err);
+                    }
+                };
+
+                item.dataset.id = s.id;
+                item.appendChild(info);
+                item.appendChild(remove);
+                scenarioList.appendChild(item);
+            });
+            if (scenarios.length === 0) {
+                scenarioList.textContent = 'No saved scenarios for this airport.';
+            }
+        };
+
+        scenarioLoadBtn.onclick = () => {
+            const selected = scenarioList.querySelector('.scenario-item.selected');
+            if (selected) finish(selected.dataset.id);
+        };
+        scenarioDefaultBtn.onclick = () => finish(null);
+
+        render();
+        scenarioOverlay.style.display = 'flex';
+    });
+}
+
+/**
+ * @summary Enables the "Save scenario" control.
+ * @param {string} base - API base URL (empty for same-origin).
+ * @param {function(): Aircraft[]} aircraftProvider - Returns the aircraft currently on the scope.
+ */
+export function initScenarioControls(base, aircraftProvider) {
+    apiBase = base;
+    getAircraft = aircraftProvider;
+    document.getElementById('scenario-save-button').onclick = saveScenario;
+}
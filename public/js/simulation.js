@@ -0,0 +1,146 @@
+// js/simulation.js
+
+// Headless simulation: advances aircraft in fixed ticks, applies controller
+// instructions and takes snapshots. Free of DOM access, so the backend runs the same
+// code as the authority of a shared room while the browser renders it.
+
+import { AircraftModel } from './AircraftModel.js';
+
+export { AircraftModel, setFlightLog } from './AircraftModel.js';
+
+// Length of one simulation tick in seconds
+export const TICK_SECONDS = 0.1;
+
+// Longest stretch made up at once (e.g. after a background tab or a stalled server)
+const MAX_CATCH_UP_SECONDS = 1;
+
+export class Simulation {
+    /**
+     * @summary A set of aircraft advanced in fixed ticks.
+     * @param {object} [options]
+     * @param {{direction: number, speed: number}|null} [options.wind] - Wind for every aircraft
+     *   of this simulation; without it aircraft use the scope's wind.
+     */
+    constructor({ wind = null } = {}) {
+        this.aircraft = [];
+        this.wind = wind;
+        this.tick = 0;
+        this.pendingSeconds = 0;
+    }
+
+    /** Simulated seconds since the start. */
+    get time() {
+        return this.tick * TICK_SECONDS;
+    }
+
+    /**
+     * @summary Adds an aircraft to the simulation.
+     * @param {AircraftModel} plane
+     * @returns {AircraftModel} The aircraft.
+     */
+    add(plane) {
+        if (this.wind) plane.wind = this.wind;
+        this.aircraft.push(plane);
+        return plane;
+    }
+
+    /**
+     * @param {string} callsign
+     * @returns {AircraftModel|undefined}
+     */
+    find(callsign) {
+        return this.aircraft.find(plane => plane.callsign === callsign);
+    }
+
+    /**
+     * @param {string} callsign
+     */
+    remove(callsign) {
+        this.aircraft = this.aircraft.filter(plane => plane.callsign !== callsign);
+    }
+
+    /**
+     * @summary Advances by elapsed wall-clock time. Whole ticks are run and the remainder
+     * carried over, so the result does not depend on the frame or timer rate.
+     * @param {number} seconds - Elapsed time in seconds.
+     * @returns {number} Number of ticks run.
+     */
+    advance(seconds) {
+        this.pendingSeconds = Math.min(this.pendingSeconds + Math.max(0, seconds), MAX_CATCH_UP_SECONDS);
+        let ticks = 0;
+        // Small tolerance so accumulated rounding does not swallow a tick
+        while (this.pendingSeconds >= TICK_SECONDS - 1e-9) {
+            this.step();
+            this.pendingSeconds -= TICK_SECONDS;
+            ticks++;
+        }
+        return ticks;
+    }
+
+    /**
+     * @summary Runs one tick; aircraft that landed leave the simulation.
+     */
+    step() {
+        this.aircraft.forEach(plane => plane.update(TICK_SECONDS));
+        this.aircraft = this.aircraft.filter(plane => !plane.landed);
+        this.tick++;
+    }
+
+    /**
+     * @summary The state of every aircraft at the current tick.
+     * @returns {{tick: number, time: number, aircraft: object[]}}
+     */
+    snapshot() {
+        return { tick: this.tick, time: this.time, aircraft: this.aircraft.map(plane => plane.toState()) };
+    }
+
+    /**
+     * @summary Creates a simulation from a snapshot.
+     * @param {{aircraft: object[]}} snapshot
+     * @param {object} [options] - See the constructor.
+     * @returns {Simulation}
+     */
+    static fromSnapshot(snapshot, options) {
+        const simulation = new Simulation(options);
+        snapshot.aircraft.forEach(state => simulation.add(AircraftModel.fromState(state)));
+        return simulation;
+    }
+}
+
+/**
+ * @summary Applies a controller instruction to an aircraft. Procedures arrive with
+ * their waypoints (and ILS) already resolved from the nav data.
+ * @param {AircraftModel} plane - The instructed aircraft.
+ * @param {object} instruction - One of
+ *   { kind: 'heading'|'speed'|'altitude', value },
+ *   { kind: 'direct', waypoint: { name, lat, lon } },
+ *   { kind: 'hold', holding },
+ *   { kind: 'clearHold' },
+ *   { kind: 'sid', id, transition, points },
+ *   { kind: 'arrival', star, starTransition, approach, approachTransition, points, ils }.
+ * @returns {boolean} False for an unknown kind.
+ */
+export function applyInstruction(plane, instruction) {
+    switch (instruction.kind) {
+        case 'heading': plane.setHeading(instruction.value); break;
+        case 'speed': plane.setSpeed(instruction.value); break;
+        case 'altitude': plane.setAltitude(instruction.value); break;
+        case 'direct': plane.flyDirectTo(instruction.waypoint); break;
+        case 'hold': plane.hold(instruction.holding); break;
+        case 'clearHold': plane.clearHold(); break;
+        case 'sid':
+            plane.assignSid({ id: instruction.id, transition: instruction.transition || null }, instruction.points);
+            break;
+        case 'arrival':
+            plane.assignArrival(
+                instruction.star ? { id: instruction.star, transition: instruction.starTransition || null } : null,
+                instruction.approach ? { id: instruction.approach, transition: instruction.approachTransition || null } : null,
+                instruction.points,
+                instruction.ils
+            );
+            break;
+        default:
+            return false;
+    }
+    return true;
+}
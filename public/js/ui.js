@@ -30,7 +30,7 @@ export function calculateTagLayout(plane, isHovered, ctx) {
     const crcVal = Math.round(plane.verticalSpeed / 100);
     const crcText = `${crcVal > 0 ? '+' : ''}${crcVal.toString().padStart(2, '0')}`;
         // Show a star next to the destination if no procedure has been assigned
-        const destDisplay = `${plane.destination}${!plane.assignedProcedure ? '*' : ''}`;
+        const destDisplay = `${plane.destination}${!plane.assignedProcedure && !plane.assignedStar && !plane.assignedSid ? '*' : ''}`;
         const line2 = {
             text: isHovered
                 ? `${currentFL}${trendIndicator} ${destDisplay} XX ${crcText}`
@@ -104,7 +104,15 @@ export function calculateTagLayout(plane, isHovered, ctx) {
         }
     };
 
-    return { lines, block: { width: blockWidth, height: blockHeight }, anchor, tagOriginX, hitboxes, padding, lineHeight };
+    // The callsign is not editable, so it is kept apart from the field hitboxes
+    const callsignBox = {
+        x: tagOriginX,
+        y: tagOriginY + headingIndex * lineHeight,
+        width: ctx.measureText(callsignText).width,
+        height: lineHeight
+    };
+
+    return { lines, block: { width: blockWidth, height: blockHeight }, anchor, tagOriginX, hitboxes, callsignBox, padding, lineHeight };
 }
 
 
@@ -138,6 +146,17 @@ export function getTagHitboxes(plane, ctx, isHovered = false) {
     return layout.hitboxes;
 }
 
+/**
+ * @summary Gets the hitbox of the callsign in a data tag.
+ * @param {Aircraft} plane - The aircraft whose callsign hitbox is needed.
+ * @param {CanvasRenderingContext2D} ctx - The canvas rendering context.
+ * @param {boolean} [isHovered=false] - The current hover state of the aircraft.
+ * @returns {{x: number, y: number, width: number, height: number}} The hitbox.
+ */
+export function getCallsignHitbox(plane, ctx, isHovered = false) {
+    return calculateTagLayout(plane, isHovered, ctx).callsignBox;
+}
+
 
 /**
  * @summary Shows and positions the tag input box over the correct element.
@@ -213,3 +232,36 @@ export function hideWaypointInput() {
     waypointInput.style.display = 'none';
     waypointSuggestions.style.display = 'none';
 }
+
+/**
+ * @summary Shows the AIRAC cycle served to this session in the corner of the scope.
+ * @param {object} status - Response of /api/navdata/status.
+ */
+export function showCycleIndicator(status) {
+    const el = document.getElementById('cycle-indicator');
+    if (!el || !status || !status.cycle) return;
+    const note = { outdated: ' (OUTDATED)', offline: ' (OFFLINE)' }[status.served] || '';
+    el.textContent = `AIRAC ${status.cycle} r${status.revision}${note}`;
+    el.title = [
+        status.effectiveFrom && `Effective ${status.effectiveFrom} to ${status.effectiveTo}`,
+        status.updatedAt && `Updated ${new Date(status.updatedAt).toLocaleString()}`
+    ].filter(Boolean).join('\n');
+    el.classList.toggle('outdated', status.served === 'outdated');
+}
+
+/**
+ * @summary Tells the controller that the served cycle changed; clicking the notice reloads nav data.
+ * @param {object} previous - Status the scope was loaded with.
+ * @param {object} status - Newly received status.
+ * @param {Function} onReload - Called when the controller clicks the notice.
+ */
+export function showCycleChangeNotice(previous, status, onReload) {
+    const el = document.getElementById('cycle-notice');
+    if (!el) return;
+    el.textContent = `Nav data changed from AIRAC ${previous.cycle} r${previous.revision} to ${status.cycle} r${status.revision}. Click to reload.`;
+    el.style.display = 'block';
+    el.onclick = () => {
+        el.style.display = 'none';
+        onReload();
+    };
+}
@@ -15,15 +15,40 @@ export function setKmPerPixel(value) {
     kmPerPixel = value;
 }
 
+/**
+ * @summary Wraps a longitude into [-180, 180).
+ * @param {number} lon - Longitude in degrees, any range.
+ * @returns {number} The same meridian in [-180, 180).
+ */
+export function wrapLon(lon) {
+    return ((lon + 180) % 360 + 360) % 360 - 180;
+}
+
+/**
+ * @summary Picks the representation of a longitude closest to a reference meridian.
+ * Scope bounds are kept continuous (minLon < maxLon, possibly beyond ±180), so points
+ * on the far side of the antimeridian are unwrapped before they are projected.
+ * @param {number} lon - Longitude in degrees.
+ * @param {number} refLon - Reference longitude (e.g. the scope centre).
+ * @returns {number} lon + k·360, within 180° of refLon.
+ */
+export function unwrapLon(lon, refLon) {
+    return refLon + wrapLon(lon - refLon);
+}
+
 export function calculateGeographicBounds() {
     const radarRangeKm = radarRangeNM * NM_TO_KM;
     const centerLatRad = centerCoord.lat * Math.PI / 180;
     const latDelta = radarRangeKm / 111.32;
+    minLat = Math.max(-90, centerCoord.lat - latDelta);
+    maxLat = Math.min(90, centerCoord.lat + latDelta);
+
+    // A scope reaching a pole covers every meridian; so does one where the
+    // meridians converge faster than the range grows
     const lonDelta = radarRangeKm / (111.32 * Math.cos(centerLatRad));
-    minLat = centerCoord.lat - latDelta;
-    maxLat = centerCoord.lat + latDelta;
-    minLon = centerCoord.lon - lonDelta;
-    maxLon = centerCoord.lon + lonDelta;
+    const halfWidth = (minLat <= -90 || maxLat >= 90 || !(lonDelta < 180)) ? 180 : lonDelta;
+    minLon = centerCoord.lon - halfWidth;
+    maxLon = centerCoord.lon + halfWidth;
 }
 
 // Explicitly set bounds (used when user selects an airport)
@@ -31,18 +56,79 @@ export function setGeographicBounds(bounds) {
     if (!bounds) return;
     minLon = bounds.minLon;
     maxLon = bounds.maxLon;
+    // Bounds crossing the antimeridian as west > east (GeoJSON style) are made continuous
+    if (maxLon < minLon) maxLon += 360;
     minLat = bounds.minLat;
     maxLat = bounds.maxLat;
 }
 
+/**
+ * @summary Keeps the scope within the poles and its centre within ±180°, shifting
+ * the bounds without changing their size.
+ */
+function normalizeBounds() {
+    if (maxLat - minLat > 180) {
+        minLat = -90;
+        maxLat = 90;
+    } else if (maxLat > 90) {
+        minLat -= maxLat - 90;
+        maxLat = 90;
+    } else if (minLat < -90) {
+        maxLat += -90 - minLat;
+        minLat = -90;
+    }
+    const centerLon = (minLon + maxLon) / 2;
+    const shift = wrapLon(centerLon) - centerLon;
+    minLon += shift;
+    maxLon += shift;
+}
+
+/**
+ * @summary Scales the scope bounds about a canvas point, which stays over the same
+ * position (zooming with the mouse wheel).
+ * @param {number} factor - New size relative to the current one (< 1 zooms in).
+ * @param {number} x - Canvas x of the fixed point, in logical pixels.
+ * @param {number} y - Canvas y of the fixed point, in logical pixels.
+ * @param {HTMLCanvasElement} canvas
+ */
+export function zoomGeographicBounds(factor, x, y, canvas) {
+    const fx = x / canvas.width;
+    const fy = y / canvas.height;
+    const anchorLon = minLon + fx * (maxLon - minLon);
+    const anchorLat = maxLat - fy * (maxLat - minLat);
+    const lonSpan = Math.min(360, (maxLon - minLon) * factor);
+    const latSpan = (maxLat - minLat) * factor;
+    minLon = anchorLon - fx * lonSpan;
+    maxLon = minLon + lonSpan;
+    maxLat = anchorLat + fy * latSpan;
+    minLat = maxLat - latSpan;
+    normalizeBounds();
+}
+
+/**
+ * @summary Moves the scope bounds along with a drag on the canvas.
+ * @param {number} dx - Horizontal drag in logical pixels (positive to the right).
+ * @param {number} dy - Vertical drag in logical pixels (positive downwards).
+ * @param {HTMLCanvasElement} canvas
+ */
+export function panGeographicBounds(dx, dy, canvas) {
+    const dLon = (dx / canvas.width) * (maxLon - minLon);
+    const dLat = (dy / canvas.height) * (maxLat - minLat);
+    minLon -= dLon;
+    maxLon -= dLon;
+    minLat += dLat;
+    maxLat += dLat;
+    normalizeBounds();
+}
+
 export function pixelToLatLon(x, y, canvas) {
     const lon = (x / canvas.width) * (maxLon - minLon) + minLon;
     const lat = maxLat - (y / canvas.height) * (maxLat - minLat);
-    return { lat, lon };
+    return { lat, lon: wrapLon(lon) };
 }
 
 export function latLonToPixel(lat, lon, canvas) {
-    const x = ((lon - minLon) / (maxLon - minLon)) * canvas.width;
+    const x = ((unwrapLon(lon, (minLon + maxLon) / 2) - minLon) / (maxLon - minLon)) * canvas.width;
     const y = ((maxLat - lat) / (maxLat - minLat)) * canvas.height;
     return { x, y };
 }
@@ -84,3 +170,47 @@ export function calculateCrossTrackError(lat, lon, startLat, startLon, bearing)
     // Standard cross-track distance formula
     return Math.asin(Math.sin(d13 / R) * Math.sin(brng13 - brng12)) * R;
 }
+
+
+/**
+ * @summary Standard-rate (3°/s) turn radius.
+ * @param {number} speedKts - Ground speed in knots.
+ * @returns {number} Turn radius in NM.
+ */
+export function standardTurnRadiusNM(speedKts) {
+    // A 360° standard-rate turn takes 120 s
+    return (speedKts * 120 / 3600) / (2 * Math.PI);
+}
+
+/**
+ * @summary Builds the racetrack of a holding pattern as geographic points.
+ * @param {object} hold - Holding ({ lat, lon, trueInboundCourse, turnDirection, legTime, legLength }).
+ * @param {number} speedKts - Speed used for the turn radius and timed legs, in knots.
+ * @returns {Array<{lat: number, lon: number}>} Closed racetrack starting at the inbound leg's start.
+ */
+export function holdingPatternPoints(hold, speedKts) {
+    const dir = hold.turnDirection === 'L' ? -1 : 1;
+    const r = standardTurnRadiusNM(speedKts);
+    const legNM = hold.legLength || ((hold.legTime || 1) * speedKts / 60);
+    const theta = hold.trueInboundCourse * Math.PI / 180;
+
+    // Local frame in NM: u along the inbound course, n to the holding side
+    const u = { x: Math.sin(theta), y: Math.cos(theta) };
+    const n = { x: dir * Math.cos(theta), y: dir * -Math.sin(theta) };
+    const at = (alongU, alongN) => ({ x: u.x * alongU + n.x * alongN, y: u.y * alongU + n.y * alongN });
+
+    const local = [at(-legNM, 0), at(0, 0)];
+    const steps = 12;
+    // Outbound turn around the fix end, then inbound turn around the far end
+    for (let i = 1; i <= steps; i++) {
+        const t = Math.PI * i / steps;
+        local.push(at(r * Math.sin(t), r - r * Math.cos(t)));
+    }
+    for (let i = 1; i <= steps; i++) {
+        const t = Math.PI * i / steps;
+        local.push(at(-legNM - r * Math.sin(t), r + r * Math.cos(t)));
+    }
+
+    const cosLat = Math.cos(hold.lat * Math.PI / 180);
+    return local.map(p => ({ lat: hold.lat + p.y / 60, lon: hold.lon + p.x / (60 * cosLat) }));
+}